@@ -0,0 +1,407 @@
+/**
+ * Artisan .alog Module
+ *
+ * Writes simulated roasts as Artisan profiles, so they open in Artisan and
+ * upload to the dashboard like logs from a real roaster. An .alog file is a
+ * Python dict literal (Artisan reads it with ast.literal_eval):
+ * - bean probe as BT (temp2) and measured air as ET (temp1), sampled at timex
+ *   (seconds since the first sample)
+ * - heater and fan (%) as the two channels of one extra device
+ * - CHARGE, DRY, FCs, FCe, SCs, SCe and DROP as sample indices in timeindex;
+ *   TP and the phase times in 'computed'
+ * - batch size, ambient temperature and humidity
+ *
+ * Input is the simulator's getRoastData() (times in minutes, temperatures in
+ * °C, controls 0-1).
+ *
+ * Real roasts go the other way: parse() reads any .alog and
+ * toBackgroundProfile() turns it into a background profile for the
+ * simulator (BT from CHARGE to DROP, with ET and the events as reference).
+ */
+
+class ArtisanAlog {
+    /**
+     * Events in Artisan's timeindex order (COOL is cool end, never set here)
+     */
+    static get TIMEINDEX_EVENTS() {
+        return ['CHARGE', 'DRY', 'FCs', 'FCe', 'SCs', 'SCe', 'DROP', 'COOL'];
+    }
+
+    /**
+     * Artisan device id of the extra device carrying heater and fan
+     * (+Virtual: its curves come from the file, no hardware is read)
+     */
+    static get VIRTUAL_DEVICE() {
+        return 25;
+    }
+
+    /**
+     * Build an Artisan profile from recorded roast data
+     *
+     * @param {Object} roast - Simulator roast data ({time, temperatures, controls, events, mass, ambient, chargedAt, ...})
+     * @param {Object} options - Optional {title, beans, roastDate (Date), samplingInterval (s),
+     *                           afterDrop (minutes kept after DROP, default 1), notes}
+     * @returns {Object} - Profile as plain data (see toPythonLiteral())
+     */
+    static fromRoastData(roast, options = {}) {
+        if (!roast || !roast.time || roast.time.length === 0) {
+            throw new Error('No roast data to export');
+        }
+
+        const events = {};
+        for (const event of roast.events || []) {
+            events[event.name] = event;
+        }
+
+        // Artisan logs stop shortly after DROP; the simulator keeps recording the empty roaster
+        const afterDrop = options.afterDrop ?? 1.0;
+        let length = roast.time.length;
+        if (events.DROP) {
+            const end = roast.time.findIndex((time) => time > events.DROP.time + afterDrop);
+            if (end > 0) length = end;
+        }
+
+        const round = (value, digits) => {
+            const scale = Math.pow(10, digits);
+            return Math.round(value * scale) / scale;
+        };
+        const series = (values, scale = 1) => values.slice(0, length).map((value) => round(value * scale, 2));
+        const timex = roast.time.slice(0, length).map((time) => round(time * 60, 3));
+        const bt = series(roast.temperatures.bean);
+        const et = series(roast.temperatures.airMeasured);
+
+        // Sample index of an event (the first sample at or after it)
+        const indexOf = (name) => {
+            const event = events[name];
+            if (!event) return null;
+            const index = roast.time.findIndex((time) => time >= event.time - 1e-9);
+            return index >= 0 && index < length ? index : null;
+        };
+        const timeindex = ArtisanAlog.TIMEINDEX_EVENTS.map((name) => {
+            const index = indexOf(name);
+            if (index !== null) return index;
+            return name === 'CHARGE' ? -1 : 0;  // Artisan's "not set"
+        });
+
+        // Times in 'computed' are seconds after the CHARGE sample, as Artisan computes them
+        const chargeIndex = Math.max(0, timeindex[0]);
+        const sinceCharge = (index) => round(timex[index] - timex[chargeIndex], 1);
+        const computed = {
+            CHARGE_BT: bt[chargeIndex],
+            CHARGE_ET: et[chargeIndex]
+        };
+        for (const name of ['TP', 'DRY', 'FCs', 'FCe', 'SCs', 'SCe', 'DROP']) {
+            const index = indexOf(name);
+            if (index === null) continue;
+            computed[`${name}_time`] = sinceCharge(index);
+            computed[`${name}_BT`] = bt[index];
+            computed[`${name}_ET`] = et[index];
+            if (name === 'TP') computed.TP_idx = index;
+        }
+        const phase = (from, to) => {
+            const start = from === 'CHARGE' ? chargeIndex : indexOf(from);
+            const end = indexOf(to);
+            return start !== null && end !== null ? round(timex[end] - timex[start], 1) : 0;
+        };
+        computed.dryphasetime = phase('CHARGE', 'DRY');
+        computed.midphasetime = phase('DRY', 'FCs');
+        computed.finishphasetime = phase('FCs', 'DROP');
+        computed.totaltime = phase('CHARGE', 'DROP');
+
+        const date = options.roastDate || (roast.chargedAt ? new Date(roast.chargedAt) : new Date());
+        const pad = (value) => String(value).padStart(2, '0');
+        const humidity = roast.controls.humidity && roast.controls.humidity.length > 0 ? roast.controls.humidity[0] : null;
+        const interval = options.samplingInterval ?? (timex.length > 1 ? round(timex[1] - timex[0], 3) : 1.5);
+
+        return {
+            title: options.title || 'Simulated roast',
+            beans: options.beans || roast.beanModel || '',
+            roastertype: 'Simulated roaster (digital twin)',
+            roastingnotes: options.notes || '',
+            roastdate: date.toDateString(),
+            roastisodate: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            roasttime: `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+            roastepoch: Math.floor(date.getTime() / 1000),
+            roasttzoffset: date.getTimezoneOffset() * 60,
+            roastbatchnr: roast.batch || 0,
+            mode: 'C',
+            samplinginterval: interval,
+            weight: [roast.mass || 0, 0, 'g'],
+            ambientTemp: roast.ambient ?? 0,
+            ambient_humidity: humidity !== null ? round(humidity * 100, 1) : 0,
+            timex: timex,
+            temp1: et,
+            temp2: bt,
+            timeindex: timeindex,
+            extradevices: [ArtisanAlog.VIRTUAL_DEVICE],
+            extraname1: ['Heater'],
+            extraname2: ['Fan'],
+            extratimex: [timex],
+            extratemp1: [series(roast.controls.heater, 100)],
+            extratemp2: [series(roast.controls.fan, 100)],
+            extramathexpression1: [''],
+            extramathexpression2: [''],
+            extradevicecolor1: ['#dc3545'],
+            extradevicecolor2: ['#007bff'],
+            extraLCDvisibility1: [true],
+            extraLCDvisibility2: [true],
+            extraCurveVisibility1: [true],
+            extraCurveVisibility2: [true],
+            extraDelta1: [false],
+            extraDelta2: [false],
+            extraFill1: [0],
+            extraFill2: [0],
+            extraNoneTempHint1: [true],  // Percent, not a temperature (no unit conversion)
+            extraNoneTempHint2: [true],
+            specialevents: [],
+            specialeventstype: [],
+            specialeventsvalue: [],
+            specialeventsStrings: [],
+            computed: computed
+        };
+    }
+
+    /**
+     * Write a value as a Python literal (None/True/False, single-quoted strings)
+     *
+     * @param {*} value - Plain data (objects, arrays, strings, numbers, booleans, null)
+     * @returns {string}
+     */
+    static toPythonLiteral(value) {
+        if (value === null || value === undefined) {
+            return 'None';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(value) : '-1';  // Artisan's missing reading
+        }
+        if (typeof value === 'string') {
+            const escaped = value
+                .replace(/\\/g, '\\\\')
+                .replace(/'/g, "\\'")
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r');
+            return `'${escaped}'`;
+        }
+        if (Array.isArray(value)) {
+            return '[' + value.map((item) => ArtisanAlog.toPythonLiteral(item)).join(', ') + ']';
+        }
+        const entries = Object.entries(value).map(([key, item]) => `${ArtisanAlog.toPythonLiteral(key)}: ${ArtisanAlog.toPythonLiteral(item)}`);
+        return '{' + entries.join(', ') + '}';
+    }
+
+    /**
+     * Write recorded roast data as .alog text
+     *
+     * @param {Object} roast - Simulator roast data
+     * @param {Object} options - See fromRoastData()
+     * @returns {string}
+     */
+    static write(roast, options = {}) {
+        return ArtisanAlog.toPythonLiteral(ArtisanAlog.fromRoastData(roast, options));
+    }
+
+    /**
+     * Read .alog text (a Python literal: dicts, lists, tuples, strings, numbers,
+     * True/False/None) as plain data
+     *
+     * @param {string} text - .alog file contents
+     * @returns {Object} - Profile as plain data (tuples become arrays)
+     */
+    static parse(text) {
+        let position = 0;
+
+        const fail = (message) => {
+            throw new Error(`Invalid .alog file: ${message} at character ${position}`);
+        };
+        const skipSpace = () => {
+            while (position < text.length && /\s/.test(text[position])) position++;
+        };
+        const expect = (char) => {
+            skipSpace();
+            if (text[position] !== char) fail(`expected '${char}'`);
+            position++;
+        };
+
+        // Items up to a closing bracket (a trailing comma is allowed)
+        const sequence = (close, readItem) => {
+            skipSpace();
+            while (text[position] !== close) {
+                readItem();
+                skipSpace();
+                if (text[position] === ',') {
+                    position++;
+                    skipSpace();
+                } else if (text[position] !== close) {
+                    fail(`expected ',' or '${close}'`);
+                }
+            }
+            position++;
+        };
+
+        const readString = () => {
+            // Python 2 era files write u'...' and Artisan never writes raw strings
+            if (/[uUbB]/.test(text[position])) position++;
+            const quote = text[position++];
+            let result = '';
+            while (position < text.length && text[position] !== quote) {
+                let char = text[position++];
+                if (char === '\\') {
+                    const code = text[position++];
+                    const hex = (length) => {
+                        const digits = text.substr(position, length);
+                        if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== length) fail('bad escape');
+                        position += length;
+                        return String.fromCodePoint(parseInt(digits, 16));
+                    };
+                    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', a: '\x07', '0': '\0', '\\': '\\', "'": "'", '"': '"', '\n': '' };
+                    if (code === 'x') char = hex(2);
+                    else if (code === 'u') char = hex(4);
+                    else if (code === 'U') char = hex(8);
+                    else if (code in escapes) char = escapes[code];
+                    else char = '\\' + code;  // Python keeps unknown escapes as written
+                }
+                result += char;
+            }
+            if (position >= text.length) fail('unterminated string');
+            position++;
+            return result;
+        };
+
+        const readValue = () => {
+            skipSpace();
+            const char = text[position];
+            if (char === '{') {
+                position++;
+                const result = {};
+                sequence('}', () => {
+                    const key = readValue();
+                    expect(':');
+                    result[key] = readValue();
+                });
+                return result;
+            }
+            if (char === '[' || char === '(') {
+                position++;
+                const result = [];
+                sequence(char === '[' ? ']' : ')', () => result.push(readValue()));
+                return result;
+            }
+            if (char === "'" || char === '"' || (/[uUbB]/.test(char) && /['"]/.test(text[position + 1]))) {
+                return readString();
+            }
+
+            const match = /^(?:[-+]?(?:\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|True|False|None)/.exec(text.slice(position, position + 64));
+            if (!match) fail('unexpected value');
+            position += match[0].length;
+            if (match[0] === 'True') return true;
+            if (match[0] === 'False') return false;
+            if (match[0] === 'None') return null;
+            return Number(match[0]);
+        };
+
+        const result = readValue();
+        skipSpace();
+        if (position < text.length) fail('unexpected text after the profile');
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            throw new Error('Invalid .alog file: not a profile dict');
+        }
+        return result;
+    }
+
+    /**
+     * Turn an Artisan profile into a simulator background profile, aligned at
+     * CHARGE (time 0) and cut at DROP; temperatures in °C
+     *
+     * @param {Object} profile - Parsed .alog (see parse())
+     * @param {Object} options - Optional {name}
+     * @returns {Object} - {times, temps (BT), metadata, reference: {et: {times, temps},
+     *                      events: [{name, time, temp}]}}, times in minutes
+     */
+    static toBackgroundProfile(profile, options = {}) {
+        const timex = profile.timex;
+        const bt = profile.temp2;
+        const et = profile.temp1 || [];
+        if (!Array.isArray(timex) || !Array.isArray(bt) || timex.length === 0) {
+            throw new Error('The .alog file has no BT samples');
+        }
+
+        const timeindex = profile.timeindex || [];
+        const chargeIndex = timeindex[0] >= 0 ? timeindex[0] : 0;
+        const dropIndex = timeindex[6] > 0 ? Math.min(timeindex[6], timex.length - 1) : timex.length - 1;
+        const celsius = profile.mode === 'F' ? (temp) => (temp - 32) * 5 / 9 : (temp) => temp;
+        const valid = (temp) => Number.isFinite(temp) && temp !== -1;  // Artisan writes -1 for a missing reading
+        const minutes = (index) => Math.round((timex[index] - timex[chargeIndex]) / 60 * 10000) / 10000;
+        const round = (temp) => Math.round(temp * 100) / 100;
+
+        const times = [];
+        const temps = [];
+        const etTimes = [];
+        const etTemps = [];
+        for (let i = chargeIndex; i <= dropIndex; i++) {
+            if (valid(bt[i])) {
+                times.push(minutes(i));
+                temps.push(round(celsius(bt[i])));
+            }
+            if (valid(et[i])) {
+                etTimes.push(minutes(i));
+                etTemps.push(round(celsius(et[i])));
+            }
+        }
+        if (times.length < 2) {
+            throw new Error('The .alog file has no BT curve between CHARGE and DROP');
+        }
+
+        // Events as recorded (TP only lives in 'computed'); CHARGE is index 0 of the curve
+        const events = [];
+        const addEvent = (name, index) => {
+            if (index < chargeIndex || index > dropIndex || !valid(bt[index])) return;
+            events.push({ name: name, time: minutes(index), temp: round(celsius(bt[index])) });
+        };
+        ArtisanAlog.TIMEINDEX_EVENTS.forEach((name, i) => {
+            if (name === 'CHARGE' ? timeindex[i] >= 0 : timeindex[i] > 0) addEvent(name, timeindex[i]);
+        });
+        const computed = profile.computed || {};
+        if (Number.isInteger(computed.TP_idx) && computed.TP_idx > 0) addEvent('TP', computed.TP_idx);
+        events.sort((a, b) => a.time - b.time);
+
+        const title = profile.title && profile.title !== 'Roaster Scope' ? profile.title : '';
+        return {
+            times: times,
+            temps: temps,
+            metadata: {
+                name: options.name || title || 'Artisan roast',
+                description: [profile.beans, profile.roastisodate].filter(Boolean).join(', '),
+                source: 'artisan',
+                duration: times[times.length - 1],
+                startTemp: temps[0],
+                maxTemp: Math.max(...temps),
+                finalTemp: temps[temps.length - 1],
+                weight: Array.isArray(profile.weight) ? profile.weight[0] : null,
+                imported: new Date().toISOString()
+            },
+            reference: {
+                et: { times: etTimes, temps: etTemps },
+                events: events
+            }
+        };
+    }
+
+    /**
+     * Read .alog text as a simulator background profile
+     *
+     * @param {string} text - .alog file contents
+     * @param {Object} options - See toBackgroundProfile()
+     * @returns {Object}
+     */
+    static readBackgroundProfile(text, options = {}) {
+        return ArtisanAlog.toBackgroundProfile(ArtisanAlog.parse(text), options);
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ArtisanAlog };
+}
@@ -0,0 +1,130 @@
+/**
+ * Batch Protocol Module
+ *
+ * Heater/fan settings for the empty roaster between batches, so back-to-back
+ * roasts start from a repeatable drum state:
+ * - PREHEAT: full heat until the bean probe nears the charge temperature
+ * - after DROP: a timed schedule (e.g. heater off and fan up to purge, then
+ *   reheat), with times in minutes since DROP
+ * - otherwise: hold the bean probe at the charge temperature with a
+ *   proportional heater around a bias, until the next charge
+ *
+ * Schedules use the control plan format (see RoasterEngine.controlsFromPlan).
+ * The hold takes over after DROP once the schedule has run out and the probe
+ * is back within holdBand of the charge temperature.
+ */
+
+class BatchProtocol {
+    /**
+     * Default protocol settings
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            chargeTemp: 180.0,      // Bean probe temperature to charge at (°C)
+            preheat: { heater: 1.0, fan: 0.3 },
+            schedule: {             // After DROP, minutes since DROP
+                changes: [
+                    { time: 0.0, heater: 0.0, fan: 0.8 },  // Purge: heater off, fan up
+                    { time: 1.0, heater: 1.0, fan: 0.3 }   // Reheat
+                ]
+            },
+            holdHeater: 0.4,        // Heater bias while holding
+            holdGain: 0.02,         // Extra heater per °C the probe is below chargeTemp
+            holdFan: 0.3,           // Fan while holding
+            holdBand: 5.0           // Hold once the probe is within this many °C of chargeTemp
+        };
+    }
+
+    /**
+     * Create a protocol
+     *
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...BatchProtocol.DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Controls for the empty roaster
+     *
+     * @param {Object} context - Roaster condition
+     * @param {string} context.phase - Engine phase (RoasterEngine.PHASES)
+     * @param {number} context.time - Simulation time in minutes
+     * @param {number|null} context.dropTime - Time of the last DROP in minutes (null if none)
+     * @param {number} context.beanTemp - Bean probe temperature (°C)
+     * @returns {Object} - {heater, fan}
+     */
+    controls(context) {
+        const config = this.config;
+        const nearChargeTemp = context.beanTemp >= config.chargeTemp - config.holdBand;
+
+        if (context.phase === RoasterEngine.PHASES.PREHEAT && !nearChargeTemp) {
+            return { ...config.preheat };
+        }
+
+        if (context.dropTime !== null && context.dropTime !== undefined) {
+            const sinceDrop = context.time - context.dropTime;
+            const lastChange = Math.max(0, ...config.schedule.changes.map((c) => c.time));
+            if (sinceDrop < lastChange || !nearChargeTemp) {
+                return RoasterEngine.controlsFromPlan(config.schedule, sinceDrop, config.preheat);
+            }
+        }
+
+        return this.holdControls(context.beanTemp);
+    }
+
+    /**
+     * Proportional hold at the charge temperature
+     *
+     * @param {number} beanTemp - Bean probe temperature (°C)
+     * @returns {Object} - {heater, fan}
+     */
+    holdControls(beanTemp) {
+        const config = this.config;
+        const heater = config.holdHeater + config.holdGain * (config.chargeTemp - beanTemp);
+        return { heater: Math.max(0, Math.min(1, heater)), fan: config.holdFan };
+    }
+
+    /**
+     * Parse a schedule written as "minutes:heat/fan" steps in percent,
+     * e.g. "0:0/80, 1:100/30"
+     *
+     * @param {string} text - Schedule text
+     * @returns {Object} - {changes: [{time, heater, fan}]}
+     */
+    static parseSchedule(text) {
+        const changes = [];
+        for (const part of text.split(',')) {
+            const item = part.trim();
+            if (!item) continue;
+            const match = item.match(/^([\d.]+)\s*:\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+            if (!match) {
+                throw new Error(`Invalid protocol step "${item}" (expected minutes:heat/fan)`);
+            }
+            changes.push({
+                time: parseFloat(match[1]),
+                heater: Math.min(100, parseFloat(match[2])) / 100,
+                fan: Math.min(100, parseFloat(match[3])) / 100
+            });
+        }
+        changes.sort((a, b) => a.time - b.time);
+        return { changes: changes };
+    }
+
+    /**
+     * Format a schedule for parseSchedule()
+     *
+     * @param {Object} schedule - {changes: [{time, heater, fan}]}
+     * @returns {string}
+     */
+    static formatSchedule(schedule) {
+        return schedule.changes
+            .map((c) => `${c.time}:${Math.round(c.heater * 100)}/${Math.round(c.fan * 100)}`)
+            .join(', ');
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchProtocol };
+}
@@ -0,0 +1,301 @@
+/**
+ * Control Plan Editor
+ *
+ * What-if heater/fan/drum schedule for the simulator. Changes such as
+ * "heat to 40% at +30 s, fan to 70% at +60 s" are added from the sidebar or by
+ * clicking the control chart, and the simulator forecasts the plan next to
+ * the normal forecast. Nothing reaches the roaster until the plan is applied.
+ *
+ * Changes are anchored to absolute roast time, so a step scheduled for +30 s
+ * stays put while the roast runs toward it.
+ */
+
+class ControlPlanEditor {
+    /**
+     * Create the plan editor and bind its sidebar controls
+     *
+     * @param {RoasterSimulator} simulator - Simulator that forecasts and applies the plan
+     */
+    constructor(simulator) {
+        this.simulator = simulator;
+
+        // Plan state
+        this.changes = [];       // Array of {id, time (min), channel: 'heater'|'fan'|'drum', value (0-1)}
+        this.selectedId = null;
+        this.nextChangeId = 0;
+        this.applied = false;    // When true, manual control follows the plan
+
+        this.initializeUI();
+    }
+
+    /**
+     * Bind the sidebar inputs and buttons (missing elements are skipped)
+     */
+    initializeUI() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            }
+        };
+
+        bind('plan-add-btn', 'click', () => this.addFromInputs());
+        bind('plan-remove-btn', 'click', () => this.removeSelected());
+        bind('plan-clear-btn', 'click', () => this.clear());
+        bind('plan-apply-btn', 'click', () => this.setApplied(!this.applied));
+
+        // Editing the inputs updates the selected change in place
+        const updateSelected = () => {
+            if (this.selectedId !== null) {
+                this.updateChange(this.selectedId, this.readInputs());
+            }
+        };
+        bind('plan-channel-select', 'change', updateSelected);
+        bind('plan-offset-input', 'change', updateSelected);
+        bind('plan-value-input', 'change', updateSelected);
+
+        this.render();
+    }
+
+    /**
+     * Current roast time in minutes
+     */
+    now() {
+        return this.simulator.simulationTime / 60;
+    }
+
+    /**
+     * Whether the plan has any changes
+     *
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.changes.length === 0;
+    }
+
+    /**
+     * Read {time, channel, value} from the sidebar inputs
+     * The offset input is in seconds from now, the value input in percent
+     *
+     * @returns {Object}
+     */
+    readInputs() {
+        const channel = document.getElementById('plan-channel-select').value;
+        const offset = parseFloat(document.getElementById('plan-offset-input').value) || 0;
+        const value = parseFloat(document.getElementById('plan-value-input').value) || 0;
+        return {
+            time: this.now() + Math.max(0, offset) / 60,
+            channel: channel,
+            value: Math.max(0, Math.min(100, value)) / 100
+        };
+    }
+
+    /**
+     * Show a change in the sidebar inputs
+     *
+     * @param {Object} change - Plan change
+     */
+    writeInputs(change) {
+        if (!document.getElementById('plan-channel-select')) return;
+        document.getElementById('plan-channel-select').value = change.channel;
+        document.getElementById('plan-offset-input').value = Math.max(0, Math.round((change.time - this.now()) * 60));
+        document.getElementById('plan-value-input').value = Math.round(change.value * 100);
+    }
+
+    /**
+     * Add a change from the sidebar inputs
+     */
+    addFromInputs() {
+        const { time, channel, value } = this.readInputs();
+        this.addChange(time, channel, value);
+    }
+
+    /**
+     * Add a change and select it
+     *
+     * @param {number} time - Roast time in minutes
+     * @param {string} channel - 'heater', 'fan' or 'drum'
+     * @param {number} value - Control value (0-1)
+     */
+    addChange(time, channel, value) {
+        const change = { id: this.nextChangeId++, time: time, channel: channel, value: value };
+        this.changes.push(change);
+        this.changes.sort((a, b) => a.time - b.time);
+        this.selectedId = change.id;
+        this.writeInputs(change);
+        this.changed();
+    }
+
+    /**
+     * Update fields of an existing change
+     *
+     * @param {number} id - Change id
+     * @param {Object} fields - Any of {time, channel, value}
+     */
+    updateChange(id, fields) {
+        const change = this.changes.find((c) => c.id === id);
+        if (!change) return;
+        Object.assign(change, fields);
+        this.changes.sort((a, b) => a.time - b.time);
+        this.changed();
+    }
+
+    /**
+     * Select a change for editing (null to deselect)
+     *
+     * @param {number|null} id - Change id
+     */
+    select(id) {
+        this.selectedId = id;
+        const change = this.changes.find((c) => c.id === id);
+        if (change) {
+            this.writeInputs(change);
+        }
+        this.render();
+    }
+
+    /**
+     * Remove the selected change
+     */
+    removeSelected() {
+        if (this.selectedId === null) return;
+        this.changes = this.changes.filter((c) => c.id !== this.selectedId);
+        this.selectedId = null;
+        this.changed();
+    }
+
+    /**
+     * Remove all changes (also stops applying the plan)
+     */
+    clear() {
+        this.changes = [];
+        this.selectedId = null;
+        this.applied = false;
+        this.changed();
+    }
+
+    /**
+     * Start or stop following the plan in manual control
+     *
+     * @param {boolean} applied
+     */
+    setApplied(applied) {
+        this.applied = applied && !this.isEmpty();
+        console.log(`Control plan ${this.applied ? 'applied' : 'released'}`);
+        this.render();
+    }
+
+    /**
+     * Plan in the engine's format (see RoasterEngine.controlsFromPlan)
+     *
+     * @returns {Object} - {changes: [{time, heater?, fan?, drum?}]}
+     */
+    toPlan() {
+        return {
+            changes: this.changes.map((c) => ({ time: c.time, [c.channel]: c.value }))
+        };
+    }
+
+    /**
+     * Handle a click on the control chart
+     * Clicking a plan marker selects it; clicking any heat/fan/drum trace ahead
+     * of the current time adds a change there for that channel
+     *
+     * @param {Object} data - Plotly click event data
+     * @param {Object} traces - Control chart trace indices per channel {heater: [...], fan: [...], drum: [...]}
+     */
+    handleChartClick(data, traces) {
+        if (!data.points || data.points.length === 0) return;
+        const point = data.points[0];
+
+        // Plan markers carry their change id
+        if (point.customdata !== undefined && point.customdata !== null) {
+            this.select(point.customdata === this.selectedId ? null : point.customdata);
+            return;
+        }
+
+        let channel = null;
+        for (const name of Object.keys(traces)) {
+            if (traces[name].includes(point.curveNumber)) channel = name;
+        }
+        if (!channel || point.x <= this.now()) return;
+
+        this.addChange(point.x, channel, Math.max(0, Math.min(1, point.y)));
+    }
+
+    /**
+     * Step traces for the plan on the control chart
+     * Each channel starts at its current control value; markers sit on the changes
+     *
+     * @param {Object} current - Current {heater, fan, drum}
+     * @param {number} endTime - Last time to draw (minutes)
+     * @returns {Object} - {heater: {x, y, customdata}, fan: {x, y, customdata}, drum: {x, y, customdata}}
+     */
+    getChartTraces(current, endTime) {
+        const now = this.now();
+        const traces = {};
+
+        for (const channel of ['heater', 'fan', 'drum']) {
+            const changes = this.changes.filter((c) => c.channel === channel && c.time > now);
+            if (this.isEmpty()) {
+                traces[channel] = { x: [], y: [], customdata: [] };
+                continue;
+            }
+            const start = RoasterEngine.controlsFromPlan(this.toPlan(), now, current)[channel];
+            traces[channel] = {
+                x: [now, ...changes.map((c) => c.time), Math.max(endTime, now)],
+                y: [start, ...changes.map((c) => c.value), changes.length > 0 ? changes[changes.length - 1].value : start],
+                customdata: [null, ...changes.map((c) => c.id), null]
+            };
+        }
+        return traces;
+    }
+
+    /**
+     * Called after any edit: refresh the sidebar and re-forecast
+     */
+    changed() {
+        if (this.isEmpty()) {
+            this.applied = false;
+        }
+        this.render();
+        this.simulator.onControlPlanChanged();
+    }
+
+    /**
+     * Refresh the list of changes and button states
+     */
+    render() {
+        const list = document.getElementById('plan-steps-list');
+        if (list) {
+            const now = this.now();
+            list.innerHTML = '';
+            if (this.isEmpty()) {
+                list.textContent = 'No steps planned';
+            }
+            for (const change of this.changes) {
+                const item = document.createElement('div');
+                const offset = Math.round((change.time - now) * 60);
+                const label = { heater: 'Heat', fan: 'Fan', drum: 'Drum' }[change.channel];
+                item.textContent = `${offset >= 0 ? '+' : ''}${offset}s  ${label} → ${Math.round(change.value * 100)}%`;
+                item.style.cursor = 'pointer';
+                item.style.padding = '2px 4px';
+                item.style.borderRadius = '3px';
+                if (change.id === this.selectedId) {
+                    item.style.backgroundColor = '#e8d5c4';
+                }
+                item.addEventListener('click', () => this.select(change.id === this.selectedId ? null : change.id));
+                list.appendChild(item);
+            }
+        }
+
+        const removeButton = document.getElementById('plan-remove-btn');
+        if (removeButton) removeButton.disabled = this.selectedId === null;
+
+        const applyButton = document.getElementById('plan-apply-btn');
+        if (applyButton) {
+            applyButton.disabled = this.isEmpty();
+            applyButton.textContent = this.applied ? 'Release Plan' : 'Apply Plan';
+        }
+    }
+}
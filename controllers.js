@@ -4,6 +4,7 @@
  * Implements various control strategies for the coffee roaster:
  * - PID Controller: Classic proportional-integral-derivative control
  * - Neural Controller: MPC-trained neural network controller (future)
+ * - Closed-Loop Policy: runs a cloned controller inside forecast rollouts
  */
 
 /**
@@ -63,9 +64,12 @@ class PIDController {
      * @param {number} setpoint - Desired value (target temperature in °C)
      * @param {number} measurement - Current measured value (current temperature in °C)
      * @param {number} currentTime - Current time in seconds
+     * @param {number|null} rateOfRise - Smoothed measurement rate of rise in °C/min (see rate-of-rise.js);
+     *                                   when given, the derivative acts on it instead of differencing
+     *                                   the error, so probe noise and setpoint steps don't kick the output
      * @returns {number} - Control output (0.0 to 1.0)
      */
-    compute(setpoint, measurement, currentTime) {
+    compute(setpoint, measurement, currentTime, rateOfRise = null) {
         // Calculate error
         const error = setpoint - measurement;
         
@@ -89,7 +93,8 @@ class PIDController {
         const I = this.Ki * this.integral;
         
         // Derivative term: responds to rate of change of error
-        const derivative = (error - this.previousError) / dt;
+        // (or, on measurement, to the measurement falling: -RoR in °C/s)
+        const derivative = rateOfRise !== null ? -rateOfRise / 60 : (error - this.previousError) / dt;
         const D = this.Kd * derivative;
         
         // Compute total output
@@ -165,6 +170,50 @@ class PIDController {
             integral: this.integral
         };
     }
+    
+    /**
+     * Get gains, limits and internal state as a plain object
+     * 
+     * @returns {Object} - Serializable controller state
+     */
+    getState() {
+        return {
+            Kp: this.Kp,
+            Ki: this.Ki,
+            Kd: this.Kd,
+            outputMin: this.outputMin,
+            outputMax: this.outputMax,
+            integralMin: this.integralMin,
+            integralMax: this.integralMax,
+            integral: this.integral,
+            previousError: this.previousError,
+            previousTime: this.previousTime,
+            lastP: this.lastP,
+            lastI: this.lastI,
+            lastD: this.lastD,
+            lastOutput: this.lastOutput
+        };
+    }
+    
+    /**
+     * Restore state from getState()
+     * 
+     * @param {Object} state - Controller state
+     */
+    setState(state) {
+        Object.assign(this, state);
+    }
+    
+    /**
+     * Create an independent copy (e.g. to run inside a forecast)
+     * 
+     * @returns {PIDController}
+     */
+    clone() {
+        const copy = new PIDController();
+        copy.setState(this.getState());
+        return copy;
+    }
 }
 
 
@@ -204,16 +253,17 @@ class DualPIDController {
      * @param {number} setpoint - Target temperature in °C
      * @param {number} measurement - Current temperature in °C
      * @param {number} currentTime - Current time in seconds
+     * @param {number|null} rateOfRise - Smoothed measurement RoR in °C/min (see PIDController.compute)
      * @returns {Object} - {heater: number, fan: number}
      */
-    compute(setpoint, measurement, currentTime) {
+    compute(setpoint, measurement, currentTime, rateOfRise = null) {
         const error = setpoint - measurement;
         
         // Heater control: increases when below setpoint
         let heater = 0.0;
         if (error > 0) {
             // Below setpoint - apply heat
-            heater = this.heaterPID.compute(setpoint, measurement, currentTime);
+            heater = this.heaterPID.compute(setpoint, measurement, currentTime, rateOfRise);
         } else {
             // At or above setpoint - no heat, reset heater PID
             this.heaterPID.reset();
@@ -223,8 +273,10 @@ class DualPIDController {
         // Fan control: increases when above setpoint or rate is too high
         let fan = this.fanBaseline;  // Start with baseline
         if (error < 0) {
-            // Above setpoint - increase fan to cool
-            const fanAdjust = this.fanPID.compute(measurement, setpoint, currentTime);
+            // Above setpoint - increase fan to cool (setpoint and measurement swap roles,
+            // so the measurement's RoR enters with the opposite sign)
+            const fanAdjust = this.fanPID.compute(measurement, setpoint, currentTime,
+                rateOfRise !== null ? -rateOfRise : null);
             fan = this.fanBaseline + fanAdjust;
         } else {
             // Below setpoint - reset fan PID but maintain baseline
@@ -275,6 +327,41 @@ class DualPIDController {
             fan: this.fanPID.getDiagnostics()
         };
     }
+    
+    /**
+     * Get both PID states as a plain object
+     * 
+     * @returns {Object} - {heater: Object, fan: Object, fanBaseline: number}
+     */
+    getState() {
+        return {
+            heater: this.heaterPID.getState(),
+            fan: this.fanPID.getState(),
+            fanBaseline: this.fanBaseline
+        };
+    }
+    
+    /**
+     * Restore state from getState()
+     * 
+     * @param {Object} state - Controller state
+     */
+    setState(state) {
+        this.heaterPID.setState(state.heater);
+        this.fanPID.setState(state.fan);
+        this.fanBaseline = state.fanBaseline;
+    }
+    
+    /**
+     * Create an independent copy (e.g. to run inside a forecast)
+     * 
+     * @returns {DualPIDController}
+     */
+    clone() {
+        const copy = new DualPIDController();
+        copy.setState(this.getState());
+        return copy;
+    }
 }
 
 
@@ -467,4 +554,209 @@ class NeuralController {
         
         console.log('NeuralController reset');
     }
+    
+    /**
+     * Get the history buffers as a plain object
+     * 
+     * @returns {Object} - {pastStatesBuffer, pastActionsBuffer}
+     */
+    getState() {
+        return {
+            pastStatesBuffer: [...this.pastStatesBuffer],
+            pastActionsBuffer: this.pastActionsBuffer.map((a) => [...a])
+        };
+    }
+    
+    /**
+     * Restore history buffers from getState()
+     * 
+     * @param {Object} state - Controller state
+     */
+    setState(state) {
+        this.pastStatesBuffer = [...state.pastStatesBuffer];
+        this.pastActionsBuffer = state.pastActionsBuffer.map((a) => [...a]);
+    }
+    
+    /**
+     * Create an independent copy sharing the ONNX session and config
+     * Skips the constructor so forecasts don't log on every clone
+     * 
+     * @returns {NeuralController}
+     */
+    clone() {
+        const copy = Object.create(NeuralController.prototype);
+        Object.assign(copy, this);
+        copy.setState(this.getState());
+        return copy;
+    }
+}
+
+
+/**
+ * Closed-Loop Policy
+ * 
+ * Wraps a controller and its setpoint source so a forecast rollout can ask
+ * "what would the controller do from this predicted state?" at every step.
+ * Policies are described by plain-object specs so they can be rebuilt
+ * inside the forecast worker:
+ * 
+ *   {type: 'pid', state, fan, profile}   - heater from PID, fan held constant
+ *   {type: 'dualpid', state, profile}    - heater and fan from DualPIDController
+ *   {type: 'neural', state, profile}     - heater and fan from NeuralController
+ * 
+ * where state is the controller's getState() and profile is {times, temps}.
+ */
+class ClosedLoopPolicy {
+    /**
+     * Create a closed-loop policy
+     * 
+     * @param {string} type - 'pid', 'dualpid' or 'neural'
+     * @param {Object} controller - Controller instance (already cloned; it is mutated during the rollout)
+     * @param {Object} profile - Reference profile {times, temps} (times in minutes, temps in °C)
+     * @param {Object} options - {fan: fixed fan for 'pid' policies (0-1)}
+     */
+    constructor(type, controller, profile, options = {}) {
+        this.type = type;
+        this.controller = controller;
+        this.profile = profile;
+        this.fan = options.fan ?? 0.5;
+    }
+    
+    /**
+     * Build a policy from a spec
+     * 
+     * @param {Object} spec - Policy spec (see class comment)
+     * @param {Object} deps - {neuralSession, neuralConfig} needed for 'neural' specs
+     * @returns {ClosedLoopPolicy}
+     */
+    static fromSpec(spec, deps = {}) {
+        let controller;
+        switch (spec.type) {
+            case 'pid':
+                controller = new PIDController();
+                break;
+            case 'dualpid':
+                controller = new DualPIDController();
+                break;
+            case 'neural':
+                if (!deps.neuralSession || !deps.neuralConfig) {
+                    throw new Error('Neural policy requires the control policy session and config');
+                }
+                // Build without the constructor's logging, then fill in from the config
+                controller = Object.create(NeuralController.prototype);
+                Object.assign(controller, {
+                    session: deps.neuralSession,
+                    config: deps.neuralConfig,
+                    simulator: null,
+                    nHorizon: deps.neuralConfig.mpc_parameters.n_horizon,
+                    dstep: deps.neuralConfig.mpc_parameters.dstep,
+                    nPastStates: deps.neuralConfig.mpc_parameters.n_past_states,
+                    nSamples: deps.neuralConfig.mpc_parameters.n_samples,
+                    inputDim: deps.neuralConfig.policy_network.input_dim,
+                    inputBreakdown: deps.neuralConfig.policy_network.input_breakdown
+                });
+                break;
+            default:
+                throw new Error(`Unknown policy type: ${spec.type}`);
+        }
+        
+        controller.setState(spec.state);
+        return new ClosedLoopPolicy(spec.type, controller, spec.profile, { fan: spec.fan });
+    }
+    
+    /**
+     * Copy this policy with an independent copy of its controller
+     * (ensemble forecasts run one copy per member)
+     * 
+     * @returns {ClosedLoopPolicy}
+     */
+    clone() {
+        return new ClosedLoopPolicy(this.type, this.controller.clone(), this.profile, { fan: this.fan });
+    }
+    
+    /**
+     * Interpolate a reference profile at a given time
+     * Clamps to the first/last point outside the profile range
+     * 
+     * @param {Object} profile - {times, temps}
+     * @param {number} time - Time in minutes
+     * @param {number} fallback - Value returned when there is no profile
+     * @returns {number} - Setpoint in °C
+     */
+    static setpointFromProfile(profile, time, fallback) {
+        if (!profile || !profile.times || profile.times.length === 0) {
+            return fallback;
+        }
+        
+        const times = profile.times;
+        const temps = profile.temps;
+        
+        if (time <= times[0]) {
+            return temps[0];
+        }
+        if (time >= times[times.length - 1]) {
+            return temps[temps.length - 1];
+        }
+        
+        // Find surrounding points for linear interpolation
+        let i = 0;
+        while (i < times.length - 1 && times[i + 1] < time) {
+            i++;
+        }
+        
+        const fraction = (time - times[i]) / (times[i + 1] - times[i]);
+        return temps[i] + fraction * (temps[i + 1] - temps[i]);
+    }
+    
+    /**
+     * Compute the control action for one forecast step
+     * 
+     * @param {Object} context - Rollout context
+     * @param {Float32Array} context.state - Predicted normalized state before the step
+     * @param {number} context.time - Time at the end of the step (minutes)
+     * @param {number} context.timestep - Rollout timestep (seconds)
+     * @param {number} context.rateOfRise - Smoothed bean probe RoR at context.state (°C/min, as the
+     *                                      simulator's RoR method computes it along the rollout)
+     * @param {number} context.drum - Drum speed for the step (0-1)
+     * @param {number} context.humidity - Humidity for the step
+     * @param {Function} context.generateForecast - (heat, fan, horizon) => open-loop forecast from context.state
+     *                                              (at the step's drum speed and humidity)
+     * @returns {Promise<Object>} - {heater, fan}; drum speed and humidity are left to the rollout,
+     *                              which accepts an optional drum/humidity in the action
+     */
+    async compute(context) {
+        const measurement = context.state[3] * 100.0;  // T_bm in °C
+        const getSetpoint = (time) => ClosedLoopPolicy.setpointFromProfile(this.profile, time, measurement);
+        const simulationTime = context.time * 60;
+        const rateOfRise = context.rateOfRise ?? null;
+        
+        switch (this.type) {
+            case 'pid':
+                return {
+                    heater: this.controller.compute(getSetpoint(context.time), measurement, simulationTime, rateOfRise),
+                    fan: this.fan
+                };
+                
+            case 'dualpid':
+                return this.controller.compute(getSetpoint(context.time), measurement, simulationTime, rateOfRise);
+                
+            case 'neural': {
+                const actions = await this.controller.compute({
+                    currentState: context.state,
+                    currentTime: context.time,
+                    getSetpoint: getSetpoint,
+                    // Only as far ahead as the policy samples (same as the live controller)
+                    generateForecast: (heat, fan) => context.generateForecast(
+                        heat, fan, this.controller.nSamples * this.controller.dstep + context.timestep
+                    )
+                });
+                return { heater: actions.heat, fan: actions.fan };
+            }
+        }
+    }
+}
+
+// Export for Node (the browser picks up the global classes)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PIDController, DualPIDController, NeuralController, ClosedLoopPolicy };
 }
@@ -0,0 +1,302 @@
+/**
+ * Disturbance Scenario Module
+ *
+ * Timelines of disturbances and faults applied during a simulated run, for
+ * operator training and for stress-testing controllers. A scenario is plain
+ * JSON:
+ *
+ *   {
+ *     "name": "Gas pressure drop",
+ *     "events": [
+ *       { "type": "heaterEffectiveness", "start": 3.0, "end": 5.0, "value": 0.6 },
+ *       { "type": "stuckFan", "start": 4.0, "value": 0.5 }
+ *     ]
+ *   }
+ *
+ * Times are minutes of simulation time (since CHARGE). An event without
+ * `end` lasts until the end of the run. Event types:
+ * - heaterEffectiveness: heater command reaching the burner is scaled by `value`
+ *   (e.g. 0.6 for a gas pressure drop)
+ * - stuckFan: the fan stays at `value` whatever is commanded
+ * - ambientSwing: ambient temperature offset by `value` °C; `shape` "step"
+ *   (default) or "ramp" (linear from 0 at start to `value` at end)
+ * - doorOpen: air temperature shock; T_air and the env probe drop by
+ *   `airDrop` °C, at `start` or spread over [start, end]
+ * - probeDropout: the `probe` ("bean" or "airMeasured") reads `reading` °C,
+ *   or holds its last good value when `reading` is "hold" (default)
+ *
+ * Commands are changed on their way to the roaster (applyToControls), the
+ * latent state is changed after a step (applyToState) and probe readings are
+ * changed on their way to the display and controllers (measure).
+ */
+
+class DisturbanceScenario {
+    /**
+     * Supported event types and their required fields
+     */
+    static get EVENT_TYPES() {
+        return {
+            heaterEffectiveness: ['value'],
+            stuckFan: ['value'],
+            ambientSwing: ['value'],
+            doorOpen: ['airDrop'],
+            probeDropout: ['probe']
+        };
+    }
+
+    /**
+     * Built-in scenarios
+     */
+    static get PRESETS() {
+        return {
+            gasPressureDrop: {
+                name: 'Gas pressure drop',
+                events: [{ type: 'heaterEffectiveness', start: 3.0, end: 5.5, value: 0.6 }]
+            },
+            ambientSwing: {
+                name: 'Ambient temperature swing',
+                events: [{ type: 'ambientSwing', start: 1.0, end: 6.0, value: -12, shape: 'ramp' }]
+            },
+            doorOpen: {
+                name: 'Door opened mid-roast',
+                events: [{ type: 'doorOpen', start: 4.0, end: 4.25, airDrop: 60 }]
+            },
+            probeDropout: {
+                name: 'Bean probe dropout',
+                events: [{ type: 'probeDropout', start: 4.5, end: 5.0, probe: 'bean', reading: 'hold' }]
+            },
+            stuckFan: {
+                name: 'Stuck fan',
+                events: [{ type: 'stuckFan', start: 2.0, value: 0.3 }]
+            }
+        };
+    }
+
+    /**
+     * Parse a scenario from JSON text
+     *
+     * @param {string} text - Scenario JSON
+     * @returns {DisturbanceScenario}
+     */
+    static fromJSON(text) {
+        return new DisturbanceScenario(JSON.parse(text));
+    }
+
+    /**
+     * Create a scenario
+     *
+     * @param {Object} definition - {name, events: [{type, start, end?, ...}]}
+     */
+    constructor(definition) {
+        if (!definition || !Array.isArray(definition.events)) {
+            throw new Error('Scenario needs an "events" array');
+        }
+
+        const types = DisturbanceScenario.EVENT_TYPES;
+        for (const event of definition.events) {
+            if (!types[event.type]) {
+                throw new Error(`Unknown disturbance type: ${event.type}`);
+            }
+            if (event.type === 'probeDropout' && !['bean', 'airMeasured'].includes(event.probe)) {
+                throw new Error(`Unknown probe: ${event.probe} (expected "bean" or "airMeasured")`);
+            }
+            if (!Number.isFinite(event.start)) {
+                throw new Error(`Disturbance ${event.type} needs a numeric "start" (minutes)`);
+            }
+            for (const field of types[event.type]) {
+                if (event[field] === undefined) {
+                    throw new Error(`Disturbance ${event.type} needs "${field}"`);
+                }
+            }
+        }
+
+        this.name = definition.name || 'Custom scenario';
+        this.events = definition.events.map((event) => ({ ...event }));
+        this.reset();
+    }
+
+    /**
+     * Forget per-run state (call when a run starts)
+     */
+    reset() {
+        this.lastGoodReadings = {};  // probe -> last reading outside a dropout
+        this.shocksApplied = new Set();  // indices of instantaneous door openings already applied
+    }
+
+    /**
+     * Per-run state as plain data (for rewinding a run)
+     *
+     * @returns {Object} - {lastGoodReadings, shocksApplied}
+     */
+    getState() {
+        return {
+            lastGoodReadings: { ...this.lastGoodReadings },
+            shocksApplied: Array.from(this.shocksApplied)
+        };
+    }
+
+    /**
+     * Restore per-run state from getState()
+     *
+     * @param {Object} state
+     */
+    setState(state) {
+        this.lastGoodReadings = { ...state.lastGoodReadings };
+        this.shocksApplied = new Set(state.shocksApplied);
+    }
+
+    /**
+     * Whether an event is active at a time
+     *
+     * @param {Object} event - Scenario event
+     * @param {number} time - Time in minutes
+     * @returns {boolean}
+     */
+    isActive(event, time) {
+        if (event.type === 'doorOpen' && event.end === undefined) {
+            return false;  // One-shot, applied once by applyToState
+        }
+        return time >= event.start && (event.end === undefined || time < event.end);
+    }
+
+    /**
+     * Events active at a time
+     *
+     * @param {number} time - Time in minutes
+     * @returns {Array<Object>}
+     */
+    activeEvents(time) {
+        return this.events.filter((event) => this.isActive(event, time));
+    }
+
+    /**
+     * Controls that actually reach the roaster
+     *
+     * @param {number} time - Time in minutes
+     * @param {Object} controls - Commanded {heater, fan}
+     * @returns {Object} - Applied {heater, fan}
+     */
+    applyToControls(time, controls) {
+        const applied = { ...controls };
+        for (const event of this.activeEvents(time)) {
+            if (event.type === 'heaterEffectiveness') {
+                applied.heater = Math.max(0, Math.min(1, applied.heater * event.value));
+            } else if (event.type === 'stuckFan') {
+                applied.fan = event.value;
+            }
+        }
+        return applied;
+    }
+
+    /**
+     * Ambient temperature offset at a time
+     *
+     * @param {number} time - Time in minutes
+     * @returns {number} - Offset in °C
+     */
+    ambientOffset(time) {
+        let offset = 0;
+        for (const event of this.activeEvents(time)) {
+            if (event.type !== 'ambientSwing') continue;
+            if (event.shape === 'ramp' && event.end !== undefined) {
+                offset += event.value * (time - event.start) / (event.end - event.start);
+            } else {
+                offset += event.value;
+            }
+        }
+        return offset;
+    }
+
+    /**
+     * Apply state shocks for one step
+     *
+     * @param {number} time - Time at the end of the step (minutes)
+     * @param {number} stepMinutes - Step length in minutes
+     * @param {Float32Array} state - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     * @param {number} tempScale - Temperature normalization (°C per unit)
+     * @returns {Float32Array} - Shocked state (a copy), or the input if nothing applies
+     */
+    applyToState(time, stepMinutes, state, tempScale) {
+        let drop = 0;
+        this.events.forEach((event, index) => {
+            if (event.type !== 'doorOpen') return;
+            if (event.end === undefined) {
+                // Instantaneous: the first step at or after start
+                if (time >= event.start && !this.shocksApplied.has(index)) {
+                    this.shocksApplied.add(index);
+                    drop += event.airDrop;
+                }
+            } else if (this.isActive(event, time)) {
+                drop += event.airDrop * Math.min(1, stepMinutes / (event.end - event.start));
+            }
+        });
+
+        if (drop === 0) {
+            return state;
+        }
+        const shocked = new Float32Array(state);
+        shocked[2] -= drop / tempScale;  // T_air
+        shocked[4] -= drop / tempScale;  // T_atm (env probe)
+        return shocked;
+    }
+
+    /**
+     * Probe readings as the display and controllers see them
+     *
+     * @param {number} time - Time in minutes
+     * @param {Object} readings - True {bean, airMeasured} probe temperatures (°C)
+     * @returns {Object} - Measured {bean, airMeasured}
+     */
+    measure(time, readings) {
+        const measured = { ...readings };
+        const droppedOut = new Set();
+        for (const event of this.activeEvents(time)) {
+            if (event.type !== 'probeDropout') continue;
+            droppedOut.add(event.probe);
+            const reading = event.reading ?? 'hold';
+            measured[event.probe] = reading === 'hold'
+                ? (this.lastGoodReadings[event.probe] ?? readings[event.probe])
+                : reading;
+        }
+
+        for (const probe of Object.keys(readings)) {
+            if (!droppedOut.has(probe)) {
+                this.lastGoodReadings[probe] = readings[probe];
+            }
+        }
+        return measured;
+    }
+
+    /**
+     * Short labels for the disturbances active at a time
+     *
+     * @param {number} time - Time in minutes
+     * @returns {Array<string>}
+     */
+    describeActive(time) {
+        return this.activeEvents(time).map((event) => {
+            switch (event.type) {
+                case 'heaterEffectiveness': return `Heater at ${Math.round(event.value * 100)}% effectiveness`;
+                case 'stuckFan': return `Fan stuck at ${Math.round(event.value * 100)}%`;
+                case 'ambientSwing': return `Ambient ${this.ambientOffset(time) >= 0 ? '+' : ''}${this.ambientOffset(time).toFixed(1)}°C`;
+                case 'doorOpen': return `Door open (-${event.airDrop}°C air)`;
+                case 'probeDropout': return `${event.probe === 'bean' ? 'Bean' : 'Air'} probe dropout`;
+                default: return event.type;
+            }
+        });
+    }
+
+    /**
+     * Scenario as plain data (for saving with a roast)
+     *
+     * @returns {Object} - {name, events}
+     */
+    toJSON() {
+        return { name: this.name, events: this.events.map((event) => ({ ...event })) };
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DisturbanceScenario };
+}
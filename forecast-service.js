@@ -0,0 +1,276 @@
+/**
+ * Forecast Service Module
+ *
+ * Main-thread client for forecast-worker.js. Forecast rollouts (hundreds of
+ * sequential ONNX calls) run in a Web Worker with its own ONNX sessions so
+ * the simulation loop and UI stay responsive.
+ *
+ * Two ways to ask for a forecast:
+ * - compute(): awaited, never dropped (used by controllers that need a forecast to act)
+ * - request(): fire-and-forget for display; while one is in flight, newer
+ *   requests replace any queued one so only the latest is computed. Requests
+ *   on different channels (e.g. the live forecast and a what-if plan) are
+ *   coalesced separately so neither starves the other
+ *
+ * Either can be closed-loop: pass `policy`, a ClosedLoopPolicy spec
+ * (controllers.js), and the rollout runs with a copy of the active controller
+ * choosing the controls at every step. Pass `ensemble` to add percentile
+ * bands from perturbed rollouts.
+ *
+ * Falls back to computing on the main thread with the engine when workers are
+ * unavailable (Node, file:// pages, worker load errors).
+ */
+
+class ForecastService {
+    /**
+     * Create a forecast service
+     *
+     * @param {RoasterEngine} engine - Engine whose state is forecast
+     * @param {Object} options - Service options
+     * @param {string} options.workerUrl - Worker script URL (default 'forecast-worker.js')
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.workerUrl = options.workerUrl || 'forecast-worker.js';
+
+        // Worker handle and outstanding calls by message id
+        this.worker = null;
+        this.nextId = 1;
+        this.pendingCalls = new Map();
+
+        // Coalescing state for display requests, per channel: {inFlight, queuedRequest}
+        this.channels = new Map();
+        this.generation = 0;     // Bumped by invalidate(); stale results are discarded
+        this.droppedCount = 0;   // Display requests replaced before they ran (diagnostics)
+
+        // Neural controller session and metadata for local closed-loop forecasts
+        this.policyDeps = {};
+    }
+
+    /**
+     * Start the worker and load its ONNX sessions
+     * Resolves even if the worker cannot start (the service then runs locally)
+     *
+     * @param {Object} options - {basePath, beanModel, ensembleBeanModels}
+     */
+    async init(options = {}) {
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Workers unavailable - forecasts will run on the main thread');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.error('Forecast worker error:', e.message);
+                this.fallBackToLocal(new Error(e.message || 'Forecast worker failed'));
+            };
+
+            await this.call('init', {
+                basePath: options.basePath || 'onnx_models',
+                beanModel: options.beanModel,
+                ensembleBeanModels: options.ensembleBeanModels,
+                timestep: this.engine.timestep,
+                preheatTemp: this.engine.preheatTemp
+            });
+            console.log('Forecast worker ready');
+        } catch (error) {
+            console.warn('Forecast worker unavailable - forecasts will run on the main thread:', error.message);
+            this.fallBackToLocal(error);
+        }
+    }
+
+    /**
+     * Whether forecasts run in the worker
+     *
+     * @returns {boolean}
+     */
+    get usingWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Stop using the worker and fail any outstanding calls
+     *
+     * @param {Error} error - Reason passed to outstanding calls
+     */
+    fallBackToLocal(error) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const { reject } of this.pendingCalls.values()) {
+            reject(error);
+        }
+        this.pendingCalls.clear();
+    }
+
+    /**
+     * Send a message to the worker and wait for its response
+     *
+     * @param {string} type - Message type
+     * @param {Object} payload - Message fields
+     * @returns {Promise<Object>} - Response message
+     */
+    call(type, payload) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pendingCalls.set(id, { resolve, reject });
+            this.worker.postMessage({ type: type, id: id, ...payload });
+        });
+    }
+
+    /**
+     * Route a worker response to its caller
+     *
+     * @param {Object} message - Response message
+     */
+    handleMessage(message) {
+        const pending = this.pendingCalls.get(message.id);
+        if (!pending) return;
+        this.pendingCalls.delete(message.id);
+
+        if (message.type === 'error') {
+            pending.reject(new Error(message.message));
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    /**
+     * Swap the bean model used by the worker
+     *
+     * @param {string} beanModel - Bean model filename
+     */
+    async setBeanModel(beanModel) {
+        if (this.usingWorker) {
+            await this.call('setBeanModel', { beanModel: beanModel });
+        }
+    }
+
+    /**
+     * Make the neural controller available to closed-loop forecasts
+     * The worker loads its own copy of control_policy.onnx
+     *
+     * @param {Object} config - Parsed controller_metadata.yaml
+     * @param {Object} session - Main-thread control policy session (used when running locally)
+     */
+    async setNeuralController(config, session) {
+        this.policyDeps = { neuralConfig: config, neuralSession: session };
+        if (this.usingWorker) {
+            await this.call('setNeuralController', { config: config });
+        }
+    }
+
+    /**
+     * Compute a forecast from the engine's current state (awaited, never dropped)
+     *
+     * @param {Object} options - {heater, fan, drum, humidity, horizon, plan, policy, ensemble, rateOfRise, history}
+     *                           (see RoasterEngine.computeForecast; policy is a ClosedLoopPolicy spec)
+     * @returns {Promise<Object>} - Forecast trajectory
+     */
+    async compute(options) {
+        if (!this.usingWorker) {
+            return this.engine.computeForecast({
+                ...options,
+                policy: options.policy ? ClosedLoopPolicy.fromSpec(options.policy, this.policyDeps) : null
+            });
+        }
+
+        const response = await this.call('forecast', {
+            snapshot: this.engine.getSnapshot(),
+            heater: options.heater,
+            fan: options.fan,
+            drum: options.drum,
+            humidity: options.humidity,
+            horizon: options.horizon,
+            plan: options.plan || null,
+            policy: options.policy || null,
+            ensemble: options.ensemble || null,
+            rateOfRise: options.rateOfRise || null,
+            history: options.history || null
+        });
+        return response.forecast;
+    }
+
+    /**
+     * Request a display forecast without waiting for it
+     * If a request on the same channel is already in flight, this one replaces
+     * any queued request on that channel and runs when the current one finishes.
+     *
+     * @param {Object} options - {heater, fan, drum, humidity, horizon, plan, policy, ensemble, rateOfRise, history}
+     * @param {Function} onResult - Called with the forecast (skipped if invalidated meanwhile)
+     * @param {string} channel - Coalescing channel (default 'display')
+     */
+    request(options, onResult, channel = 'display') {
+        const request = {
+            options: options,
+            onResult: onResult,
+            generation: this.generation
+        };
+
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, { inFlight: false, queuedRequest: null });
+        }
+        const state = this.channels.get(channel);
+
+        if (state.inFlight) {
+            if (state.queuedRequest) {
+                this.droppedCount += 1;
+            }
+            state.queuedRequest = request;
+            return;
+        }
+
+        this.dispatch(request, state);
+    }
+
+    /**
+     * Run a display request and then any request queued behind it
+     *
+     * @param {Object} request - Queued request
+     * @param {Object} state - Channel state {inFlight, queuedRequest}
+     */
+    dispatch(request, state) {
+        state.inFlight = true;
+        this.compute(request.options)
+            .then((forecast) => {
+                if (request.generation === this.generation) {
+                    request.onResult(forecast);
+                }
+            })
+            .catch((error) => console.error('Forecast error:', error))
+            .finally(() => {
+                state.inFlight = false;
+                const next = state.queuedRequest;
+                state.queuedRequest = null;
+                if (next && next.generation === this.generation) {
+                    this.dispatch(next, state);
+                }
+            });
+    }
+
+    /**
+     * Discard queued and in-flight display results
+     * Call when the roast is charged, dropped or reset
+     */
+    invalidate() {
+        this.generation += 1;
+        for (const state of this.channels.values()) {
+            state.queuedRequest = null;
+        }
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.fallBackToLocal(new Error('Forecast service terminated'));
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ForecastService };
+}
@@ -0,0 +1,113 @@
+/**
+ * Forecast Worker
+ *
+ * Web Worker that owns its own ONNX sessions and computes forecast
+ * trajectories off the main thread. Driven by ForecastService
+ * (forecast-service.js).
+ *
+ * Messages in:
+ * - {type: 'init', id, basePath, beanModel, ensembleBeanModels, timestep, preheatTemp}
+ * - {type: 'setBeanModel', id, beanModel}
+ * - {type: 'setNeuralController', id, config}
+ * - {type: 'forecast', id, snapshot, heater, fan, drum, humidity, horizon, plan, policy, ensemble, rateOfRise, history}
+ *
+ * `drum`/`humidity` default to the snapshot's fixedParams.
+ * `plan` is an optional control schedule (see RoasterEngine.controlsFromPlan).
+ * `policy` is an optional ClosedLoopPolicy spec (controllers.js); when given,
+ * the rollout runs with a rebuilt controller in the loop. `ensemble` is an
+ * optional {members, robustness, percentiles} for percentile bands.
+ * `rateOfRise` is the RoR settings (rate-of-rise.js) and `history` the recorded
+ * bean probe {time, bean} leading up to the snapshot.
+ *
+ * Messages out:
+ * - {type: 'ready', id}
+ * - {type: 'forecast', id, forecast}
+ * - {type: 'error', id, message}
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.16.3/dist/ort.min.js',
+    'rate-of-rise.js',
+    'random-sampling.js',
+    'roaster-engine.js',
+    'controllers.js'
+);
+
+// Engine used only for forecasting; its state is replaced by each request's snapshot
+let engine = null;
+let basePath = 'onnx_models';
+
+// Session and metadata for rebuilding the neural controller in closed-loop forecasts
+const policyDeps = {};
+
+// ONNX sessions are not safe to run concurrently, so handle one message at a time
+let queue = Promise.resolve();
+
+/**
+ * Handle a single request message
+ *
+ * @param {Object} message - Request message
+ * @returns {Promise<Object>} - Response message (without id)
+ */
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'init': {
+            basePath = message.basePath || basePath;
+            const sessions = await RoasterEngine.loadSessions(ort, {
+                basePath: basePath,
+                beanModel: message.beanModel,
+                ensembleBeanModels: message.ensembleBeanModels
+            });
+            engine = new RoasterEngine({
+                ort: ort,
+                sessions: sessions,
+                timestep: message.timestep,
+                preheatTemp: message.preheatTemp
+            });
+            return { type: 'ready' };
+        }
+
+        case 'setBeanModel': {
+            const beanModel = await ort.InferenceSession.create(`${basePath}/${message.beanModel}`);
+            engine.setSessions({ beanModel: beanModel });
+            return { type: 'ready' };
+        }
+
+        case 'setNeuralController': {
+            policyDeps.neuralSession = await ort.InferenceSession.create(`${basePath}/control_policy.onnx`);
+            policyDeps.neuralConfig = message.config;
+            return { type: 'ready' };
+        }
+
+        case 'forecast': {
+            if (!engine) {
+                throw new Error('Forecast worker not initialized');
+            }
+            engine.restoreSnapshot(message.snapshot);
+            const forecast = await engine.computeForecast({
+                heater: message.heater,
+                fan: message.fan,
+                drum: message.drum,
+                humidity: message.humidity,
+                horizon: message.horizon,
+                plan: message.plan || null,
+                policy: message.policy ? ClosedLoopPolicy.fromSpec(message.policy, policyDeps) : null,
+                ensemble: message.ensemble || null,
+                rateOfRise: message.rateOfRise || null,
+                history: message.history || null
+            });
+            return { type: 'forecast', forecast: forecast };
+        }
+
+        default:
+            throw new Error(`Unknown message type: ${message.type}`);
+    }
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+    queue = queue
+        .then(() => handleMessage(message))
+        .then((response) => self.postMessage({ ...response, id: message.id }))
+        .catch((error) => self.postMessage({ type: 'error', id: message.id, message: error.message }));
+};
@@ -0,0 +1,284 @@
+/**
+ * MQTT Telemetry Module
+ *
+ * Publishes simulator state to an MQTT broker so simulated runs appear next
+ * to production roasters in MQTT-based monitoring (Grafana, Node-RED, ...),
+ * and accepts control commands from it. Used by the browser simulator (MQTT
+ * over WebSocket, with MQTT.js from the CDN) and by scripts/headless-roast.js
+ * (the mqtt package).
+ *
+ * Topics, under a configurable prefix (default roaster/simulator):
+ * - <prefix>/state    one JSON message per step:
+ *                     {timestamp, time, phase, temperatures, rateOfRise, controls, setpoint, mode}
+ * - <prefix>/event    one JSON message per roast event: {timestamp, name, time, temp}
+ * - <prefix>/status   retained {online, timestamp}; the broker publishes
+ *                     {online: false} (last will) if the simulator disappears
+ * - <prefix>/command  subscribed; JSON {command, params, id}:
+ *                       setControls {heater, fan} (0-1, manual mode)
+ *                       setMode {mode: manual | pid | neural}
+ *                       charge {mass?}, drop, pause, resume
+ *                     The browser simulator refuses them while a live roaster
+ *                     is connected, unless the user accepts them (opt-in)
+ * - <prefix>/reply    {id, command, ok: true} or {id, command, error}
+ *
+ * Temperatures are °C, time is minutes (since CHARGE, or since the start of
+ * preheat) and controls are 0-1, as in the simulator.
+ */
+
+class MqttTelemetry {
+    /**
+     * Default settings (a local Mosquitto with a WebSocket listener on 9001)
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            url: 'ws://127.0.0.1:9001',
+            topicPrefix: 'roaster/simulator',
+            topics: { state: 'state', event: 'event', status: 'status', command: 'command', reply: 'reply' },
+            qos: 0,
+            clientId: null,         // Default: roaster-simulator-<random>
+            username: null,
+            password: null,
+            connectTimeout: 5000    // Milliseconds
+        };
+    }
+
+    /**
+     * Commands accepted on the command topic
+     */
+    static get COMMANDS() {
+        return ['setControls', 'setMode', 'charge', 'drop', 'pause', 'resume'];
+    }
+
+    /**
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {Object} mqttLib - MQTT.js module (default: the browser's global mqtt)
+     */
+    constructor(config = {}, mqttLib = (typeof mqtt !== 'undefined' ? mqtt : null)) {
+        this.config = {
+            ...MqttTelemetry.DEFAULT_CONFIG,
+            ...config,
+            topics: { ...MqttTelemetry.DEFAULT_CONFIG.topics, ...(config.topics || {}) }
+        };
+        this.mqttLib = mqttLib;
+        this.client = null;
+        this.connected = false;
+
+        // Called with each checked command ({command, params, id}); may return a
+        // Promise; a throw or rejection is sent back as the reply's error
+        this.onCommand = null;
+    }
+
+    /**
+     * Full topic name
+     *
+     * @param {string} name - Key of config.topics
+     * @returns {string}
+     */
+    topic(name) {
+        const prefix = this.config.topicPrefix.replace(/\/+$/, '');
+        return `${prefix}/${this.config.topics[name]}`;
+    }
+
+    /**
+     * Connect to the broker, announce the simulator online and subscribe to commands
+     *
+     * @returns {Promise<void>}
+     */
+    connect() {
+        if (!this.mqttLib) {
+            return Promise.reject(new Error('MQTT client library is not available'));
+        }
+        const options = {
+            clientId: this.config.clientId || `roaster-simulator-${Math.random().toString(16).slice(2, 10)}`,
+            connectTimeout: this.config.connectTimeout,
+            reconnectPeriod: 0,
+            will: {
+                topic: this.topic('status'),
+                payload: JSON.stringify({ online: false }),
+                qos: 1,
+                retain: true
+            }
+        };
+        if (this.config.username) options.username = this.config.username;
+        if (this.config.password) options.password = this.config.password;
+
+        return new Promise((resolve, reject) => {
+            const client = this.mqttLib.connect(this.config.url, options);
+            this.client = client;
+            client.on('connect', () => {
+                this.connected = true;
+                client.subscribe(this.topic('command'), { qos: 1 });
+                this.publishStatus(true);
+                resolve();
+            });
+            client.on('error', (error) => {
+                if (!this.connected) {
+                    client.end(true);
+                    reject(new Error(`Cannot connect to ${this.config.url}: ${error.message}`));
+                }
+            });
+            client.on('close', () => {
+                if (!this.connected) {
+                    reject(new Error(`Cannot connect to ${this.config.url}`));
+                }
+                this.connected = false;
+            });
+            client.on('message', (topic, payload) => {
+                if (topic === this.topic('command')) this.handleCommand(payload);
+            });
+        });
+    }
+
+    /**
+     * Announce offline and disconnect
+     */
+    close() {
+        if (!this.client) return;
+        if (this.connected) this.publishStatus(false);
+        this.client.end();
+        this.client = null;
+        this.connected = false;
+    }
+
+    /**
+     * Publish JSON to one of the topics (dropped while disconnected)
+     *
+     * @param {string} name - Key of config.topics
+     * @param {Object} message - JSON payload
+     * @param {Object} options - MQTT publish options (qos, retain)
+     */
+    publish(name, message, options = {}) {
+        if (!this.connected) return;
+        this.client.publish(this.topic(name), JSON.stringify(message), { qos: this.config.qos, ...options });
+    }
+
+    /**
+     * Publish the simulator online/offline status (retained)
+     *
+     * @param {boolean} online
+     */
+    publishStatus(online) {
+        this.publish('status', { online: online, timestamp: Date.now() }, { qos: 1, retain: true });
+    }
+
+    /**
+     * Publish one step
+     *
+     * @param {Object} sample - {time, phase, temperatures, rateOfRise, controls, setpoint, mode}
+     */
+    publishState(sample) {
+        this.publish('state', MqttTelemetry.statePayload(sample));
+    }
+
+    /**
+     * Publish a roast event
+     *
+     * @param {Object} event - {name, time, temp}
+     */
+    publishEvent(event) {
+        this.publish('event', { timestamp: Date.now(), name: event.name, time: event.time, temp: event.temp });
+    }
+
+    /**
+     * State message for one step (missing values become null)
+     *
+     * @param {Object} sample - See publishState()
+     * @returns {Object}
+     */
+    static statePayload(sample) {
+        const value = (v) => (Number.isFinite(v) ? v : null);
+        const temperatures = {};
+        for (const [name, temp] of Object.entries(sample.temperatures || {})) {
+            temperatures[name] = value(temp);
+        }
+        const controls = {};
+        for (const [name, control] of Object.entries(sample.controls || {})) {
+            controls[name] = value(control);
+        }
+        return {
+            timestamp: Date.now(),
+            time: value(sample.time),
+            phase: sample.phase,
+            temperatures: temperatures,
+            rateOfRise: value(sample.rateOfRise),
+            controls: controls,
+            setpoint: value(sample.setpoint),
+            mode: sample.mode ?? null
+        };
+    }
+
+    /**
+     * Parse a command message
+     *
+     * @param {string} text - Message payload
+     * @returns {Object} - {command, params, id}
+     */
+    static parseCommand(text) {
+        let message;
+        try {
+            message = JSON.parse(String(text));
+        } catch (error) {
+            throw new Error('Command is not valid JSON');
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            throw new Error('Expected a JSON object');
+        }
+        return { command: message.command, params: message.params || {}, id: message.id ?? null };
+    }
+
+    /**
+     * Check a parsed command and its parameters
+     *
+     * @param {Object} command - {command, params} from parseCommand()
+     */
+    static checkCommand(command) {
+        const params = command.params;
+        if (!MqttTelemetry.COMMANDS.includes(command.command)) {
+            throw new Error(`Unknown command: ${command.command}`);
+        }
+        if (!params || typeof params !== 'object') {
+            throw new Error('params must be an object');
+        }
+        if (command.command === 'setControls') {
+            for (const name of ['heater', 'fan']) {
+                const control = params[name];
+                if (control !== undefined && !(Number.isFinite(control) && control >= 0 && control <= 1)) {
+                    throw new Error(`${name} must be a number from 0 to 1`);
+                }
+            }
+        }
+        if (command.command === 'setMode' && !['manual', 'pid', 'neural'].includes(params.mode)) {
+            throw new Error(`Unknown control mode: ${params.mode}`);
+        }
+        if (command.command === 'charge' && params.mass !== undefined && !(Number.isFinite(params.mass) && params.mass > 0)) {
+            throw new Error(`Invalid mass: ${params.mass}`);
+        }
+    }
+
+    /**
+     * Run a command from the broker and reply with the outcome
+     *
+     * @param {Buffer|string} payload - Message payload
+     */
+    async handleCommand(payload) {
+        let command = null;
+        try {
+            command = MqttTelemetry.parseCommand(payload);
+            MqttTelemetry.checkCommand(command);
+            if (!this.onCommand) throw new Error('Commands are not accepted');
+            await this.onCommand(command);
+            this.publish('reply', { id: command.id, command: command.command, ok: true });
+        } catch (error) {
+            this.publish('reply', {
+                id: command ? command.id : null,
+                command: command ? command.command : null,
+                error: error.message
+            });
+        }
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MqttTelemetry };
+}
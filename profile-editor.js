@@ -882,12 +882,17 @@ class InteractiveProfileEditor {
             }
         };
         
-        // Call the callback to update the simulator
-        if (window.simulator && window.simulator.setBackgroundProfile) {
-            window.simulator.setBackgroundProfile(profile);
-            console.log('Profile saved and applied to simulator:', profile.metadata);
+        // Hand the profile to the simulator through its command API
+        if (window.simulator && window.simulator.runCommand) {
+            try {
+                window.simulator.runCommand('loadProfile', { profile: profile });
+                console.log('Profile saved and applied to simulator:', profile.metadata);
+            } catch (error) {
+                console.error('Simulator rejected the profile:', error);
+                return;
+            }
         } else {
-            console.error('Simulator not available or setBackgroundProfile method not found');
+            console.error('Simulator not available or runCommand method not found');
         }
         
         this.close();
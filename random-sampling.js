@@ -0,0 +1,27 @@
+/**
+ * Random Sampling Module
+ *
+ * Random draws shared by the roaster engine (ensemble forecast perturbations)
+ * and the probe sensor model (measurement noise). Callers pass their own
+ * uniform generator in [0, 1) (Math.random or a seeded one), so a seeded run
+ * draws the same numbers everywhere.
+ */
+
+class RandomSampling {
+    /**
+     * Standard normal sample (Box-Muller)
+     *
+     * @param {Function} random - Uniform random generator in [0, 1)
+     * @returns {number}
+     */
+    static gaussian(random) {
+        const u = 1 - random(); // (0, 1] so log() stays finite
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RandomSampling };
+}
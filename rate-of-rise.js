@@ -0,0 +1,242 @@
+/**
+ * Rate of Rise Module
+ *
+ * Bean probe rate of rise (RoR, °C/min) shared by the simulator display,
+ * roast events and metrics, controllers, forecasts and the game, so they all
+ * read the same curve. Methods (all causal: each value uses only samples up
+ * to its own time, so the same numbers come out live and after the fact):
+ * - difference: two-point finite difference between consecutive samples
+ * - delta: difference across a delta span (Artisan's "delta span")
+ * - movingAverage: delta-span RoR averaged over a trailing smoothing window
+ * - exponential: delta-span RoR through an exponential moving average
+ *   with a smoothing time constant
+ * - savitzkyGolay: slope at the newest sample of a least-squares polynomial
+ *   (order 1 or 2) over a trailing window of `span` seconds (a one-sided
+ *   Savitzky-Golay derivative; also handles uneven sample times). The
+ *   quadratic follows curvature without lag but is noisier at the window end.
+ *
+ * Times are in minutes and temperatures in °C; span and smoothing are in
+ * seconds, as roasting loggers specify them.
+ */
+
+class RateOfRise {
+    /**
+     * Available methods
+     */
+    static get METHODS() {
+        return ['difference', 'delta', 'movingAverage', 'exponential', 'savitzkyGolay'];
+    }
+
+    /**
+     * Default settings
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            method: 'delta',
+            span: 15,       // Delta span, or the Savitzky-Golay window (seconds)
+            smoothing: 15,  // Moving average window or EMA time constant (seconds)
+            order: 2        // Savitzky-Golay polynomial order (1 or 2)
+        };
+    }
+
+    /**
+     * Create a RoR calculator
+     *
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...RateOfRise.DEFAULT_CONFIG, ...config };
+        if (!RateOfRise.METHODS.includes(this.config.method)) {
+            throw new Error(`Unknown RoR method: ${this.config.method}`);
+        }
+    }
+
+    /**
+     * RoR for every sample of a series
+     * The first sample has no history and gets 0.
+     *
+     * @param {Array<number>} times - Sample times in minutes
+     * @param {Array<number>} temps - Temperatures (°C)
+     * @returns {Array<number>} - RoR in °C/min, one per sample
+     */
+    series(times, temps) {
+        const span = this.config.span / 60;
+        const smoothing = this.config.smoothing / 60;
+
+        switch (this.config.method) {
+            case 'difference':
+                return times.map((time, i) => this.slopeBetween(times, temps, i > 0 ? i - 1 : i, i));
+
+            case 'delta':
+                return this.deltaSeries(times, temps, span);
+
+            case 'movingAverage': {
+                const delta = this.deltaSeries(times, temps, span);
+                return delta.map((value, i) => {
+                    const start = this.windowStart(times, i, smoothing);
+                    let sum = 0;
+                    for (let j = start; j <= i; j++) sum += delta[j];
+                    return sum / (i - start + 1);
+                });
+            }
+
+            case 'exponential': {
+                const delta = this.deltaSeries(times, temps, span);
+                const smoothed = [];
+                for (let i = 0; i < delta.length; i++) {
+                    if (i === 0 || smoothing <= 0) {
+                        smoothed.push(delta[i]);
+                        continue;
+                    }
+                    const alpha = 1 - Math.exp(-(times[i] - times[i - 1]) / smoothing);
+                    smoothed.push(smoothed[i - 1] + alpha * (delta[i] - smoothed[i - 1]));
+                }
+                return smoothed;
+            }
+
+            case 'savitzkyGolay':
+                return times.map((time, i) => this.polynomialSlope(times, temps, this.windowStart(times, i, span), i));
+        }
+    }
+
+    /**
+     * RoR of the newest sample
+     *
+     * @param {Array<number>} times - Sample times in minutes
+     * @param {Array<number>} temps - Temperatures (°C)
+     * @returns {number} - RoR in °C/min (0 with fewer than two samples)
+     */
+    latest(times, temps) {
+        if (times.length < 2) return 0;
+        return this.series(times, temps)[times.length - 1];
+    }
+
+    /**
+     * RoR of the newest sample of a growing series, given the values already
+     * computed for the earlier samples: the value series() would give it,
+     * without recomputing the history (append it to keep a series current)
+     *
+     * @param {Array<number>} times - Sample times in minutes, newest last
+     * @param {Array<number>} temps - Temperatures (°C)
+     * @param {Array<number>} previous - RoR of the samples before the newest (from series() or next())
+     * @returns {number} - RoR in °C/min
+     */
+    next(times, temps, previous) {
+        const i = times.length - 1;
+        if (i <= 0) return 0;
+        const span = this.config.span / 60;
+        const smoothing = this.config.smoothing / 60;
+
+        switch (this.config.method) {
+            case 'difference':
+                return this.slopeBetween(times, temps, i - 1, i);
+
+            case 'delta':
+                return this.deltaAt(times, temps, i, span);
+
+            case 'movingAverage': {
+                const start = this.windowStart(times, i, smoothing);
+                let sum = 0;
+                for (let j = start; j <= i; j++) sum += this.deltaAt(times, temps, j, span);
+                return sum / (i - start + 1);
+            }
+
+            case 'exponential': {
+                const delta = this.deltaAt(times, temps, i, span);
+                if (smoothing <= 0) return delta;
+                const alpha = 1 - Math.exp(-(times[i] - times[i - 1]) / smoothing);
+                return previous[i - 1] + alpha * (delta - previous[i - 1]);
+            }
+
+            case 'savitzkyGolay':
+                return this.polynomialSlope(times, temps, this.windowStart(times, i, span), i);
+        }
+    }
+
+    /**
+     * Delta-span RoR for every sample
+     */
+    deltaSeries(times, temps, span) {
+        return times.map((time, i) => this.deltaAt(times, temps, i, span));
+    }
+
+    /**
+     * Delta-span RoR of sample i
+     */
+    deltaAt(times, temps, i, span) {
+        return this.slopeBetween(times, temps, this.windowStart(times, i, span), i);
+    }
+
+    /**
+     * Index of the oldest sample within `window` minutes before sample i
+     * (the previous sample if the window is shorter than one step)
+     */
+    windowStart(times, i, window) {
+        let start = i;
+        while (start > 0 && times[i] - times[start - 1] <= window + 1e-9) start--;
+        return i > 0 ? Math.min(start, i - 1) : 0;
+    }
+
+    /**
+     * Two-point slope between samples a and b (°C/min, 0 if they coincide)
+     */
+    slopeBetween(times, temps, a, b) {
+        const dt = times[b] - times[a];
+        return dt > 0 ? (temps[b] - temps[a]) / dt : 0;
+    }
+
+    /**
+     * Slope at sample `end` of a least-squares polynomial over samples start..end
+     * A quadratic (order 2) falls back to a straight line with fewer than four samples.
+     */
+    polynomialSlope(times, temps, start, end) {
+        const n = end - start + 1;
+        if (n < 2) return 0;
+        if (n < 3) return this.slopeBetween(times, temps, start, end);
+
+        // Fit T = c0 + c1*x + c2*x^2 with x = t - t_end, so the slope at t_end is c1
+        const degree = this.config.order >= 2 && n >= 4 ? 2 : 1;
+        const size = degree + 1;
+        const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+        for (let j = start; j <= end; j++) {
+            const x = times[j] - times[end];
+            const powers = [1, x, x * x];
+            for (let r = 0; r < size; r++) {
+                for (let c = 0; c < size; c++) matrix[r][c] += powers[r] * powers[c];
+                matrix[r][size] += powers[r] * temps[j];
+            }
+        }
+        const coefficients = RateOfRise.solve(matrix);
+        return coefficients ? coefficients[1] : this.slopeBetween(times, temps, start, end);
+    }
+
+    /**
+     * Solve a small linear system given as an augmented matrix (Gaussian
+     * elimination with partial pivoting)
+     *
+     * @param {Array<Array<number>>} matrix - Rows of [coefficients..., right-hand side] (modified)
+     * @returns {Array<number>|null} - Solution, or null if the system is singular
+     */
+    static solve(matrix) {
+        const size = matrix.length;
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k <= size; k++) matrix[row][k] -= factor * matrix[col][k];
+            }
+        }
+        return matrix.map((row, i) => row[size] / row[i]);
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateOfRise };
+}
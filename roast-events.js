@@ -0,0 +1,254 @@
+/**
+ * Roast Event Detection Module
+ *
+ * Marks the events roasters log during a roast, named as in Artisan:
+ * CHARGE, TP (turning point), DRY (dry end), FCs/FCe (first crack start/end),
+ * SCs/SCe (second crack start/end) and DROP.
+ *
+ * Three sources, highest priority last:
+ * - detected: TP, DRY, FCs and SCs found in the bean probe and RoR series
+ *   (recomputed from the full series on every update)
+ * - recorded: CHARGE and DROP from the roast lifecycle
+ * - manual: events marked by the operator, which override the other two
+ */
+
+class RoastEventDetector {
+    /**
+     * Event names in roast order
+     */
+    static get EVENTS() {
+        return ['CHARGE', 'TP', 'DRY', 'FCs', 'FCe', 'SCs', 'SCe', 'DROP'];
+    }
+
+    /**
+     * Default detection thresholds
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            turningPointRise: 1.0,      // °C above the bean probe minimum (with RoR > 0) that confirms TP
+            dryEndTemp: 150.0,          // Bean probe temperature at dry end (°C)
+            firstCrackTemp: 196.0,      // Bean probe temperature where first crack can start (°C)
+            firstCrackMargin: 5.0,      // Accept FCs without the RoR signature this far above firstCrackTemp (°C)
+            rorWindow: 0.5,             // Window for the RoR trend used at first crack (minutes)
+            secondCrackTemp: 224.0      // Bean probe temperature at second crack start (°C)
+        };
+    }
+
+    /**
+     * Create an event detector
+     *
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...RoastEventDetector.DEFAULT_CONFIG, ...config };
+        this.reset();
+    }
+
+    /**
+     * Forget all events (call on reset or a new charge)
+     */
+    reset() {
+        this.detected = {};  // name -> {time, temp}
+        this.recorded = {};
+        this.manual = {};
+    }
+
+    /**
+     * Record a lifecycle event (CHARGE or DROP)
+     *
+     * @param {string} name - Event name
+     * @param {number} time - Roast time in minutes
+     * @param {number} temp - Bean probe temperature (°C)
+     */
+    record(name, time, temp) {
+        this.recorded[name] = { time: time, temp: temp };
+    }
+
+    /**
+     * Mark an event by hand; overrides any detected or recorded value
+     *
+     * @param {string} name - Event name (one of EVENTS)
+     * @param {number} time - Roast time in minutes
+     * @param {number} temp - Bean probe temperature (°C)
+     */
+    mark(name, time, temp) {
+        if (!RoastEventDetector.EVENTS.includes(name)) {
+            throw new Error(`Unknown roast event: ${name}`);
+        }
+        this.manual[name] = { time: time, temp: temp };
+    }
+
+    /**
+     * Remove a manual mark so the detected/recorded value shows again
+     *
+     * @param {string} name - Event name
+     */
+    unmark(name) {
+        delete this.manual[name];
+    }
+
+    /**
+     * Re-run detection on the roast so far
+     * Samples after DROP are ignored.
+     *
+     * @param {Array<number>} times - Sample times in minutes since charge
+     * @param {Array<number>} beanTemps - Bean probe temperatures (°C)
+     * @param {Array<number>} rateOfRise - Bean probe RoR (°C/min)
+     * @returns {Array<string>} - Names of events detected for the first time by this update
+     */
+    update(times, beanTemps, rateOfRise) {
+        const previous = this.detected;
+        const drop = this.get('DROP');
+        let n = times.length;
+        if (drop) {
+            while (n > 0 && times[n - 1] > drop.time) n--;
+        }
+
+        const detected = {};
+        const sample = (i) => ({ time: times[i], temp: beanTemps[i] });
+
+        // Turning point: the bean probe minimum, confirmed once the probe is
+        // rising again (RoR > 0) and has climbed turningPointRise above it
+        let minIndex = 0;
+        let tpIndex = -1;
+        for (let i = 1; i < n; i++) {
+            if (beanTemps[i] < beanTemps[minIndex]) {
+                minIndex = i;
+            } else if (rateOfRise[i] > 0 && beanTemps[i] - beanTemps[minIndex] >= this.config.turningPointRise) {
+                tpIndex = minIndex;
+                detected.TP = sample(minIndex);
+                break;
+            }
+        }
+
+        // Dry end, first crack and second crack come after the turning point
+        if (tpIndex >= 0) {
+            const dryIndex = this.firstCrossing(beanTemps, this.config.dryEndTemp, tpIndex, n);
+            if (dryIndex >= 0) {
+                detected.DRY = sample(dryIndex);
+            }
+
+            const fcIndex = this.detectFirstCrack(times, beanTemps, rateOfRise, tpIndex, n);
+            if (fcIndex >= 0) {
+                detected.FCs = sample(fcIndex);
+
+                const scIndex = this.firstCrossing(beanTemps, this.config.secondCrackTemp, fcIndex, n);
+                if (scIndex >= 0) {
+                    detected.SCs = sample(scIndex);
+                }
+            }
+        }
+
+        this.detected = detected;
+        return Object.keys(detected).filter((name) => !previous[name] && !this.manual[name]);
+    }
+
+    /**
+     * Index of the first sample at or above a temperature
+     *
+     * @returns {number} - Sample index, or -1
+     */
+    firstCrossing(beanTemps, threshold, start, end) {
+        for (let i = start; i < end; i++) {
+            if (beanTemps[i] >= threshold) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * First crack start: bean probe past firstCrackTemp while the RoR is
+     * falling (mean over the last rorWindow below the window before it), or
+     * firstCrackMargin past it regardless of the RoR
+     *
+     * @returns {number} - Sample index, or -1
+     */
+    detectFirstCrack(times, beanTemps, rateOfRise, start, end) {
+        const meanRoR = (from, to) => {
+            let sum = 0;
+            let count = 0;
+            for (let j = start; j < end; j++) {
+                if (times[j] > from && times[j] <= to) {
+                    sum += rateOfRise[j];
+                    count++;
+                }
+            }
+            return count > 0 ? sum / count : NaN;
+        };
+
+        const span = this.config.rorWindow;
+        for (let i = start; i < end; i++) {
+            if (beanTemps[i] < this.config.firstCrackTemp) continue;
+            if (beanTemps[i] >= this.config.firstCrackTemp + this.config.firstCrackMargin) return i;
+
+            const recent = meanRoR(times[i] - span, times[i]);
+            const before = meanRoR(times[i] - 2 * span, times[i] - span);
+            if (recent < before) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Current value of one event (manual overrides recorded overrides detected)
+     *
+     * @param {string} name - Event name
+     * @returns {Object|null} - {name, time, temp, source: 'auto'|'manual'}
+     */
+    get(name) {
+        if (this.manual[name]) return { name: name, ...this.manual[name], source: 'manual' };
+        const auto = this.recorded[name] || this.detected[name];
+        return auto ? { name: name, ...auto, source: 'auto' } : null;
+    }
+
+    /**
+     * All known events in roast order
+     *
+     * @returns {Array<Object>} - [{name, time, temp, source}]
+     */
+    getEvents() {
+        return RoastEventDetector.EVENTS.map((name) => this.get(name)).filter((event) => event !== null);
+    }
+
+    /**
+     * All known events by name
+     *
+     * @returns {Object} - {name: {name, time, temp, source}}
+     */
+    getEventMap() {
+        const map = {};
+        for (const event of this.getEvents()) {
+            map[event.name] = event;
+        }
+        return map;
+    }
+
+    /**
+     * Detector state for saving with a roast
+     *
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            config: { ...this.config },
+            detected: JSON.parse(JSON.stringify(this.detected)),
+            recorded: JSON.parse(JSON.stringify(this.recorded)),
+            manual: JSON.parse(JSON.stringify(this.manual))
+        };
+    }
+
+    /**
+     * Restore state from getState()
+     *
+     * @param {Object} state
+     */
+    setState(state) {
+        this.config = { ...RoastEventDetector.DEFAULT_CONFIG, ...state.config };
+        this.detected = JSON.parse(JSON.stringify(state.detected || {}));
+        this.recorded = JSON.parse(JSON.stringify(state.recorded || {}));
+        this.manual = JSON.parse(JSON.stringify(state.manual || {}));
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoastEventDetector };
+}
@@ -0,0 +1,216 @@
+/**
+ * Roast Export Module
+ *
+ * Exports the full simulation record for analysis outside the browser
+ * (notebooks, spreadsheets), one row per simulation step:
+ * - time (minutes since CHARGE, or since the start of preheat)
+ * - temperatures (°C): bean probe, bean core, roaster, air, measured air (env
+ *   probe) and cooling tray
+ * - rate of rise (°C/min) as the simulator computed it
+ * - controls (0-1): heater, fan, drum, humidity as commanded
+ * - setpoint (°C): the background profile at that time while beans are in the
+ *   roaster (what the PID and neural controllers follow)
+ *
+ * CSV has one column per channel (empty cells for missing values) plus an
+ * `event` column naming the roast events at their sample. JSON holds the
+ * same channels as arrays next to metadata (bean model, mass, ambient,
+ * controller mode and gains, events, ...) and is described by SCHEMA.
+ */
+
+class RoastExport {
+    /**
+     * Format tag and version written to every JSON export
+     */
+    static get FORMAT() {
+        return 'roaster-simulation';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Exported channels: column name, unit, description and where the value comes from
+     */
+    static get CHANNELS() {
+        return [
+            { name: 'time', unit: 'min', description: 'Simulation time', get: (record) => record.time },
+            { name: 'bean', unit: '°C', description: 'Bean probe (BT) as displayed, after the sensor model and probe faults', get: (record) => record.temperatures.bean },
+            { name: 'environment', unit: '°C', description: 'Bean core temperature (model state)', get: (record) => record.temperatures.environment },
+            { name: 'roaster', unit: '°C', description: 'Roaster (drum) temperature (model state)', get: (record) => record.temperatures.roaster },
+            { name: 'air', unit: '°C', description: 'Air temperature (model state)', get: (record) => record.temperatures.air },
+            { name: 'airMeasured', unit: '°C', description: 'Environment probe (ET) as displayed', get: (record) => record.temperatures.airMeasured },
+            { name: 'tray', unit: '°C', description: 'Beans in the cooling tray (null before DROP)', get: (record) => record.temperatures.tray },
+            { name: 'rateOfRise', unit: '°C/min', description: 'Bean rate of rise with the selected method', get: (record) => record.rateOfRise },
+            { name: 'heater', unit: '0-1', description: 'Heater command', get: (record) => record.controls.heater },
+            { name: 'fan', unit: '0-1', description: 'Fan command', get: (record) => record.controls.fan },
+            { name: 'drum', unit: '0-1', description: 'Drum speed (no effect with a roast model that ignores it, see RoasterEngine.detectCapabilities)', get: (record) => record.controls.drum },
+            { name: 'humidity', unit: '0-1', description: 'Relative humidity (no effect with a roast model that ignores it)', get: (record) => record.controls.humidity },
+            { name: 'setpoint', unit: '°C', description: 'Background profile at this time (null without beans or profile)', get: (record) => record.setpoint }
+        ];
+    }
+
+    /**
+     * JSON Schema of the JSON export
+     */
+    static get SCHEMA() {
+        const series = (description) => ({
+            type: 'array',
+            items: { type: ['number', 'null'] },
+            description: description
+        });
+        const data = {};
+        for (const channel of RoastExport.CHANNELS) {
+            data[channel.name] = series(`${channel.description} (${channel.unit})`);
+        }
+
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            title: 'Roaster simulation export',
+            description: 'Full record of one simulator run; every array in data has one entry per simulation step',
+            type: 'object',
+            required: ['format', 'version', 'exportedAt', 'metadata', 'channels', 'data', 'events'],
+            properties: {
+                format: { const: RoastExport.FORMAT },
+                version: { const: RoastExport.VERSION },
+                exportedAt: { type: 'string', format: 'date-time' },
+                metadata: {
+                    type: 'object',
+                    properties: {
+                        beanModel: { type: ['string', 'null'], description: 'Bean model file' },
+                        mass: { type: 'number', description: 'Batch size (g)' },
+                        ambient: { type: 'number', description: 'Ambient temperature setting (°C, before scenario offsets)' },
+                        timestep: { type: 'number', description: 'Simulation step (s)' },
+                        batch: { type: 'integer', description: 'Batch number of the session' },
+                        chargedAt: { type: ['string', 'null'], format: 'date-time', description: 'Wall-clock time of CHARGE' },
+                        controller: {
+                            type: 'object',
+                            description: 'Controller in use at export',
+                            properties: {
+                                mode: { enum: ['manual', 'pid', 'neural'] },
+                                closedLoopForecast: { type: 'boolean' },
+                                pid: {
+                                    type: ['object', 'null'],
+                                    description: 'PID gains (heater from bean temperature)',
+                                    properties: { Kp: { type: 'number' }, Ki: { type: 'number' }, Kd: { type: 'number' } }
+                                },
+                                neural: { type: ['object', 'null'], description: 'Neural controller metadata' }
+                            }
+                        },
+                        profile: { type: ['object', 'null'], description: 'Background profile metadata' },
+                        scenario: { type: ['object', 'null'], description: 'Disturbance scenario ({name, events})' },
+                        rateOfRise: { type: 'object', description: 'Rate of rise method settings' },
+                        sensors: { type: ['object', 'null'], description: 'Probe sensor model settings (null when off)' }
+                    }
+                },
+                channels: {
+                    type: 'object',
+                    description: 'Unit and description of each data channel',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: { unit: { type: 'string' }, description: { type: 'string' } }
+                    }
+                },
+                data: {
+                    type: 'object',
+                    required: RoastExport.CHANNELS.map((channel) => channel.name),
+                    properties: data
+                },
+                events: {
+                    type: 'array',
+                    description: 'Roast events (CHARGE, TP, DRY, FCs, ...)',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            time: { type: 'number', description: 'min' },
+                            temp: { type: 'number', description: '°C' }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Build the JSON export
+     *
+     * @param {Object} record - Simulation record ({time, temperatures, rateOfRise, controls, setpoint, events})
+     * @param {Object} metadata - Run metadata (see SCHEMA)
+     * @returns {Object}
+     */
+    static toJSON(record, metadata = {}) {
+        const channels = {};
+        const data = {};
+        for (const channel of RoastExport.CHANNELS) {
+            channels[channel.name] = { unit: channel.unit, description: channel.description };
+            data[channel.name] = RoastExport.column(record, channel);
+        }
+
+        return {
+            format: RoastExport.FORMAT,
+            version: RoastExport.VERSION,
+            exportedAt: new Date().toISOString(),
+            metadata: metadata,
+            channels: channels,
+            data: data,
+            events: (record.events || []).map((event) => ({ name: event.name, time: event.time, temp: event.temp }))
+        };
+    }
+
+    /**
+     * Build the CSV export (header row, then one row per step)
+     *
+     * @param {Object} record - Simulation record (see toJSON())
+     * @returns {string}
+     */
+    static toCSV(record) {
+        const channels = RoastExport.CHANNELS;
+        const columns = channels.map((channel) => RoastExport.column(record, channel));
+
+        // Events at the first sample at or after them
+        const eventNames = new Array(record.time.length).fill('');
+        for (const event of record.events || []) {
+            const index = record.time.findIndex((time) => time >= event.time - 1e-9);
+            if (index >= 0) eventNames[index] = eventNames[index] ? `${eventNames[index]} ${event.name}` : event.name;
+        }
+
+        const header = channels.map((channel) => `${channel.name} (${channel.unit})`).concat('event');
+        const rows = [header.map(RoastExport.csvField).join(',')];
+        for (let i = 0; i < record.time.length; i++) {
+            const cells = columns.map((column) => (column[i] === null ? '' : String(column[i])));
+            rows.push(cells.concat(RoastExport.csvField(eventNames[i])).join(','));
+        }
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * One channel as an array with one entry per step (null where missing)
+     *
+     * @param {Object} record - Simulation record
+     * @param {Object} channel - Entry of CHANNELS
+     * @returns {Array<number|null>}
+     */
+    static column(record, channel) {
+        const values = channel.get(record) || [];
+        return record.time.map((time, i) => {
+            const value = values[i];
+            return Number.isFinite(value) ? value : null;
+        });
+    }
+
+    /**
+     * Quote a CSV field when it needs it
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    static csvField(value) {
+        return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoastExport };
+}
@@ -0,0 +1,268 @@
+/**
+ * Roast Journal Module
+ *
+ * Local journal of completed simulator roasts, kept in IndexedDB so it
+ * survives page reloads. An entry holds the recorded roast (the simulator's
+ * getRoastData()), its session log and a short summary for the list:
+ *
+ *   {
+ *     id, savedAt (ISO time), beanModel, controller ('manual', 'pid', 'neural'),
+ *     mass, batch, summary: {fcs, drop, dropTemp, dtr},
+ *     data: {time, temperatures, rateOfRise, controls, events, ...},
+ *     session: session log JSON (null if none)
+ *   }
+ *
+ * The list fields (everything but data and session, plus hasSession) are
+ * also kept in a separate summary store under the same id, indexed by
+ * savedAt, beanModel and controller, so listing never reads the recorded
+ * roasts. All methods are async; the database is opened on first use.
+ */
+
+class RoastJournal {
+    /**
+     * Default database settings
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            databaseName: 'roaster-journal',
+            storeName: 'roasts',
+            summaryStoreName: 'summaries'
+        };
+    }
+
+    /**
+     * Create a journal
+     *
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {IDBFactory} factory - IndexedDB implementation (default: the browser's)
+     * @param {Function} keyRange - Its IDBKeyRange (default: the browser's)
+     */
+    constructor(config = {}, factory = (typeof indexedDB !== 'undefined' ? indexedDB : null),
+                keyRange = (typeof IDBKeyRange !== 'undefined' ? IDBKeyRange : null)) {
+        this.config = { ...RoastJournal.DEFAULT_CONFIG, ...config };
+        this.factory = factory;
+        this.keyRange = keyRange;
+        this.database = null;  // Promise of the open IDBDatabase
+    }
+
+    /**
+     * Whether IndexedDB is available (not in some private modes and old browsers)
+     *
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.factory !== null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     *
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+        if (!this.database) {
+            const request = this.factory.open(this.config.databaseName, 2);
+            request.onupgradeneeded = (event) => this.upgrade(request.result, request.transaction, event.oldVersion);
+            this.database = RoastJournal.promisify(request);
+            this.database.catch(() => { this.database = null; });  // Retry on the next call
+        }
+        return this.database;
+    }
+
+    /**
+     * Create or migrate the stores (version 1 indexed the roast store itself
+     * and had no summaries)
+     *
+     * @param {IDBDatabase} database
+     * @param {IDBTransaction} transaction - The upgrade transaction
+     * @param {number} oldVersion - 0 for a new database
+     */
+    upgrade(database, transaction, oldVersion) {
+        const roasts = oldVersion < 1
+            ? database.createObjectStore(this.config.storeName, { keyPath: 'id', autoIncrement: true })
+            : transaction.objectStore(this.config.storeName);
+        const summaries = database.createObjectStore(this.config.summaryStoreName, { keyPath: 'id' });
+        summaries.createIndex('savedAt', 'savedAt');
+        summaries.createIndex('beanModel', 'beanModel');
+        summaries.createIndex('controller', 'controller');
+        if (oldVersion < 1) return;
+
+        for (const name of ['savedAt', 'beanModel', 'controller']) roasts.deleteIndex(name);
+        roasts.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            summaries.put(RoastJournal.summarize(cursor.value));
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Run requests in one transaction over the roast and summary stores
+     *
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - ({roasts, summaries}) => result; request callbacks
+     *                         may still fill in the result until the transaction completes
+     * @returns {Promise<*>} - run's result once the transaction completes
+     */
+    async withStores(mode, run) {
+        const database = await this.open();
+        const names = [this.config.storeName, this.config.summaryStoreName];
+        const transaction = database.transaction(names, mode);
+        const result = run({
+            roasts: transaction.objectStore(names[0]),
+            summaries: transaction.objectStore(names[1])
+        });
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Journal transaction aborted'));
+        });
+    }
+
+    /**
+     * Save a roast (an entry with an id replaces the stored one)
+     *
+     * @param {Object} entry - Journal entry (see the module comment)
+     * @returns {Promise<number>} - Entry id
+     */
+    async save(entry) {
+        const saved = await this.withStores('readwrite', ({ roasts, summaries }) => {
+            const holder = { id: null };
+            const request = roasts.put(entry);
+            request.onsuccess = () => {
+                holder.id = request.result;
+                summaries.put(RoastJournal.summarize({ ...entry, id: request.result }));
+            };
+            return holder;
+        });
+        return saved.id;
+    }
+
+    /**
+     * Load one roast with its data
+     *
+     * @param {number} id - Entry id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        const database = await this.open();
+        const store = database.transaction(this.config.storeName, 'readonly').objectStore(this.config.storeName);
+        return (await RoastJournal.promisify(store.get(id))) || null;
+    }
+
+    /**
+     * List roasts, newest first, without their recorded data
+     *
+     * @param {Object} filter - Optional {from, to} local dates ('YYYY-MM-DD', inclusive),
+     *                          beanModel and controller
+     * @returns {Promise<Array<Object>>} - Entries without data and session (hasSession
+     *                                      tells whether a session log was stored)
+     */
+    async list(filter = {}) {
+        if (filter.from && filter.to && filter.from > filter.to) return [];
+        return this.withStores('readonly', ({ summaries }) => {
+            const entries = [];
+            const range = this.savedAtRange(filter);
+            summaries.index('savedAt').openCursor(range, 'prev').onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (RoastJournal.matches(cursor.value, filter)) entries.push(cursor.value);
+                cursor.continue();
+            };
+            return entries;
+        });
+    }
+
+    /**
+     * Delete one roast
+     *
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.withStores('readwrite', ({ roasts, summaries }) => {
+            roasts.delete(id);
+            summaries.delete(id);
+        });
+    }
+
+    /**
+     * savedAt key range of a list filter's local dates (null for all)
+     *
+     * @param {Object} filter - {from, to} as 'YYYY-MM-DD', from not after to
+     * @returns {IDBKeyRange|null}
+     */
+    savedAtRange(filter) {
+        // Local midnight as ISO, the format savedAt is stored in
+        const start = (date) => new Date(`${date}T00:00:00`).toISOString();
+        const end = (date) => {
+            const next = new Date(`${date}T00:00:00`);
+            next.setDate(next.getDate() + 1);
+            return next.toISOString();
+        };
+        if (filter.from && filter.to) return this.keyRange.bound(start(filter.from), end(filter.to), false, true);
+        if (filter.from) return this.keyRange.lowerBound(start(filter.from));
+        if (filter.to) return this.keyRange.upperBound(end(filter.to), true);
+        return null;
+    }
+
+    /**
+     * List fields of an entry (everything but the recorded data and session)
+     *
+     * @param {Object} entry - Journal entry with its id
+     * @returns {Object}
+     */
+    static summarize(entry) {
+        const { data, session, ...summary } = entry;
+        return { ...summary, hasSession: Boolean(session) };
+    }
+
+    /**
+     * Whether an entry passes a list filter (empty fields match everything)
+     *
+     * @param {Object} entry - Journal entry
+     * @param {Object} filter - {from, to, beanModel, controller}
+     * @returns {boolean}
+     */
+    static matches(entry, filter) {
+        const date = RoastJournal.localDate(entry.savedAt);
+        if (filter.from && date < filter.from) return false;
+        if (filter.to && date > filter.to) return false;
+        if (filter.beanModel && entry.beanModel !== filter.beanModel) return false;
+        if (filter.controller && entry.controller !== filter.controller) return false;
+        return true;
+    }
+
+    /**
+     * Local calendar date of an ISO time, as 'YYYY-MM-DD' (what date inputs use)
+     *
+     * @param {string} iso - ISO time
+     * @returns {string}
+     */
+    static localDate(iso) {
+        const date = new Date(iso);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     *
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoastJournal };
+}
@@ -0,0 +1,161 @@
+/**
+ * Roast Metrics Module
+ *
+ * Phase statistics used for roast QC, computed from the recorded bean probe
+ * series and the roast events (see roast-events.js):
+ * - drying: CHARGE to DRY
+ * - Maillard: DRY to FCs
+ * - development: FCs to DROP (or to now while roasting)
+ *
+ * Mean RoR in the drying phase is taken from the turning point, since the
+ * probe is still falling toward TP right after charge.
+ *
+ * Also projects the development time ratio (DTR) for a drop at a target
+ * temperature from a forecast trajectory, and integrates the thermal dose the
+ * beans receive from charge until they are cooled in the tray.
+ */
+
+class RoastMetrics {
+    /**
+     * Compute phase statistics for the roast so far
+     *
+     * @param {Object} data - Recorded roast data
+     * @param {Array<number>} data.time - Sample times in minutes since charge
+     * @param {Array<number>} data.bean - Bean probe temperatures (°C)
+     * @param {Array<number>} data.rateOfRise - Bean probe RoR (°C/min)
+     * @param {Object} events - Event lookup by name ({time, temp}), e.g. RoastEventDetector.getEventMap()
+     * @returns {Object} - {phase, totalTime, drying, maillard, development, dtr, developmentDeltaT}
+     *                     where each phase is {time, percent, meanRoR} (null until the phase starts)
+     */
+    static compute(data, events) {
+        const n = data.time.length;
+        if (n === 0) {
+            return null;
+        }
+
+        const charge = events.CHARGE ? events.CHARGE.time : data.time[0];
+        const drop = events.DROP || null;
+        const end = drop ? drop.time : data.time[n - 1];
+        const endTemp = drop ? drop.temp : data.bean[n - 1];
+        const totalTime = end - charge;
+
+        const dry = events.DRY || null;
+        const fcs = events.FCs || null;
+
+        // Phase boundaries; a phase still in progress runs to the end of the data
+        const phaseOf = (start, stop, rorStart = start) => {
+            if (start === null || start > end) return null;
+            const until = stop === null ? end : Math.min(stop, end);
+            const time = until - start;
+            return {
+                time: time,
+                percent: totalTime > 0 ? (time / totalTime) * 100 : 0,
+                meanRoR: RoastMetrics.meanBetween(data.time, data.rateOfRise, rorStart, until)
+            };
+        };
+
+        const tp = events.TP || null;
+        const drying = phaseOf(charge, dry ? dry.time : null, tp ? tp.time : charge);
+        const maillard = dry ? phaseOf(dry.time, fcs ? fcs.time : null) : null;
+        const development = fcs ? phaseOf(fcs.time, null) : null;
+
+        let phase = 'drying';
+        if (drop) phase = 'finished';
+        else if (fcs) phase = 'development';
+        else if (dry) phase = 'maillard';
+
+        return {
+            phase: phase,
+            totalTime: totalTime,
+            drying: drying,
+            maillard: maillard,
+            development: development,
+            dtr: development ? development.percent : 0,
+            developmentDeltaT: fcs ? endTemp - fcs.temp : null
+        };
+    }
+
+    /**
+     * Mean of values whose times fall in [start, end]
+     *
+     * @returns {number|null} - Mean, or null if no samples fall in the range
+     */
+    static meanBetween(times, values, start, end) {
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < times.length; i++) {
+            if (times[i] >= start && times[i] <= end) {
+                sum += values[i];
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : null;
+    }
+
+    /**
+     * Thermal dose: time integral of the bean temperature above a base
+     * temperature (trapezoid rule), in °C·min
+     * Null samples (e.g. the tray before DROP) are skipped.
+     *
+     * @param {Array<number>} times - Sample times in minutes
+     * @param {Array<number|null>} temps - Bean temperatures (°C)
+     * @param {number} baseTemp - Temperature that adds no dose, usually ambient (°C)
+     * @returns {number} - Dose in °C·min
+     */
+    static thermalDose(times, temps, baseTemp) {
+        let dose = 0;
+        let previous = -1;
+        for (let i = 0; i < times.length; i++) {
+            if (temps[i] === null || temps[i] === undefined) continue;
+            if (previous >= 0) {
+                const excessBefore = Math.max(0, temps[previous] - baseTemp);
+                const excessNow = Math.max(0, temps[i] - baseTemp);
+                dose += 0.5 * (excessBefore + excessNow) * (times[i] - times[previous]);
+            }
+            previous = i;
+        }
+        return dose;
+    }
+
+    /**
+     * Project the DTR for dropping when the bean probe reaches a target temperature
+     *
+     * First crack comes from the events if it has happened, otherwise from the
+     * forecast crossing firstCrackTemp.
+     *
+     * @param {Object} forecast - Forecast {time, bean} (minutes, °C)
+     * @param {number} dropTemp - Target drop temperature (°C)
+     * @param {Object} events - Event lookup by name ({time, temp})
+     * @param {number} firstCrackTemp - Temperature for a forecast first crack (°C)
+     * @returns {Object|null} - {dropTime, firstCrackTime, developmentTime, dtr}, or null if the
+     *                          forecast does not reach the target (or first crack) within its horizon
+     */
+    static projectDrop(forecast, dropTemp, events, firstCrackTemp) {
+        const crossing = (threshold) => {
+            for (let i = 0; i < forecast.time.length; i++) {
+                if (forecast.bean[i] >= threshold) return forecast.time[i];
+            }
+            return null;
+        };
+
+        const dropTime = crossing(dropTemp);
+        const firstCrackTime = events.FCs ? events.FCs.time : crossing(firstCrackTemp);
+        if (dropTime === null || firstCrackTime === null || firstCrackTime > dropTime) {
+            return null;
+        }
+
+        const charge = events.CHARGE ? events.CHARGE.time : 0;
+        const developmentTime = dropTime - firstCrackTime;
+        return {
+            dropTime: dropTime,
+            firstCrackTime: firstCrackTime,
+            developmentTime: developmentTime,
+            dtr: (developmentTime / (dropTime - charge)) * 100
+        };
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoastMetrics };
+}
@@ -0,0 +1,1095 @@
+/**
+ * Roaster Engine Module
+ *
+ * Headless physics engine for the coffee roaster digital twin.
+ * Runs the trained ONNX models (roast stepper + bean model) without touching
+ * the DOM, so the same step logic can be driven by the simulator page, the
+ * game, or Node scripts.
+ *
+ * The engine works with any ONNX Runtime backend that exposes the standard
+ * `InferenceSession` / `Tensor` API:
+ * - Browser: the global `ort` from onnxruntime-web
+ * - Node: `require('onnxruntime-node')`
+ *
+ * Typical usage:
+ *   const sessions = await RoasterEngine.loadSessions(ort, { basePath: 'onnx_models' });
+ *   const engine = new RoasterEngine({ ort, sessions });
+ *   engine.charge({ mass: 150 });
+ *   const record = await engine.step({ heater: 0.7, fan: 0.4 });
+ *   engine.drop();
+ *
+ * Forecast rate of rise comes from RateOfRise (rate-of-rise.js) and ensemble
+ * perturbations from RandomSampling (random-sampling.js): load them before
+ * the engine in the browser and the worker; Node requires them.
+ *
+ * Back-to-back batches keep the roaster's thermal state instead of resetting
+ * to the preheat guess:
+ *   engine.startPreheat();                     // cold start, empty drum
+ *   await engine.step({ heater: 1.0, fan: 0.3 }); // ... until phase is IDLE
+ *   engine.charge({ mass: 150, carryOver: true });
+ */
+
+// The browser and the worker have RateOfRise as a global from rate-of-rise.js
+const EngineRateOfRise = (typeof module !== 'undefined' && module.exports)
+    ? require('./rate-of-rise.js').RateOfRise
+    : RateOfRise;
+
+// The browser and the worker have RandomSampling as a global from random-sampling.js
+const EngineRandomSampling = (typeof module !== 'undefined' && module.exports)
+    ? require('./random-sampling.js').RandomSampling
+    : RandomSampling;
+
+class RoasterEngine {
+    /**
+     * Roasting phases shared by the engine and everything built on top of it
+     */
+    static get PHASES() {
+        return {
+            PREHEAT: 'preheat',   // Empty roaster heating toward the charge temperature
+            IDLE: 'idle',         // Empty roaster ready to charge
+            CHARGING: 'charging',
+            ROASTING: 'roasting',
+            COOLING: 'cooling',   // Beans dropped into the cooling tray, roaster running empty
+            DROPPED: 'dropped'    // Cooling finished
+        };
+    }
+
+    /**
+     * Load all ONNX sessions needed by the engine
+     *
+     * Paths are resolved relative to basePath, which is a URL prefix in the
+     * browser and a filesystem directory in Node.
+     *
+     * @param {Object} ortModule - ONNX Runtime module (onnxruntime-web or onnxruntime-node)
+     * @param {Object} options - Loading options
+     * @param {string} options.basePath - Directory/URL containing the ONNX models (default 'onnx_models')
+     * @param {string} options.beanModel - Bean model filename (default 'bean_guji.onnx')
+     * @param {Array<string>} options.ensembleBeanModels - Bean model filenames sampled by ensemble forecasts (optional)
+     * @returns {Promise<Object>} - {stateEstimator, roastStepper, beanModel, ensembleBeanModels}
+     */
+    static async loadSessions(ortModule, options = {}) {
+        const basePath = options.basePath || 'onnx_models';
+        const beanModel = options.beanModel || 'bean_guji.onnx';
+
+        const ensembleBeanModels = [];
+        for (const filename of options.ensembleBeanModels || []) {
+            ensembleBeanModels.push(await ortModule.InferenceSession.create(`${basePath}/${filename}`));
+        }
+
+        return {
+            stateEstimator: await ortModule.InferenceSession.create(`${basePath}/state_estimator.onnx`),
+            roastStepper: await ortModule.InferenceSession.create(`${basePath}/roast_stepper.onnx`),
+            beanModel: await ortModule.InferenceSession.create(`${basePath}/${beanModel}`),
+            ensembleBeanModels: ensembleBeanModels
+        };
+    }
+
+    /**
+     * Default ensemble perturbation settings
+     * Same values as the `robustness` section of controller_metadata.yaml,
+     * which the control policy was trained against
+     */
+    static get DEFAULT_ROBUSTNESS() {
+        return {
+            bean_perturbation: 0.01,    // Relative std of each member's bean thermal capacity
+            latent_noise_scale: 0.01,   // Std of noise added to the normalized state every step
+            model_perturbation: 0.001   // Relative std of each member's per-state stepper increments
+        };
+    }
+
+    /**
+     * Create a roaster engine
+     *
+     * @param {Object} options - Engine options
+     * @param {Object} options.ort - ONNX Runtime module (defaults to the global `ort` in the browser)
+     * @param {Object} options.sessions - Injected sessions {stateEstimator, roastStepper, beanModel}
+     * @param {number} options.timestep - Physics timestep in seconds (default 1.5)
+     * @param {number} options.preheatTemp - Preheat temperature in °C (default 180)
+     * @param {number} options.chargeDuration - Simulated seconds spent in CHARGING before ROASTING (default 2)
+     * @param {number} options.forecastHorizon - Default forecast horizon in seconds (default 240)
+     * @param {Object} options.fixedParams - Overrides for {drum, ambient, humidity}
+     * @param {StateEstimator} options.estimator - Optional state estimator (see state-estimator.js)
+     * @param {number} options.reanchorInterval - Seconds between re-anchors while stepping (0 = off)
+     * @param {number} options.reanchorGain - Blend factor toward the estimate when re-anchoring (0-1, default 1)
+     * @param {Object} options.coolingModel - Overrides for the cooling tray model (see coolingModel below)
+     */
+    constructor(options = {}) {
+        // ONNX Runtime module used to build tensors
+        this.ort = options.ort || (typeof ort !== 'undefined' ? ort : null);
+
+        // ONNX Runtime sessions for each model component
+        this.sessions = {
+            stateEstimator: null,
+            roastStepper: null,
+            beanModel: null,
+            ensembleBeanModels: []  // Bean models sampled by ensemble forecast members
+        };
+        this.setSessions(options.sessions || {});
+
+        // Timing
+        this.timestep = options.timestep ?? 1.5;             // Fixed physics timestep in seconds
+        this.chargeDuration = options.chargeDuration ?? 2.0; // Seconds of CHARGING before ROASTING
+        this.forecastHorizon = options.forecastHorizon ?? 240; // Default forecast horizon in seconds
+
+        // Preheat temperature setting (°C)
+        this.preheatTemp = options.preheatTemp ?? 180.0;
+
+        // Scaling factors from dataset.py - ArtisanRoastDataset.SCALING_FACTORS
+        this.scalingFactors = {
+            temperatures: {
+                bean: 100.0,        // Bean temperature - typical max ~250°C
+                environment: 100.0, // Environment temperature - similar scale
+                temp_difference: 100.0 // Temperature difference (BT - ET)
+            },
+            controls: {
+                heater: 100.0,      // Heater power (0-100%)
+                fan: 100.0,         // Fan speed (0-100%)
+                drum: 100.0,        // Drum speed (0-100%)
+                ambient: 100.0,     // Ambient temperature in °C
+                humidity: 100.0     // Humidity percentage
+            },
+            mass: 100.0,            // Typical batch size ~100g
+            time: 60.0              // Convert seconds to minutes
+        };
+
+        // Parameters fed to the roast stepper on every step
+        // Drum speed and humidity can also be changed per step (see step()).
+        // Note: the shipped roast_stepper.onnx was trained at a fixed drum
+        // speed and humidity and does not respond to these two inputs yet.
+        this.fixedParams = {
+            drum: 0.6,        // Drum speed (0-1)
+            ambient: 24.0,    // Ambient temperature (°C)
+            humidity: 0.5,    // Relative humidity (0-1)
+            ...(options.fixedParams || {})
+        };
+
+        // Whether the stepper responds to drum speed and humidity (see detectCapabilities())
+        this.capabilities = { drum: true, humidity: true };
+
+        // Roasting phase
+        this.phases = RoasterEngine.PHASES;
+        this.phase = this.phases.IDLE;
+
+        // Charged bean mass (grams)
+        this.mass = 100.0;
+
+        // Cooling tray after DROP: Newton cooling toward ambient, faster with more tray airflow
+        // rate = (1 + airflowGain * airflow) / stillAirTimeConstant (1/min)
+        this.coolingModel = {
+            airflow: 0.8,               // Tray fan (0-1)
+            airflowGain: 3.0,           // Rate multiplier per unit airflow
+            stillAirTimeConstant: 5.0,  // Cooling time constant with the tray fan off (minutes)
+            ambient: null,              // Tray air temperature in °C (null = fixedParams.ambient)
+            endTemp: 35.0,              // Cooling is finished below this bean temperature (°C)
+            ...(options.coolingModel || {})
+        };
+        this.trayTemp = null; // Bean temperature in the cooling tray (°C), null until DROP
+
+        // Batch bookkeeping for back-to-back roasts
+        this.batchNumber = 0;    // Batches charged since the engine was created
+        this.dropTime = null;    // Simulation time of the last DROP (seconds), null before the first drop
+
+        // Simulation time tracking (separate from wall-clock time)
+        this.simulationTime = 0; // Simulation time in seconds
+        this.stepCount = 0;      // Count of simulation steps taken
+
+        // Optional state estimator for measured initial conditions and periodic re-anchoring
+        this.estimator = options.estimator || null;
+        this.reanchorInterval = options.reanchorInterval ?? 0;
+        this.reanchorGain = options.reanchorGain ?? 1.0;
+        this.lastReanchorTime = 0;
+        this.pendingMeasurement = null; // External probe reading for the next step (overrides the model's own)
+
+        // Preheated roaster state from a measurement (null = use the fixed preheat guess)
+        this.preheatState = null;
+
+        // Current system state [T_r, T_b, T_air, T_bm, T_atm] (normalized)
+        this.currentState = this.initializePreheatState();
+    }
+
+    /**
+     * Replace some or all of the ONNX sessions
+     * Used when models finish loading or the bean model is swapped
+     *
+     * @param {Object} sessions - {stateEstimator, roastStepper, beanModel} (any subset)
+     */
+    setSessions(sessions) {
+        for (const key of Object.keys(this.sessions)) {
+            if (sessions[key] !== undefined) {
+                this.sessions[key] = sessions[key];
+            }
+        }
+    }
+
+    /**
+     * Initialize state with preheat conditions
+     * Uses the measured preheat state from initializeFromMeasurement() when
+     * available, otherwise the fixed guess from the preheat temperature.
+     * Either way the bean core starts at room temperature.
+     *
+     * @returns {Float32Array} - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     */
+    initializePreheatState() {
+        const roomTemp = 25.0; // °C
+
+        if (this.preheatState) {
+            const state = new Float32Array(this.preheatState);
+            state[1] = roomTemp / this.scalingFactors.temperatures.bean; // T_b (beans enter at room temp)
+            return state;
+        }
+
+        return this.stateFromProbes(this.preheatTemp, this.preheatTemp);
+    }
+
+    /**
+     * Roaster state after standing cold: everything at ambient temperature
+     *
+     * @returns {Float32Array} - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     */
+    coldState() {
+        const ambient = this.fixedParams.ambient / this.scalingFactors.temperatures.bean;
+        return new Float32Array([ambient, ambient, ambient, ambient, ambient]);
+    }
+
+    /**
+     * Heuristic latent state from probe readings
+     * T_bm = bean probe (BT)
+     * T_atm = measured air temp (ET)
+     * T_roaster = ET + 50°C
+     * T_air = ET - 40°C
+     * T_b = room temperature = 25°C
+     *
+     * @param {number} beanTemp - Bean probe temperature BT (°C)
+     * @param {number} envTemp - Environment probe temperature ET (°C)
+     * @returns {Float32Array} - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     */
+    stateFromProbes(beanTemp, envTemp) {
+        const roomTemp = 25.0; // °C
+        const roasterTemp = envTemp + 50.0; // 230°C for a 180°C preheat
+        const airTemp = envTemp - 40.0; // 140°C for a 180°C preheat
+
+        // Normalize temperatures using scaling factor
+        const tempScale = this.scalingFactors.temperatures.bean;
+
+        return new Float32Array([
+            roasterTemp / tempScale,     // T_r (roaster temperature)
+            roomTemp / tempScale,        // T_b (bean core temperature - starts at room temp)
+            airTemp / tempScale,         // T_air (air temperature)
+            beanTemp / tempScale,        // T_bm (bean measurement temperature)
+            envTemp / tempScale          // T_atm (measured air temperature)
+        ]);
+    }
+
+    /**
+     * Attach or detach a state estimator
+     *
+     * @param {StateEstimator|null} estimator - Estimator instance
+     */
+    setEstimator(estimator) {
+        this.estimator = estimator;
+    }
+
+    /**
+     * Initialize the preheated roaster from a measured condition
+     * Runs the state estimator on a steady-state measurement; if there is no
+     * estimator or the estimate is rejected, falls back to the probe heuristic
+     * so the measured BT/ET are still honoured. Subsequent charge()/reset()
+     * calls start from this state.
+     *
+     * @param {Object} measurement - Measured roaster condition
+     * @param {number} measurement.beanTemp - Bean probe temperature BT (°C)
+     * @param {number} measurement.envTemp - Environment probe temperature ET (°C)
+     * @param {number} measurement.heater - Heater power while holding (0-1, default 0.5)
+     * @param {number} measurement.fan - Fan speed while holding (0-1, default 0.5)
+     * @returns {Promise<Object>} - {state, estimated} where estimated is true if the estimator was used
+     */
+    async initializeFromMeasurement(measurement) {
+        let state = null;
+
+        if (this.estimator) {
+            this.estimator.seedSteadyState(this.estimatorSample({
+                beanTemp: measurement.beanTemp,
+                envTemp: measurement.envTemp,
+                heater: measurement.heater ?? 0.5,
+                fan: measurement.fan ?? 0.5,
+                mass: 0.0
+            }));
+            state = await this.estimator.estimate();
+        }
+
+        const estimated = state !== null;
+        if (!estimated) {
+            state = this.stateFromProbes(measurement.beanTemp, measurement.envTemp);
+        }
+
+        this.preheatState = state;
+        this.currentState = this.initializePreheatState();
+        return { state: new Float32Array(this.currentState), estimated: estimated };
+    }
+
+    /**
+     * Provide an external probe reading for the next step
+     * Lets real or simulated-sensor measurements drive re-anchoring instead of
+     * the model's own T_bm/T_atm
+     *
+     * @param {Object} measurement - {beanTemp, envTemp} in °C
+     */
+    observe(measurement) {
+        this.pendingMeasurement = { ...measurement };
+    }
+
+    /**
+     * Build an estimator sample from a measurement plus the engine's fixed parameters
+     *
+     * @param {Object} measurement - {beanTemp, envTemp, heater, fan, mass}
+     * @returns {Object} - Sample for StateEstimator.observe()
+     */
+    estimatorSample(measurement) {
+        return {
+            beanTemp: measurement.beanTemp,
+            envTemp: measurement.envTemp,
+            heater: measurement.heater,
+            fan: measurement.fan,
+            drum: this.fixedParams.drum,
+            ambient: this.fixedParams.ambient,
+            humidity: this.fixedParams.humidity,
+            mass: measurement.mass
+        };
+    }
+
+    /**
+     * Feed the estimator after a step and re-anchor the state when due
+     * An accepted estimate pulls the whole state toward it; the bean core only
+     * with beans in the drum, where the estimator can see it. Without an
+     * estimator, or when the estimate is rejected, an observe()d measurement
+     * still pulls the probe states (T_bm, T_atm) toward the readings.
+     *
+     * @param {Object} controls - Controls applied during the step {heater, fan}
+     * @param {number} massValue - Mass in the drum during the step (grams)
+     */
+    async updateEstimator(controls, massValue) {
+        const external = this.pendingMeasurement;
+        this.pendingMeasurement = null;
+        const measurement = external || {
+            beanTemp: this.denormalizeTemperature(this.currentState[3]),
+            envTemp: this.denormalizeTemperature(this.currentState[4])
+        };
+
+        if (this.estimator) {
+            this.estimator.observe(this.estimatorSample({
+                ...measurement,
+                heater: controls.heater,
+                fan: controls.fan,
+                mass: massValue
+            }));
+        }
+
+        if (this.reanchorInterval <= 0 || this.simulationTime - this.lastReanchorTime < this.reanchorInterval) {
+            return;
+        }
+        this.lastReanchorTime = this.simulationTime;
+
+        const estimate = this.estimator ? await this.estimator.estimate() : null;
+        const tempScale = this.scalingFactors.temperatures.bean;
+        const target = new Float32Array(this.currentState);
+        if (estimate) {
+            target.set(estimate);
+            if (massValue <= 0) target[1] = this.currentState[1];
+        } else if (external) {
+            target[3] = external.beanTemp / tempScale;
+            target[4] = external.envTemp / tempScale;
+        } else {
+            return;
+        }
+
+        // Blend toward the target (gain 1 replaces the state outright)
+        const gain = this.reanchorGain;
+        this.currentState = this.currentState.map((v, i) => v + gain * (target[i] - v));
+    }
+
+    /**
+     * Whether beans are currently in the drum
+     * Beans are present during both CHARGING and ROASTING phases
+     *
+     * @returns {boolean}
+     */
+    beansPresent() {
+        return this.phase === this.phases.CHARGING || this.phase === this.phases.ROASTING;
+    }
+
+    /**
+     * Start a PREHEAT with an empty drum
+     * The engine steps the roast stepper with zero mass and moves to IDLE once
+     * the bean probe reaches preheatTemp (the charge temperature). Simulation
+     * time restarts at zero.
+     *
+     * @param {Object} options - Preheat options
+     * @param {boolean} options.fromCold - Start from a cold roaster at ambient (default true);
+     *                                     false continues from the current roaster state
+     */
+    startPreheat(options = {}) {
+        if (options.fromCold ?? true) {
+            this.currentState = this.coldState();
+        }
+
+        this.simulationTime = 0;
+        this.stepCount = 0;
+        this.lastReanchorTime = 0;
+        this.phase = this.phases.PREHEAT;
+        this.trayTemp = null;
+        this.dropTime = null;
+
+        if (this.estimator) {
+            this.estimator.reset();
+        }
+    }
+
+    /**
+     * Charge beans into the roaster
+     * Restarts simulation time. By default the roaster starts from the preheat
+     * state; with carryOver it keeps its current thermal state (e.g. after the
+     * previous batch and the between-batch protocol) and only the bean core
+     * starts at room temperature.
+     *
+     * @param {Object} options - Charge options
+     * @param {number} options.mass - Bean mass in grams (defaults to the current mass)
+     * @param {boolean} options.carryOver - Keep the current roaster state (back-to-back batches, default false)
+     */
+    charge(options = {}) {
+        if (options.mass !== undefined) {
+            this.mass = options.mass;
+        }
+
+        if (options.carryOver) {
+            const state = new Float32Array(this.currentState);
+            state[1] = 25.0 / this.scalingFactors.temperatures.bean; // T_b (beans enter at room temp)
+            this.currentState = state;
+        } else {
+            this.currentState = this.initializePreheatState();
+        }
+
+        this.simulationTime = 0;
+        this.stepCount = 0;
+        this.lastReanchorTime = 0;
+        this.phase = this.phases.CHARGING;
+        this.trayTemp = null;
+        this.dropTime = null;
+        this.batchNumber += 1;
+
+        if (this.estimator) {
+            this.estimator.reset();
+        }
+    }
+
+    /**
+     * Drop beans from the roaster into the cooling tray
+     * The engine keeps stepping afterwards with an empty drum while the beans
+     * cool (COOLING), then stays DROPPED once they are below coolingModel.endTemp
+     */
+    drop() {
+        this.dropTime = this.simulationTime;
+        if (this.beansPresent()) {
+            // The bean probe reads the bean mass at the moment of the drop
+            this.trayTemp = this.denormalizeTemperature(this.currentState[3]);
+            this.phase = this.phases.COOLING;
+        } else {
+            this.phase = this.phases.DROPPED;
+        }
+    }
+
+    /**
+     * Advance the cooling tray by one timestep
+     *
+     * @param {number} seconds - Elapsed time in seconds
+     */
+    stepCooling(seconds) {
+        const model = this.coolingModel;
+        const ambient = model.ambient ?? this.fixedParams.ambient;
+        const rate = (1 + model.airflowGain * model.airflow) / model.stillAirTimeConstant; // 1/min
+        this.trayTemp = ambient + (this.trayTemp - ambient) * Math.exp(-rate * seconds / 60);
+
+        if (this.trayTemp <= model.endTemp) {
+            this.phase = this.phases.DROPPED;
+        }
+    }
+
+    /**
+     * Return the engine to IDLE with a preheated roaster
+     *
+     * @param {Object} options - Reset options
+     * @param {boolean} options.keepRoasterState - Keep the current roaster state instead of the
+     *                                             preheat state (default false)
+     */
+    reset(options = {}) {
+        this.phase = this.phases.IDLE;
+        this.trayTemp = null;
+        this.dropTime = null;
+        this.simulationTime = 0;
+        this.stepCount = 0;
+        this.lastReanchorTime = 0;
+        if (!options.keepRoasterState) {
+            this.currentState = this.initializePreheatState();
+        }
+
+        if (this.estimator) {
+            this.estimator.reset();
+        }
+    }
+
+    /**
+     * Query the bean model for the thermal capacity at a given core temperature
+     *
+     * @param {number} normalizedBeanTemp - Normalized bean core temperature (T_b)
+     * @param {Object} beanModel - Bean model session (defaults to the loaded bean model)
+     * @returns {Promise<number>} - Bean thermal capacity (normalized)
+     */
+    async computeBeanCapacity(normalizedBeanTemp, beanModel = this.sessions.beanModel) {
+        const beanModelResult = await beanModel.run({
+            bean_temperature: new this.ort.Tensor('float32', [normalizedBeanTemp], [1, 1])
+        });
+        return beanModelResult.thermal_capacity.data[0];
+    }
+
+    /**
+     * Build the roast stepper control vector
+     * Based on DrumRoasterExtended.forward() in models.py: [heater, fan, drum, T_amb, humidity, mass, C_b]
+     *
+     * @param {number} heater - Heater power (0-1)
+     * @param {number} fan - Fan speed (0-1)
+     * @param {number} massValue - Bean mass in grams (0 when the drum is empty)
+     * @param {number} beanCapacity - Bean thermal capacity (normalized)
+     * @param {number} drum - Drum speed (0-1, defaults to fixedParams.drum)
+     * @param {number} humidity - Humidity (defaults to fixedParams.humidity)
+     * @returns {Float32Array} - Control vector of length 7
+     */
+    buildStepperControls(heater, fan, massValue, beanCapacity, drum = this.fixedParams.drum, humidity = this.fixedParams.humidity) {
+        const stepperControls = new Float32Array(7);
+        stepperControls[0] = heater;  // Already 0-1
+        stepperControls[1] = fan;     // Already 0-1
+        stepperControls[2] = drum;    // Already 0-1 (0.6 by default)
+        stepperControls[3] = this.fixedParams.ambient / this.scalingFactors.controls.ambient;  // Scale temperature
+        stepperControls[4] = humidity / this.scalingFactors.controls.humidity; // Scale humidity
+        stepperControls[5] = massValue / this.scalingFactors.mass;  // Scale mass
+        stepperControls[6] = beanCapacity;  // Bean thermal capacity
+        return stepperControls;
+    }
+
+    /**
+     * Find out which of drum speed and humidity the loaded stepper responds to
+     * Steps a charged preheat state with each input at both ends of its range;
+     * an input whose next states are identical has no effect with this model
+     * and the simulator and game disable its controls.
+     *
+     * @returns {Promise<Object>} - {drum, humidity} (booleans), also kept as this.capabilities
+     */
+    async detectCapabilities() {
+        const state = this.stateFromProbes(this.preheatTemp, this.preheatTemp);
+        const responds = async (input) => {
+            const low = { drum: this.fixedParams.drum, humidity: this.fixedParams.humidity, [input]: 0 };
+            const high = { ...low, [input]: 1 };
+            const a = await this.runStepper(state, this.buildStepperControls(0.7, 0.4, 150, 0.5, low.drum, low.humidity));
+            const b = await this.runStepper(state, this.buildStepperControls(0.7, 0.4, 150, 0.5, high.drum, high.humidity));
+            return a.some((value, i) => value !== b[i]);
+        };
+        this.capabilities = { drum: await responds('drum'), humidity: await responds('humidity') };
+        return { ...this.capabilities };
+    }
+
+    /**
+     * Advance a state by one timestep with the roast stepper
+     *
+     * @param {Float32Array} state - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     * @param {Float32Array} stepperControls - Control vector from buildStepperControls()
+     * @returns {Promise<Float32Array>} - Next normalized state
+     */
+    async runStepper(state, stepperControls) {
+        // Time step (normalized)
+        const dt = new Float32Array([this.timestep / this.scalingFactors.time]);
+
+        const stepperResult = await this.sessions.roastStepper.run({
+            current_state: new this.ort.Tensor('float32', state, [1, 5]),
+            current_controls: new this.ort.Tensor('float32', stepperControls, [1, 7]),
+            dt: new this.ort.Tensor('float32', dt, [1, 1])
+        });
+
+        return new Float32Array(stepperResult.next_state.data);
+    }
+
+    /**
+     * Perform one physics step
+     *
+     * @param {Object} controls - Control inputs for this step
+     * @param {number} controls.heater - Heater power (0-1)
+     * @param {number} controls.fan - Fan speed (0-1)
+     * @param {number} controls.drum - Drum speed (0-1, optional; becomes the current fixedParams.drum)
+     * @param {number} controls.humidity - Humidity (optional; becomes the current fixedParams.humidity)
+     * @returns {Promise<Object>} - Step record (see getState()) plus the applied controls
+     */
+    async step(controls) {
+        // Drum speed and humidity persist, so later steps and forecasts
+        // (which read fixedParams) continue with the latest values
+        if (controls.drum !== undefined) {
+            this.fixedParams.drum = controls.drum;
+        }
+        if (controls.humidity !== undefined) {
+            this.fixedParams.humidity = controls.humidity;
+        }
+
+        // Each step advances simulation time by the physics timestep
+        this.simulationTime += this.timestep;
+        this.stepCount += 1;
+
+        const beansPresent = this.beansPresent();
+        const massValue = beansPresent ? this.mass : 0.0;
+
+        // Get bean thermal capacity from bean model if beans are present
+        let beanCapacity = 0.5; // Default thermal capacity (normalized)
+        if (beansPresent && this.sessions.beanModel) {
+            beanCapacity = await this.computeBeanCapacity(this.currentState[1]);
+        }
+
+        const stepperControls = this.buildStepperControls(controls.heater, controls.fan, massValue, beanCapacity);
+        this.currentState = await this.runStepper(this.currentState, stepperControls);
+
+        // Keep the estimator's measurement history current (and re-anchor when due)
+        await this.updateEstimator(controls, massValue);
+
+        // Charging is a brief transition before the roast proper
+        if (this.phase === this.phases.CHARGING && this.simulationTime >= this.chargeDuration) {
+            this.phase = this.phases.ROASTING;
+        }
+
+        // Dropped beans keep cooling in the tray while the roaster runs empty
+        if (this.phase === this.phases.COOLING) {
+            this.stepCooling(this.timestep);
+        }
+
+        // Preheat is done once the bean probe reaches the charge temperature
+        if (this.phase === this.phases.PREHEAT && this.denormalizeTemperature(this.currentState[3]) >= this.preheatTemp) {
+            this.phase = this.phases.IDLE;
+        }
+
+        return {
+            ...this.getState(),
+            controls: {
+                heater: controls.heater,
+                fan: controls.fan,
+                drum: this.fixedParams.drum,
+                humidity: this.fixedParams.humidity
+            },
+            beanCapacity: beanCapacity
+        };
+    }
+
+    /**
+     * Compute a forecast from the current state
+     * This is an inner loop that predicts future temperatures without
+     * modifying the actual simulation state.
+     *
+     * Open loop (default): heater and fan are held at the given values.
+     * Scheduled: pass a plan and the controls follow its changes over time.
+     * Closed loop: pass a policy (e.g. ClosedLoopPolicy from controllers.js)
+     * and it chooses the controls at every step from the predicted state,
+     * so the forecast shows what the active controller will actually do.
+     *
+     * @param {Object} options - Forecast options
+     * @param {number} options.heater - Heater power held for the whole horizon (0-1, open loop)
+     * @param {number} options.fan - Fan speed held for the whole horizon (0-1, open loop)
+     * @param {number} options.drum - Drum speed held for the horizon (0-1, defaults to fixedParams.drum)
+     * @param {number} options.humidity - Humidity held for the horizon (defaults to fixedParams.humidity)
+     * @param {number} options.horizon - Forecast horizon in seconds (defaults to this.forecastHorizon)
+     * @param {Object} options.plan - Optional control plan {changes: [{time (min), heater?, fan?, drum?, humidity?}]}
+     *                                 (see controlsFromPlan(); the options above are the values before the first change)
+     * @param {Object} options.policy - Optional closed-loop policy with async compute(context) => {heater, fan, drum?, humidity?}
+     * @param {Object} options.ensemble - Optional ensemble settings (see computeEnsembleForecastFrom())
+     * @param {Object} options.rateOfRise - RoR settings (see rate-of-rise.js; defaults to RateOfRise.DEFAULT_CONFIG)
+     * @param {Object} options.history - Optional recorded bean probe {time (min), bean} up to now, so windowed
+     *                                   RoR methods (and a closed-loop PID's derivative) continue across the
+     *                                   start of the forecast
+     * @returns {Promise<Object>} - {time, bean, environment, roaster, air, airMeasured, rateOfRise, heater, fan, drum, humidity}
+     *                              (plus `ensemble` percentile bands for ensemble forecasts)
+     */
+    async computeForecast(options) {
+        if (options.ensemble) {
+            return this.computeEnsembleForecastFrom(this.currentState, this.simulationTime, options);
+        }
+        return this.computeForecastFrom(this.currentState, this.simulationTime, options);
+    }
+
+    /**
+     * Compute a forecast from an arbitrary starting state
+     *
+     * @param {Float32Array} initialState - Normalized state to start from
+     * @param {number} initialTime - Simulation time of initialState in seconds
+     * @param {Object} options - See computeForecast()
+     * @param {Object} options.perturbation - Ensemble member perturbation (see samplePerturbation())
+     * @returns {Promise<Object>} - See computeForecast()
+     */
+    async computeForecastFrom(initialState, initialTime, options) {
+        const perturbation = options.perturbation || null;
+        const beanModel = (perturbation && perturbation.beanModel) || this.sessions.beanModel;
+        const forecastHorizon = options.horizon ?? this.forecastHorizon;
+        const forecastSteps = Math.ceil(forecastHorizon / this.timestep); // Number of steps to forecast
+
+        // Arrays to store forecast trajectory for all state variables
+        const forecastTime = [];           // Time points in minutes (absolute simulation time)
+        const forecastBeanTemp = [];       // Predicted bean probe temperatures (T_bm) in °C
+        const forecastEnvironmentTemp = []; // Predicted bean surface temperatures (T_b) in °C
+        const forecastRoasterTemp = [];    // Predicted roaster temperatures (T_r) in °C
+        const forecastAirTemp = [];        // Predicted air temperatures (T_air) in °C
+        const forecastAirMeasuredTemp = []; // Predicted measured air temperatures (T_atm) in °C
+        const forecastHeater = [];         // Planned heater schedule (0-1)
+        const forecastFan = [];            // Planned fan schedule (0-1)
+        const forecastDrum = [];           // Planned drum speed schedule (0-1)
+        const forecastHumidity = [];       // Assumed humidity
+
+        // Capture the starting point up front: the engine may keep stepping
+        // while this forecast awaits inference, and must not be modified by it
+        const startState = new Float32Array(initialState);
+        const startTime = initialTime / 60; // minutes
+        let forecastState = new Float32Array(startState);
+        const baseDrum = options.drum ?? this.fixedParams.drum;
+        const baseHumidity = options.humidity ?? this.fixedParams.humidity;
+
+        const beansPresent = this.beansPresent();
+        const massValue = beansPresent ? this.mass : 0.0;
+
+        let beanCapacity = 0.5; // Default
+
+        // Bean probe history with its RoR, extended as the rollout goes (the
+        // forecast's RoR, and the smoothed RoR a closed-loop policy sees)
+        const rateOfRise = this.startRateOfRise(startState, startTime, options);
+
+        for (let step = 0; step < forecastSteps; step++) {
+            const stepTime = startTime + (step + 1) * this.timestep / 60;
+
+            // Choose controls: fixed (open loop), scheduled (plan) or from the policy (closed loop)
+            let heater = options.heater;
+            let fan = options.fan;
+            let drum = baseDrum;
+            let humidity = baseHumidity;
+            if (options.plan) {
+                ({ heater, fan, drum, humidity } = RoasterEngine.controlsFromPlan(
+                    options.plan, stepTime, { heater, fan, drum, humidity }
+                ));
+            }
+            if (options.policy) {
+                const rolloutState = forecastState;
+                const stepDrum = drum;
+                const stepHumidity = humidity;
+                const action = await options.policy.compute({
+                    state: rolloutState,
+                    time: stepTime,
+                    timestep: this.timestep,
+                    rateOfRise: rateOfRise.values[rateOfRise.values.length - 1],
+                    // Current drum speed and humidity (disturbances unless the policy sets them)
+                    drum: stepDrum,
+                    humidity: stepHumidity,
+                    // Open-loop forecast from the predicted state (for controllers that need one)
+                    generateForecast: (heat, fanSpeed, horizon) => this.computeForecastFrom(
+                        rolloutState, (stepTime * 60) - this.timestep,
+                        { heater: heat, fan: fanSpeed, drum: stepDrum, humidity: stepHumidity, horizon: horizon }
+                    )
+                });
+                heater = action.heater;
+                fan = action.fan;
+                drum = action.drum ?? drum;
+                humidity = action.humidity ?? humidity;
+            }
+
+            // Update bean capacity based on current forecast state
+            if (beansPresent && beanModel) {
+                beanCapacity = await this.computeBeanCapacity(forecastState[1], beanModel);
+                if (perturbation) {
+                    beanCapacity *= perturbation.capacityScale;
+                }
+            }
+
+            const forecastControls = this.buildStepperControls(heater, fan, massValue, beanCapacity, drum, humidity);
+            const nextState = await this.runStepper(forecastState, forecastControls);
+            if (perturbation) {
+                this.perturbStep(forecastState, nextState, perturbation);
+            }
+            forecastState = nextState;
+
+            // Time is absolute simulation time (in minutes)
+            forecastTime.push(stepTime);
+            forecastHeater.push(heater);
+            forecastFan.push(fan);
+            forecastDrum.push(drum);
+            forecastHumidity.push(humidity);
+
+            // State vector: [T_r, T_b, T_air, T_bm, T_atm]
+            forecastRoasterTemp.push(this.denormalizeTemperature(forecastState[0]));      // T_r (roaster)
+            forecastEnvironmentTemp.push(this.denormalizeTemperature(forecastState[1]));  // T_b (bean surface)
+            forecastAirTemp.push(this.denormalizeTemperature(forecastState[2]));          // T_air (air)
+            forecastBeanTemp.push(this.denormalizeTemperature(forecastState[3]));         // T_bm (bean probe)
+            forecastAirMeasuredTemp.push(this.denormalizeTemperature(forecastState[4]));  // T_atm (measured air)
+
+            rateOfRise.times.push(stepTime);
+            rateOfRise.beans.push(forecastBeanTemp[forecastBeanTemp.length - 1]);
+            rateOfRise.values.push(rateOfRise.calculator.next(rateOfRise.times, rateOfRise.beans, rateOfRise.values));
+        }
+
+        const forecastRateOfRise = rateOfRise.values.slice(rateOfRise.historyLength);
+
+        return {
+            time: forecastTime,
+            bean: forecastBeanTemp,
+            environment: forecastEnvironmentTemp,
+            roaster: forecastRoasterTemp,
+            air: forecastAirTemp,
+            airMeasured: forecastAirMeasuredTemp,
+            rateOfRise: forecastRateOfRise,
+            heater: forecastHeater,
+            fan: forecastFan,
+            drum: forecastDrum,
+            humidity: forecastHumidity
+        };
+    }
+
+    /**
+     * Bean probe series a forecast's rate of rise continues from
+     * The recorded history when given, otherwise the starting state's probe
+     * reading; the rollout appends each forecast point with calculator.next()
+     *
+     * @param {Float32Array} startState - Normalized state at the start of the forecast
+     * @param {number} startTime - Start time in minutes
+     * @param {Object} options - Forecast options (uses rateOfRise and history)
+     * @returns {Object} - {calculator, times, beans, values (RoR in °C/min), historyLength}
+     */
+    startRateOfRise(startState, startTime, options) {
+        const history = options.history && options.history.time.length > 0
+            ? options.history
+            : { time: [startTime], bean: [this.denormalizeTemperature(startState[3])] };
+        const calculator = new EngineRateOfRise(options.rateOfRise || {});
+        const times = [...history.time];
+        const beans = [...history.bean];
+        return {
+            calculator: calculator,
+            times: times,
+            beans: beans,
+            values: calculator.series(times, beans),
+            historyLength: times.length
+        };
+    }
+
+    /**
+     * Draw the perturbation for one ensemble member
+     *
+     * @param {Object} robustness - {bean_perturbation, latent_noise_scale, model_perturbation}
+     * @param {Function} random - Uniform random number generator in [0, 1)
+     * @returns {Object} - {beanModel, capacityScale, incrementScale, latentNoise, random}
+     */
+    samplePerturbation(robustness, random) {
+        const gaussian = () => EngineRandomSampling.gaussian(random);
+        const beanModels = this.sessions.ensembleBeanModels;
+
+        return {
+            // Random bean model from the ensemble set (the loaded model if none are set)
+            beanModel: beanModels.length > 0
+                ? beanModels[Math.floor(random() * beanModels.length)]
+                : this.sessions.beanModel,
+            capacityScale: 1 + robustness.bean_perturbation * gaussian(),
+            incrementScale: Array.from({ length: 5 }, () => 1 + robustness.model_perturbation * gaussian()),
+            latentNoise: robustness.latent_noise_scale,
+            random: random
+        };
+    }
+
+    /**
+     * Apply an ensemble member's perturbation to one stepper update (in place)
+     * Scales the state increment per component and adds latent noise
+     *
+     * @param {Float32Array} state - Normalized state before the step
+     * @param {Float32Array} nextState - Normalized state after the step (modified)
+     * @param {Object} perturbation - Member perturbation from samplePerturbation()
+     */
+    perturbStep(state, nextState, perturbation) {
+        for (let i = 0; i < nextState.length; i++) {
+            const increment = (nextState[i] - state[i]) * perturbation.incrementScale[i];
+            nextState[i] = state[i] + increment + perturbation.latentNoise * EngineRandomSampling.gaussian(perturbation.random);
+        }
+    }
+
+    /**
+     * Compute an ensemble forecast with percentile bands
+     *
+     * Runs the nominal rollout plus N perturbed members (random bean model,
+     * bean capacity, stepper increments and latent noise) and summarizes the
+     * members' bean temperature and rate of rise per time point.
+     *
+     * @param {Float32Array} initialState - Normalized state to start from
+     * @param {number} initialTime - Simulation time of initialState in seconds
+     * @param {Object} options - See computeForecast(), plus:
+     * @param {Object} options.ensemble - Ensemble settings
+     * @param {number} options.ensemble.members - Number of perturbed rollouts (default 10)
+     * @param {Object} options.ensemble.robustness - Perturbation sizes (default DEFAULT_ROBUSTNESS)
+     * @param {Array<number>} options.ensemble.percentiles - Percentiles to report (default [10, 50, 90])
+     * @param {Function} options.ensemble.random - Uniform random generator (default Math.random)
+     * @returns {Promise<Object>} - Nominal forecast with `ensemble: {members, percentiles, bean, rateOfRise}`,
+     *                              where bean/rateOfRise map each percentile to an array over time
+     */
+    async computeEnsembleForecastFrom(initialState, initialTime, options) {
+        const settings = options.ensemble;
+        const members = settings.members ?? 10;
+        const robustness = { ...RoasterEngine.DEFAULT_ROBUSTNESS, ...(settings.robustness || {}) };
+        const percentiles = settings.percentiles || [10, 50, 90];
+        const random = settings.random || Math.random;
+
+        // Members must not share a stateful policy (each rollout mutates its controller)
+        const memberPolicy = () => (options.policy && options.policy.clone ? options.policy.clone() : options.policy);
+
+        const nominal = await this.computeForecastFrom(initialState, initialTime, {
+            ...options,
+            policy: memberPolicy()
+        });
+
+        // Member rate of rise uses the same RoR method as the nominal forecast
+        // (a difference method will show the latent noise as jumpy bands)
+        const rollouts = [];
+        for (let m = 0; m < members; m++) {
+            rollouts.push(await this.computeForecastFrom(initialState, initialTime, {
+                ...options,
+                policy: memberPolicy(),
+                perturbation: this.samplePerturbation(robustness, random)
+            }));
+        }
+
+        const bands = (key) => {
+            const result = {};
+            for (const p of percentiles) {
+                result[p] = [];
+            }
+            for (let i = 0; i < nominal.time.length; i++) {
+                const values = rollouts.map((rollout) => rollout[key][i]).sort((a, b) => a - b);
+                for (const p of percentiles) {
+                    result[p].push(RoasterEngine.percentile(values, p));
+                }
+            }
+            return result;
+        };
+
+        nominal.ensemble = {
+            members: members,
+            percentiles: percentiles,
+            bean: bands('bean'),
+            rateOfRise: bands('rateOfRise')
+        };
+        return nominal;
+    }
+
+    /**
+     * Controls scheduled by a plan at a given time
+     * Changes take effect from their time onward; a change may set any of
+     * the channels, and the others keep their previous values.
+     *
+     * @param {Object} plan - {changes: [{time (min), heater?, fan?, drum?, humidity?}]}
+     * @param {number} time - Time in minutes
+     * @param {Object} base - Channel values before the first change, e.g. {heater, fan}
+     * @returns {Object} - The channels in base, e.g. {heater, fan}
+     */
+    static controlsFromPlan(plan, time, base) {
+        const controls = { ...base };
+        const changes = [...plan.changes].sort((a, b) => a.time - b.time);
+        for (const change of changes) {
+            if (change.time > time) break;
+            for (const channel of Object.keys(controls)) {
+                if (change[channel] !== undefined) controls[channel] = change[channel];
+            }
+        }
+        return controls;
+    }
+
+    /**
+     * Percentile of sorted values with linear interpolation
+     *
+     * @param {Array<number>} sorted - Values in ascending order
+     * @param {number} p - Percentile (0-100)
+     * @returns {number}
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const position = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+    }
+
+    /**
+     * Convert normalized temperature back to Celsius
+     */
+    denormalizeTemperature(normalizedTemp) {
+        return normalizedTemp * this.scalingFactors.temperatures.bean;
+    }
+
+    /**
+     * Get a serializable snapshot of everything a forecast depends on
+     * Can be posted to a worker and restored with restoreSnapshot()
+     *
+     * @returns {Object} - {phase, simulationTime, stepCount, mass, state (Array), fixedParams,
+     *                     trayTemp, batchNumber, dropTime}
+     */
+    getSnapshot() {
+        return {
+            phase: this.phase,
+            simulationTime: this.simulationTime,
+            stepCount: this.stepCount,
+            mass: this.mass,
+            state: Array.from(this.currentState),
+            fixedParams: { ...this.fixedParams },
+            trayTemp: this.trayTemp,
+            batchNumber: this.batchNumber,
+            dropTime: this.dropTime
+        };
+    }
+
+    /**
+     * Restore a snapshot taken with getSnapshot()
+     *
+     * @param {Object} snapshot - Snapshot object
+     */
+    restoreSnapshot(snapshot) {
+        this.phase = snapshot.phase;
+        this.simulationTime = snapshot.simulationTime;
+        this.stepCount = snapshot.stepCount;
+        this.mass = snapshot.mass;
+        this.currentState = new Float32Array(snapshot.state);
+        Object.assign(this.fixedParams, snapshot.fixedParams);
+        this.trayTemp = snapshot.trayTemp ?? null;
+        this.batchNumber = snapshot.batchNumber ?? this.batchNumber;
+        this.dropTime = snapshot.dropTime ?? null;
+    }
+
+    /**
+     * Get a snapshot of the engine state
+     *
+     * @returns {Object} - {phase, time, simulationTime, stepCount, mass, state, temperatures}
+     *   time is in minutes, simulationTime in seconds, state is a copy of the
+     *   normalized state vector and temperatures are in °C (tray is the dropped
+     *   beans' temperature, null before DROP)
+     */
+    getState() {
+        return {
+            phase: this.phase,
+            time: this.simulationTime / 60,
+            simulationTime: this.simulationTime,
+            stepCount: this.stepCount,
+            mass: this.mass,
+            state: new Float32Array(this.currentState),
+            temperatures: {
+                bean: this.denormalizeTemperature(this.currentState[3]),        // T_bm (Bean Temperature Measured)
+                environment: this.denormalizeTemperature(this.currentState[1]), // T_b (Bean Core Temperature)
+                roaster: this.denormalizeTemperature(this.currentState[0]),     // T_r (Roaster Temperature)
+                air: this.denormalizeTemperature(this.currentState[2]),         // T_air (Air Temperature)
+                airMeasured: this.denormalizeTemperature(this.currentState[4]), // T_atm (Measured Air Temperature)
+                tray: this.trayTemp                                              // Beans in the cooling tray
+            }
+        };
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoasterEngine };
+}
@@ -4,16 +4,28 @@
  * This simulator uses ONNX Runtime Web to run the trained coffee roaster models
  * in the browser. It implements a complete roasting workflow with physics-based
  * simulation using the trained neural network models.
+ * 
+ * The physics loop itself lives in RoasterEngine (roaster-engine.js); this
+ * class wires the engine to the sliders, controllers and Plotly charts.
  */
 
 class RoasterSimulator {
     constructor() {
-        // ONNX Runtime sessions for each model component
-        this.sessions = {
-            stateEstimator: null,
-            roastStepper: null,
-            beanModel: null
-        };
+        // Headless physics engine (ONNX sessions, latent state, phase and simulation time)
+        // Sessions are injected once the models finish loading
+        this.engine = new RoasterEngine();
+        
+        // ONNX Runtime sessions for each model component (shared with the engine)
+        this.sessions = this.engine.sessions;
+        
+        // Forecasts run in a Web Worker with its own sessions (started in loadModels)
+        this.forecastService = new ForecastService(this.engine);
+        
+        // Programmatic API: the game, editors, scripts and extensions subscribe
+        // to events here instead of reading internals (see simulator-events.js)
+        this.events = new SimulatorEvents();
+        this.emittedPhase = this.engine.phase;  // Last phase announced with phasechange
+        this.subscribeGameAPI();
         
         // Track the selected bean model filename
         // Default to 'bean_guji.onnx' (matches the default selected option in HTML)
@@ -21,21 +33,15 @@ class RoasterSimulator {
         
         // Simulation state
         this.isRunning = false;
-        this.simulationInterval = null;
-        this.timestep = 1.5; // Fixed timestep in seconds (for physics calculations)
-        this.speedupFactor = 8; // Speedup multiplier (1x = real-time, 2x = double speed, etc.) - Default to 8x
-        
-        // Roasting phases (simplified - no preheating)
-        this.phases = {
-            IDLE: 'idle',
-            CHARGING: 'charging',
-            ROASTING: 'roasting',
-            DROPPED: 'dropped'
-        };
-        this.currentPhase = this.phases.IDLE;
+        this.isPaused = false;        // Running but frozen: simulation time stands still until resumed or stepped
+        this.simulationTimer = null;  // Pending timeout for the next loop step
+        this.stepInProgress = false;  // A step is awaiting inference (steps never overlap)
+        this.speedupFactor = 8; // Speedup multiplier (1x = real-time, 2x = double speed, etc.) - Default to 8x; Infinity = as fast as possible
+        this.fastForward = null;      // {event, speedupFactor} while running flat out until a roast event
+        this.lastRedrawTime = 0;      // Wall-clock time of the last chart redraw (throttled at full speed)
         
-        // Preheat temperature setting (°C)
-        this.preheatTemp = 180.0;
+        // Roasting phases (PREHEAT only when preheating from cold)
+        this.phases = RoasterEngine.PHASES;
         
         // Simulation data storage
         this.timeData = [];
@@ -44,15 +50,21 @@ class RoasterSimulator {
             environment: [],
             roaster: [],
             air: [],
-            airMeasured: []
+            airMeasured: [],
+            tray: []            // Beans in the cooling tray after DROP (null before)
         };
         this.controlData = {
             heater: [],
             fan: [],
-            drum: []
+            drum: [],
+            humidity: []
         };
-        // Rate of rise data storage (°C/min)
+        // Rate of rise data storage (°C/min), computed by the shared RoR method
+        // (the display, events, metrics, PID and forecasts all read this one)
+        this.rateOfRise = new RateOfRise();
         this.rateOfRiseData = [];
+        // Background profile at each step while beans are in (what the controllers follow)
+        this.setpointData = [];
         this.startTime = null;
         
         // Forecast data storage (120-second predictions from current timestep)
@@ -63,66 +75,126 @@ class RoasterSimulator {
             environment: [],    // Predicted bean surface temperatures
             roaster: [],        // Predicted roaster temperatures
             air: [],            // Predicted air temperatures
-            rateOfRise: []      // Predicted rate of rise (°C/min) for bean temperature
-        };
-        
-        // Scaling factors from dataset.py - ArtisanRoastDataset.SCALING_FACTORS
-        this.scalingFactors = {
-            temperatures: {
-                bean: 100.0,        // Bean temperature - typical max ~250°C
-                environment: 100.0, // Environment temperature - similar scale
-                temp_difference: 100.0 // Temperature difference (BT - ET)
-            },
-            controls: {
-                heater: 100.0,      // Heater power (0-100%) 
-                fan: 100.0,         // Fan speed (0-100%)
-                drum: 100.0,        // Drum speed (0-100%)
-                ambient: 100.0,     // Ambient temperature in °C
-                humidity: 100.0     // Humidity percentage
-            },
-            mass: 100.0,            // Typical batch size ~100g
-            time: 60.0              // Convert seconds to minutes
+            rateOfRise: [],     // Predicted rate of rise (°C/min) for bean temperature
+            heater: [],         // Planned heater schedule (constant unless closed-loop)
+            fan: [],            // Planned fan schedule (constant unless closed-loop)
+            bands: null         // Ensemble percentile bands {bean, rateOfRise} (null unless ensemble mode)
         };
         
-        // Current system state [T_r, T_b, T_air, T_bm, T_atm] (normalized)
-        // Initialize with preheat conditions instead of room temperature
-        this.currentState = this.initializePreheatState();
-        
-        // Fixed parameters (ambient temperature is adjustable via slider)
-        this.fixedParams = {
-            drum: 0.6,        // Fixed drum speed
-            ambient: 24.0,    // Ambient temperature (°C) - adjustable via slider, default 24°C
-            humidity: 0.5     // Fixed humidity
+        // What-if forecast for the user's control plan (see control-plan-editor.js)
+        this.whatIfData = {
+            time: [],
+            bean: [],
+            rateOfRise: []
         };
         
         // Control inputs (user adjustable)
         this.controls = {
             heater: 0.5,
             fan: 0.5,
+            drum: this.fixedParams.drum,         // Drum speed (0-1)
+            humidity: this.fixedParams.humidity, // Relative humidity (0-1), a disturbance
             mass: 100.0  // grams
         };
         
         // Previous state for rate of rise calculation
-        this.previousBeanTemp = 25.0;
-        this.previousTime = 0;
-        
-        // Simulation time tracking (separate from wall-clock time)
-        this.simulationTime = 0; // Track simulation time in seconds
-        this.stepCount = 0;      // Count of simulation steps taken
         
         // Background reference profile (randomized on load)
         // This will be initialized after models load
         this.backgroundProfile = null;
         
+        // Artisan roasts by dashboard storage path come from a local copy of the
+        // dashboard's roast-data bucket (scripts/roast-data-server.js)
+        this.roastDataUrl = 'http://127.0.0.1:8090/';
+        
+        // Live roaster (hardware in the loop): while a telemetry adapter is
+        // connected, probe readings come from the roaster, controller outputs
+        // go to it and the engine runs alongside as a digital twin
+        this.telemetry = null;
+        this.twinReanchorInterval = 15;  // Seconds between re-anchoring the twin to the measurements
+        
+        // MQTT: each step's state and the roast events go to the broker,
+        // control commands come from it (see mqtt-telemetry.js)
+        this.mqtt = null;
+        this.mqttPublishedEvents = new Map();  // Event name -> time last published
+        this.mqttLiveCommands = false;  // Opt-in: let broker commands drive a connected live roaster
+        
+        // Roast events (TP, DRY, FCs, ...): detected from the data or marked by hand
+        this.roastEvents = new RoastEventDetector();
+        
+        // Empty-roaster protocol (preheat, between batches) and per-batch summaries
+        this.batchProtocol = new BatchProtocol({ chargeTemp: this.preheatTemp });
+        this.batchProtocolEnabled = true;
+        this.batchHistory = [];  // Array of {batch, gap, charge: {bean, airMeasured, roaster}, tp, fcs, drop, dtr}
+        
+        // After cooling the roaster keeps running until the next charge, but only
+        // the first idleRecordLimit minutes are recorded (charts, rewind, session log);
+        // the status display and step subscribers keep following the unrecorded steps
+        this.idleRecordLimit = 10;        // Minutes
+        this.coolingFinishedTime = null;  // Roast time (min) cooling finished, null before
+        this.unrecordedTail = null;       // Latest unrecorded samples {time, bean, rateOfRise, sample}
+        this.unrecordedTailLength = 200;  // Samples kept for the unrecorded RoR
+        
+        // Disturbance/fault scenario applied from CHARGE on (null for none)
+        this.scenario = null;
+        this.ambientSetting = this.fixedParams.ambient;  // Ambient from the slider, before scenario offsets
+        
+        // Probe realism (noise, lag, quantization, spikes, dropouts); off shows the model output as is
+        this.sensors = SensorModel.createProbes();
+        this.sensorModelEnabled = false;
+        
+        // Rewind and branch: a snapshot after every recorded step (aligned with
+        // timeData), and the futures abandoned by rewinding kept as chart overlays
+        this.stepSnapshots = [];
+        this.branches = [];         // Array of {label, time, bean, rateOfRise, heater}
+        this.rewindIndex = null;    // Sample picked on the rewind slider (null follows the latest)
+        this.pendingRewind = null;  // Sample to rewind to once the step in flight finishes
+        this.pendingActions = [];   // Operator actions held until the step in flight finishes
+        
+        // Session log of the current run (see session-log.js) and the log being
+        // replayed (null when live; replays take their inputs from the log)
+        this.sessionLog = null;
+        this.replay = null;
+        this.applyingReplay = false;  // A replayed step's actions are being applied
+        
+        // Journal of completed roasts in IndexedDB (saved when the beans have
+        // cooled, or at the next charge or reset if that comes first)
+        this.journal = new RoastJournal();
+        this.journalEntryId = null;  // Entry of the current roast once saved (a re-drop after rewinding updates it)
+        
         // Controller mode and instances
         this.controlMode = 'manual';  // 'manual', 'pid', or 'neural'
         this.pidController = null;    // Will be initialized when needed
         this.neuralController = null; // Neural controller (MPC-trained)
         this.neuralControllerConfig = null; // Neural controller metadata
+        this.closedLoopForecast = false; // Roll forecasts forward with the active controller in the loop
+        
+        // Ensemble forecast settings (perturbation sizes come from controller_metadata.yaml when loaded)
+        this.ensembleForecast = false;
+        this.ensembleSettings = {
+            members: 10,
+            robustness: RoasterEngine.DEFAULT_ROBUSTNESS,
+            percentiles: [10, 50, 90]  // Band is 10th-90th percentile
+        };
+        this.forecastOverlaysOnChart = false; // Band and what-if traces are added after the background profile
+        this.coolingTraceOnChart = false;     // Cooling tray trace is added after the forecast overlays
+        this.backgroundReferenceOnChart = false; // Background ET and event traces follow the cooling tray
         
         this.initializeUI();
     }
     
+    // Physics state lives in the engine; these accessors keep the simulator's
+    // long-standing property names working for the UI and controllers
+    get currentState() { return this.engine.currentState; }
+    set currentState(state) { this.engine.currentState = state; }
+    get currentPhase() { return this.engine.phase; }
+    get simulationTime() { return this.engine.simulationTime; }
+    get stepCount() { return this.engine.stepCount; }
+    get timestep() { return this.engine.timestep; }
+    get preheatTemp() { return this.engine.preheatTemp; }
+    get scalingFactors() { return this.engine.scalingFactors; }
+    get fixedParams() { return this.engine.fixedParams; }
+    
     /**
      * Initialize the user interface and event listeners
      */
@@ -154,6 +226,25 @@ class RoasterSimulator {
             });
         }
         
+        // Closed-loop forecast toggle
+        const closedLoopCheckbox = document.getElementById('closed-loop-forecast-checkbox');
+        if (closedLoopCheckbox) {
+            closedLoopCheckbox.addEventListener('change', (e) => {
+                this.closedLoopForecast = e.target.checked;
+                console.log(`Closed-loop forecast ${this.closedLoopForecast ? 'enabled' : 'disabled'}`);
+                this.events.emit('controllerchange', this.controllerSettings());
+            });
+        }
+        
+        // Ensemble forecast toggle
+        const ensembleCheckbox = document.getElementById('ensemble-forecast-checkbox');
+        if (ensembleCheckbox) {
+            ensembleCheckbox.addEventListener('change', (e) => {
+                this.ensembleForecast = e.target.checked;
+                console.log(`Ensemble forecast ${this.ensembleForecast ? 'enabled' : 'disabled'}`);
+            });
+        }
+        
         // PID tuning sliders
         this.setupPIDTuningSliders();
         
@@ -168,16 +259,8 @@ class RoasterSimulator {
                 return;
             }
             
-            // Update the selected bean model
-            this.selectedBeanModel = e.target.value;
-            console.log(`Bean model changed to: ${this.selectedBeanModel}`);
-            
-            // Reload the bean model
             try {
-                const beanModelPath = `onnx_models/${this.selectedBeanModel}`;
-                console.log(`Loading bean model from: ${beanModelPath}`);
-                this.sessions.beanModel = await ort.InferenceSession.create(beanModelPath);
-                console.log('Bean model loaded successfully');
+                await this.loadBeanModel(e.target.value);
             } catch (error) {
                 console.error('Error loading bean model:', error);
                 this.showError('Failed to load bean model: ' + error.message);
@@ -205,25 +288,317 @@ class RoasterSimulator {
         
         // Ambient temperature slider - updates the ambient temperature parameter
         ambientSlider.addEventListener('input', (e) => {
-            this.fixedParams.ambient = parseFloat(e.target.value);
-            ambientValue.textContent = this.fixedParams.ambient + '°C';
+            this.ambientSetting = parseFloat(e.target.value);
+            this.fixedParams.ambient = this.ambientSetting;
+            ambientValue.textContent = this.ambientSetting + '°C';
         });
         
-        // Speedup control - can be changed during simulation
+        // Drum speed and humidity are fed to the roast stepper on the next step
+        const drumSlider = document.getElementById('drum-slider');
+        const drumValue = document.getElementById('drum-value');
+        if (drumSlider) {
+            drumSlider.addEventListener('input', (e) => {
+                this.controls.drum = parseFloat(e.target.value);
+                drumValue.textContent = Math.round(this.controls.drum * 100) + '%';
+            });
+        }
+        const humiditySlider = document.getElementById('humidity-slider');
+        const humidityValue = document.getElementById('humidity-value');
+        if (humiditySlider) {
+            humiditySlider.addEventListener('input', (e) => {
+                this.controls.humidity = parseFloat(e.target.value);
+                humidityValue.textContent = Math.round(this.controls.humidity * 100) + '%';
+            });
+        }
+        
+        // Cooling tray fan (used after DROP; the tray cools toward ambient)
+        const trayAirflowSlider = document.getElementById('tray-airflow-slider');
+        const trayAirflowValue = document.getElementById('tray-airflow-value');
+        if (trayAirflowSlider) {
+            trayAirflowSlider.addEventListener('input', (e) => {
+                const airflow = parseFloat(e.target.value);
+                trayAirflowValue.textContent = Math.round(airflow * 100) + '%';
+                const apply = () => {
+                    this.engine.coolingModel.airflow = airflow;
+                    this.recordSessionAction('trayAirflow', airflow);
+                };
+                if (!this.deferDuringStep(apply)) apply();
+            });
+        }
+        
+        // Between-batch protocol (drives heater and fan whenever the drum is empty)
+        const protocolCheckbox = document.getElementById('batch-protocol-checkbox');
+        if (protocolCheckbox) {
+            protocolCheckbox.checked = this.batchProtocolEnabled;
+            protocolCheckbox.addEventListener('change', (e) => {
+                this.batchProtocolEnabled = e.target.checked;
+            });
+        }
+        const chargeTempInput = document.getElementById('protocol-charge-temp-input');
+        if (chargeTempInput) {
+            chargeTempInput.value = this.batchProtocol.config.chargeTemp;
+            chargeTempInput.addEventListener('change', (e) => this.setChargeTemp(parseFloat(e.target.value)));
+        }
+        const scheduleInput = document.getElementById('protocol-schedule-input');
+        if (scheduleInput) {
+            scheduleInput.value = BatchProtocol.formatSchedule(this.batchProtocol.config.schedule);
+            scheduleInput.addEventListener('change', (e) => {
+                try {
+                    this.batchProtocol.config.schedule = BatchProtocol.parseSchedule(e.target.value);
+                    scheduleInput.style.borderColor = '';
+                } catch (error) {
+                    console.warn(error.message);
+                    scheduleInput.style.borderColor = '#dc3545';
+                }
+            });
+        }
+        
+        // Disturbance scenarios: a built-in preset or custom JSON
+        const scenarioSelect = document.getElementById('scenario-select');
+        const scenarioInput = document.getElementById('scenario-json-input');
+        if (scenarioSelect) {
+            scenarioSelect.addEventListener('change', (e) => {
+                const preset = DisturbanceScenario.PRESETS[e.target.value];
+                if (scenarioInput) {
+                    scenarioInput.value = preset ? JSON.stringify(preset, null, 2) : '';
+                }
+            });
+        }
+        const loadScenarioBtn = document.getElementById('load-scenario-btn');
+        if (loadScenarioBtn && scenarioInput) {
+            loadScenarioBtn.addEventListener('click', () => {
+                try {
+                    this.setScenario(DisturbanceScenario.fromJSON(scenarioInput.value));
+                    scenarioInput.style.borderColor = '';
+                } catch (error) {
+                    console.warn('Invalid scenario:', error.message);
+                    scenarioInput.style.borderColor = '#dc3545';
+                }
+            });
+        }
+        const clearScenarioBtn = document.getElementById('clear-scenario-btn');
+        if (clearScenarioBtn) {
+            clearScenarioBtn.addEventListener('click', () => {
+                this.setScenario(null);
+                if (scenarioSelect) scenarioSelect.value = '';
+            });
+        }
+        
+        // Sensor model: the same noise, spike and dropout settings for both probes,
+        // lag for the bean probe (the environment probe keeps its faster response)
+        const sensorCheckbox = document.getElementById('sensor-model-checkbox');
+        if (sensorCheckbox) {
+            sensorCheckbox.checked = this.sensorModelEnabled;
+            sensorCheckbox.addEventListener('change', (e) => {
+                this.sensorModelEnabled = e.target.checked;
+                this.resetSensors();
+            });
+        }
+        const sensorInputs = {
+            'sensor-noise-input': 'noise',
+            'sensor-resolution-input': 'resolution',
+            'sensor-spike-input': 'spikeProbability',
+            'sensor-dropout-input': 'dropoutProbability'
+        };
+        for (const [id, key] of Object.entries(sensorInputs)) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+            input.value = this.sensors.bean.config[key];
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!Number.isFinite(value) || value < 0) return;
+                this.sensors.bean.config[key] = value;
+                this.sensors.airMeasured.config[key] = value;
+            });
+        }
+        const sensorLagInput = document.getElementById('sensor-lag-input');
+        if (sensorLagInput) {
+            sensorLagInput.value = this.sensors.bean.config.lagTime;
+            sensorLagInput.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value) && value >= 0) this.sensors.bean.config.lagTime = value;
+            });
+        }
+        
+        // Rate of rise method and windows
+        const rorMethodSelect = document.getElementById('ror-method-select');
+        if (rorMethodSelect) {
+            rorMethodSelect.value = this.rateOfRise.config.method;
+            rorMethodSelect.addEventListener('change', (e) => this.setRateOfRiseConfig({ method: e.target.value }));
+        }
+        for (const [id, key] of [['ror-span-input', 'span'], ['ror-smoothing-input', 'smoothing']]) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+            input.value = this.rateOfRise.config[key];
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value) && value >= 0) this.setRateOfRiseConfig({ [key]: value });
+            });
+        }
+        
+        // Speedup control - can be changed during simulation ('max' runs steps back to back)
         speedupSelect.addEventListener('change', (e) => {
-            this.speedupFactor = parseFloat(e.target.value);
-            console.log(`Simulation speed changed to ${this.speedupFactor}x`);
-            
-            // If simulation is running, restart the interval with new timing
-            if (this.isRunning && this.simulationInterval) {
-                clearInterval(this.simulationInterval);
-                // Calculate new interval: base timestep divided by speedup factor
-                const intervalMs = (this.timestep * 1000) / this.speedupFactor;
-                this.simulationInterval = setInterval(() => this.simulationStep(), intervalMs);
-            }
+            this.fastForward = null;
+            this.setSpeed(e.target.value === 'max' ? Infinity : parseFloat(e.target.value));
         });
         
-        // Action buttons (removed preheat button)
+        // Run controls: pause/resume, single step while paused, fast-forward to first crack
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => (this.isPaused ? this.resume() : this.pause()));
+        }
+        const stepBtn = document.getElementById('step-btn');
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => this.stepOnce());
+        }
+        const fastForwardBtn = document.getElementById('fast-forward-btn');
+        if (fastForwardBtn) {
+            fastForwardBtn.addEventListener('click', () => this.fastForwardTo('FCs'));
+        }
+        
+        // Rewind: pick an earlier sample, then branch from it (the old future stays overlaid)
+        const rewindSlider = document.getElementById('rewind-slider');
+        if (rewindSlider) {
+            rewindSlider.addEventListener('input', (e) => {
+                const index = parseInt(e.target.value, 10);
+                this.rewindIndex = index < this.timeData.length - 1 ? index : null;
+                this.updateRewindControls();
+                this.updateCharts();
+            });
+        }
+        const rewindBtn = document.getElementById('rewind-btn');
+        if (rewindBtn) {
+            rewindBtn.addEventListener('click', () => {
+                if (this.rewindIndex !== null) this.rewindTo(this.rewindIndex);
+            });
+        }
+        const clearBranchesBtn = document.getElementById('clear-branches-btn');
+        if (clearBranchesBtn) {
+            clearBranchesBtn.addEventListener('click', () => this.clearBranches());
+        }
+        
+        // Session logs: download the current run, or open one and replay it
+        const downloadSessionBtn = document.getElementById('download-session-btn');
+        if (downloadSessionBtn) {
+            downloadSessionBtn.addEventListener('click', () => this.downloadSessionLog());
+        }
+        const exportAlogBtn = document.getElementById('export-alog-btn');
+        if (exportAlogBtn) {
+            exportAlogBtn.addEventListener('click', () => this.exportAlog());
+        }
+        const exportCsvBtn = document.getElementById('export-csv-btn');
+        if (exportCsvBtn) {
+            exportCsvBtn.addEventListener('click', () => this.exportChannels('csv'));
+        }
+        const exportJsonBtn = document.getElementById('export-json-btn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', () => this.exportChannels('json'));
+        }
+        const sessionFileInput = document.getElementById('session-file-input');
+        if (sessionFileInput) {
+            sessionFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    await this.replaySession(SessionLog.fromJSON(await file.text()));
+                } catch (error) {
+                    console.error('Error opening session log:', error);
+                    this.showError('Failed to open session log: ' + error.message);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // Background profile from a real roast: an .alog file or a dashboard upload
+        const alogFileInput = document.getElementById('alog-file-input');
+        if (alogFileInput) {
+            alogFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    this.loadAlogBackground(await file.text(), file.name);
+                } catch (error) {
+                    console.error('Error opening .alog file:', error);
+                    this.showError('Failed to open .alog file: ' + error.message);
+                }
+                e.target.value = '';
+            });
+        }
+        const roastDataUrlInput = document.getElementById('roast-data-url-input');
+        const roastDataPathInput = document.getElementById('roast-data-path-input');
+        const loadRoastDataBtn = document.getElementById('load-roast-data-btn');
+        if (roastDataUrlInput && roastDataPathInput && loadRoastDataBtn) {
+            roastDataUrlInput.value = this.roastDataUrl;
+            roastDataUrlInput.addEventListener('change', (e) => {
+                this.roastDataUrl = e.target.value.trim();
+            });
+            loadRoastDataBtn.addEventListener('click', () => this.loadRoastDataBackground(roastDataPathInput.value));
+            roastDataPathInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.loadRoastDataBackground(roastDataPathInput.value);
+            });
+        }
+        
+        // MQTT: connect to the broker (or disconnect)
+        const mqttUrlInput = document.getElementById('mqtt-url-input');
+        const mqttTopicInput = document.getElementById('mqtt-topic-input');
+        const mqttConnectBtn = document.getElementById('mqtt-connect-btn');
+        if (mqttUrlInput && mqttTopicInput && mqttConnectBtn) {
+            mqttConnectBtn.addEventListener('click', () => {
+                if (this.mqtt) {
+                    this.disconnectMqtt();
+                } else {
+                    this.connectMqtt(mqttUrlInput.value, mqttTopicInput.value);
+                }
+            });
+        }
+        const mqttLiveCommandsCheckbox = document.getElementById('mqtt-live-commands-checkbox');
+        if (mqttLiveCommandsCheckbox) {
+            mqttLiveCommandsCheckbox.checked = this.mqttLiveCommands;
+            mqttLiveCommandsCheckbox.addEventListener('change', (e) => {
+                this.mqttLiveCommands = e.target.checked;
+            });
+        }
+        
+        // Live roaster: connect to its telemetry (or disconnect)
+        const telemetryUrlInput = document.getElementById('telemetry-url-input');
+        const telemetryConnectBtn = document.getElementById('telemetry-connect-btn');
+        if (telemetryUrlInput && telemetryConnectBtn) {
+            telemetryConnectBtn.addEventListener('click', () => {
+                if (this.telemetry) {
+                    this.disconnectTelemetry();
+                } else {
+                    this.connectTelemetry(telemetryUrlInput.value);
+                }
+            });
+        }
+        
+        // Roast journal: filters and the list's buttons (overlay, background, replay, delete)
+        const journalBeanSelect = document.getElementById('journal-bean-select');
+        if (journalBeanSelect) {
+            const beanModelSelect = document.getElementById('bean-model-select');
+            for (const option of beanModelSelect ? beanModelSelect.options : []) {
+                journalBeanSelect.appendChild(new Option(option.text, option.value));
+            }
+        }
+        for (const id of ['journal-from-input', 'journal-to-input', 'journal-bean-select', 'journal-controller-select']) {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.updateJournalDisplay());
+        }
+        const journalBody = document.getElementById('journal-body');
+        if (journalBody) {
+            journalBody.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) this.openJournalEntry(parseInt(button.dataset.id, 10), button.dataset.action);
+            });
+        }
+        this.updateJournalDisplay();
+        this.updateRunControls();
+        
+        // Action buttons
+        const preheatBtn = document.getElementById('preheat-btn');
+        if (preheatBtn) {
+            preheatBtn.addEventListener('click', () => this.startPreheat());
+        }
         document.getElementById('charge-btn').addEventListener('click', () => this.chargeBeans());
         document.getElementById('drop-btn').addEventListener('click', () => this.dropBeans());
         document.getElementById('reset-btn').addEventListener('click', () => this.reset());
@@ -241,8 +616,22 @@ class RoasterSimulator {
             });
         }
         
+        // Manual event buttons (CHARGE, DRY, FCs, FCe, SCs, DROP) override detected events
+        document.querySelectorAll('.event-btn').forEach((button) => {
+            button.addEventListener('click', () => this.markEvent(button.dataset.event));
+        });
+        
+        // Target drop temperature for the projected DTR
+        const dropTargetInput = document.getElementById('drop-target-input');
+        if (dropTargetInput) {
+            dropTargetInput.addEventListener('change', () => this.updateMetricsDisplay());
+        }
+        
         // Initialize charts
         this.initializeCharts();
+        
+        // What-if control plan (sidebar + clicks on the control chart)
+        this.planEditor = new ControlPlanEditor(this);
     }
     
     /**
@@ -252,14 +641,31 @@ class RoasterSimulator {
         try {
             console.log('Loading ONNX models...');
             
-            // Load each model component (no observer model needed)
-            this.sessions.stateEstimator = await ort.InferenceSession.create('onnx_models/state_estimator.onnx');
-            this.sessions.roastStepper = await ort.InferenceSession.create('onnx_models/roast_stepper.onnx');
+            // Load each model component (no observer model needed) and hand them to the engine
+            console.log(`Loading bean model from: onnx_models/${this.selectedBeanModel}`);
+            this.engine.setSessions(await RoasterEngine.loadSessions(ort, {
+                basePath: 'onnx_models',
+                beanModel: this.selectedBeanModel,
+                ensembleBeanModels: this.getBeanModelOptions()
+            }));
+            
+            // Controls the roast model ignores are shown disabled
+            this.updateCapabilityDisplay(await this.engine.detectCapabilities());
+            
+            // Estimate the preheated roaster state from the probe readings at preheat
+            // (falls back to the fixed preheat guess if the estimate is rejected)
+            this.engine.setEstimator(new StateEstimator(this.sessions.stateEstimator, { ort: ort }));
+            await this.calibrateFromMeasurement({
+                beanTemp: this.preheatTemp,
+                envTemp: this.preheatTemp
+            });
             
-            // Load the selected bean model (uses this.selectedBeanModel which defaults to 'bean_guji.onnx')
-            const beanModelPath = `onnx_models/${this.selectedBeanModel}`;
-            console.log(`Loading bean model from: ${beanModelPath}`);
-            this.sessions.beanModel = await ort.InferenceSession.create(beanModelPath);
+            // Start the forecast worker (falls back to the main thread if unavailable)
+            await this.forecastService.init({
+                basePath: 'onnx_models',
+                beanModel: this.selectedBeanModel,
+                ensembleBeanModels: this.getBeanModelOptions()
+            });
             
             console.log('All ONNX models loaded successfully');
             
@@ -274,6 +680,7 @@ class RoasterSimulator {
             document.getElementById('roast-phase').style.display = 'block';
             
             this.updatePhaseDisplay();
+            this.emitPhaseChange();
             
         } catch (error) {
             console.error('Error loading ONNX models:', error);
@@ -303,6 +710,14 @@ class RoasterSimulator {
             this.neuralControllerConfig = this.parseYAML(metadataText);
             console.log('Parsed metadata:', this.neuralControllerConfig);
             
+            // Ensemble forecasts use the perturbation sizes the policy was trained against
+            if (this.neuralControllerConfig.robustness) {
+                this.ensembleSettings.robustness = {
+                    ...RoasterEngine.DEFAULT_ROBUSTNESS,
+                    ...this.neuralControllerConfig.robustness
+                };
+            }
+            
             // Load ONNX controller model
             console.log('Loading ONNX model from: onnx_models/control_policy.onnx');
             const controllerSession = await ort.InferenceSession.create('onnx_models/control_policy.onnx');
@@ -317,6 +732,13 @@ class RoasterSimulator {
             
             console.log('✅ Neural controller loaded successfully');
             
+            // Closed-loop forecasts rebuild the controller from this config
+            try {
+                await this.forecastService.setNeuralController(this.neuralControllerConfig, controllerSession);
+            } catch (error) {
+                console.warn('Closed-loop forecasts will not include the neural controller:', error.message);
+            }
+            
             // Enable neural controller option in UI
             const neuralOption = document.querySelector('option[value="neural"]');
             if (neuralOption) {
@@ -417,32 +839,26 @@ class RoasterSimulator {
     }
     
     /**
-     * Initialize state with preheat conditions
-     * T_bm = preheat temp (180°C)
-     * T_air = T_bm = 180°C  
-     * T_roaster = T_bm + 50°C = 230°C
-     * T_b = room temperature = 25°C
-     * T_atm = measured air temp = T_air = 180°C
+     * Start subsequent roasts from a measured roaster condition
+     * Only allowed while idle; the latent state is recovered by the state estimator
+     * 
+     * @param {Object} measurement - {beanTemp, envTemp, heater, fan} probe readings in °C and control settings (0-1)
+     * @returns {Promise<boolean>} - True if the estimator produced the state (false = probe heuristic or not idle)
      */
-    initializePreheatState() {
-        const roomTemp = 25.0; // °C
-        const preheatTemp = this.preheatTemp; // 180°C
-        const roasterTemp = preheatTemp + 50.0; // 230°C
-        const airTemp = preheatTemp - 40.0; // 180°C
-        const measuredAirTemp = preheatTemp; // 180°C (T_atm - measured air temperature)
+    async calibrateFromMeasurement(measurement) {
+        if (this.currentPhase !== this.phases.IDLE) {
+            console.warn('Reset the simulation before calibrating from a measurement');
+            return false;
+        }
         
-        // Normalize temperatures using scaling factor
-        const tempScale = this.scalingFactors.temperatures.bean;
+        const result = await this.engine.initializeFromMeasurement(measurement);
+        console.log(`Preheat state initialized from measurement (${result.estimated ? 'state estimator' : 'probe heuristic'}):`,
+            Array.from(result.state, (v) => this.denormalizeTemperature(v).toFixed(1)));
         
-        return new Float32Array([
-            roasterTemp / tempScale,     // T_r (roaster temperature)
-            roomTemp / tempScale,        // T_b (bean core temperature - starts at room temp)
-            airTemp / tempScale,         // T_air (air temperature)
-            preheatTemp / tempScale,     // T_bm (bean measurement temperature)
-            measuredAirTemp / tempScale  // T_atm (measured air temperature)
-        ]);
+        this.updateStatusDisplay();
+        return result.estimated;
     }
-
+    
     /**
      * Generate the default background profile
      * Uses the default waypoints defined in ProfileGenerator:
@@ -463,14 +879,9 @@ class RoasterSimulator {
         
         console.log('Generated default background profile:', this.backgroundProfile.metadata);
         
-        // Store target profile for game scoring
-        if (window.gameAPI) {
-            window.gameAPI.setTargetProfile(this.backgroundProfile.temps);
-            console.log('Target profile sent to game API');
-        }
-        
         // Add to chart
         this.addBackgroundProfileToChart();
+        this.events.emit('profilechange', { profile: this.backgroundProfile });
     }
     
     /**
@@ -496,6 +907,168 @@ class RoasterSimulator {
             mode: 'lines',
             hovertemplate: 'Target: %{y:.1f}°C<br>Time: %{x:.2f} min<extra></extra>'
         });
+        
+        // Forecast overlays go after the background profile so it keeps index 10
+        this.addForecastOverlaysToChart();
+        this.addCoolingTraceToChart();
+        this.addBackgroundReferenceToChart();
+        this.updateBackgroundStatus();
+    }
+    
+    /**
+     * Add the cooling tray bean temperature as trace 18 (index 17)
+     */
+    addCoolingTraceToChart() {
+        Plotly.addTraces('temperature-chart', {
+            x: [],
+            y: [],
+            name: 'Beans (Cooling Tray)',
+            line: { color: '#8B4513', width: 2, dash: 'longdash' },
+            yaxis: 'y',
+            mode: 'lines'
+        });
+        this.coolingTraceOnChart = true;
+    }
+    
+    /**
+     * Add the background roast's reference traces after the cooling tray:
+     * ET (index 18) and event markers on its BT curve (index 19)
+     * Only profiles imported from Artisan have them
+     */
+    addBackgroundReferenceToChart() {
+        Plotly.addTraces('temperature-chart', [
+            {
+                x: [],
+                y: [],
+                name: 'Target ET',
+                line: { color: 'rgba(220, 53, 69, 0.4)', width: 2, dash: 'dashdot' },
+                yaxis: 'y',
+                mode: 'lines',
+                hovertemplate: 'Target ET: %{y:.1f}°C<br>Time: %{x:.2f} min<extra></extra>'
+            },
+            {
+                x: [],
+                y: [],
+                text: [],
+                name: 'Target Events',
+                marker: { color: 'rgba(139, 69, 19, 0.6)', size: 8, symbol: 'diamond-open' },
+                textposition: 'top left',
+                textfont: { size: 10, color: 'rgba(139, 69, 19, 0.8)' },
+                yaxis: 'y',
+                mode: 'markers+text',
+                showlegend: false,
+                hovertemplate: 'Target %{text}: %{y:.1f}°C<br>Time: %{x:.2f} min<extra></extra>'
+            }
+        ]);
+        this.backgroundReferenceOnChart = true;
+        this.updateBackgroundReference();
+    }
+    
+    /**
+     * Show the background profile's reference ET and events (cleared for
+     * profiles without them)
+     */
+    updateBackgroundReference() {
+        if (!this.backgroundReferenceOnChart) return;
+        
+        const reference = this.backgroundProfile ? this.backgroundProfile.reference : null;
+        const et = reference && reference.et ? reference.et : { times: [], temps: [] };
+        const events = reference && reference.events ? reference.events : [];
+        Plotly.restyle('temperature-chart', {
+            x: [et.times, events.map((event) => event.time)],
+            y: [et.temps, events.map((event) => event.temp)],
+            text: [null, events.map((event) => event.name)]
+        }, [18, 19]);
+    }
+    
+    /**
+     * Add forecast overlay traces after the background profile:
+     * - Ensemble percentile bands (indices 11-14), each a lower bound followed
+     *   by an upper bound filled down to it
+     * - What-if plan forecast for bean temperature and RoR (indices 15-16)
+     */
+    addForecastOverlaysToChart() {
+        const band = (name, color, yaxis) => [
+            {
+                x: [],
+                y: [],
+                name: name + ' (low)',
+                line: { width: 0 },
+                yaxis: yaxis,
+                mode: 'lines',
+                hoverinfo: 'skip',
+                showlegend: false
+            },
+            {
+                x: [],
+                y: [],
+                name: name,
+                line: { width: 0 },
+                fill: 'tonexty',
+                fillcolor: color,
+                yaxis: yaxis,
+                mode: 'lines',
+                hoverinfo: 'skip',
+                showlegend: false
+            }
+        ];
+        
+        Plotly.addTraces('temperature-chart', [
+            ...band('Bean Forecast Band', 'rgba(139, 69, 19, 0.2)', 'y'),    // Indices 11, 12
+            ...band('RoR Forecast Band', 'rgba(255, 20, 147, 0.15)', 'y2'),  // Indices 13, 14
+            {
+                x: [],
+                y: [],
+                name: 'What-if Bean',
+                line: { color: '#6f42c1', width: 2, dash: 'dot' },
+                yaxis: 'y',
+                opacity: 0.8,
+                showlegend: false  // Index 15
+            },
+            {
+                x: [],
+                y: [],
+                name: 'What-if RoR',
+                line: { color: '#6f42c1', width: 1.5, dash: 'dot' },
+                yaxis: 'y2',
+                opacity: 0.6,
+                showlegend: false  // Index 16
+            }
+        ]);
+        this.forecastOverlaysOnChart = true;
+    }
+    
+    /**
+     * Switch the bean model (simulation and forecasts)
+     * 
+     * @param {string} filename - Bean model file in onnx_models/
+     */
+    async loadBeanModel(filename) {
+        this.selectedBeanModel = filename;
+        console.log(`Bean model changed to: ${this.selectedBeanModel}`);
+        
+        const beanModelPath = `onnx_models/${this.selectedBeanModel}`;
+        console.log(`Loading bean model from: ${beanModelPath}`);
+        this.engine.setSessions({ beanModel: await ort.InferenceSession.create(beanModelPath) });
+        await this.forecastService.setBeanModel(this.selectedBeanModel);
+        
+        const beanModelSelect = document.getElementById('bean-model-select');
+        if (beanModelSelect) beanModelSelect.value = this.selectedBeanModel;
+        console.log('Bean model loaded successfully');
+    }
+    
+    /**
+     * Bean model filenames offered in the bean selector
+     * Ensemble forecasts sample their bean model from these
+     * 
+     * @returns {Array<string>}
+     */
+    getBeanModelOptions() {
+        const select = document.getElementById('bean-model-select');
+        if (!select) {
+            return [this.selectedBeanModel];
+        }
+        return Array.from(select.options, (option) => option.value);
     }
     
     /**
@@ -504,6 +1077,9 @@ class RoasterSimulator {
      * @param {string} mode - 'manual', 'pid', or 'neural'
      */
     setControlMode(mode) {
+        if (!['manual', 'pid', 'neural'].includes(mode)) {
+            throw new Error(`Unknown control mode: ${mode}`);
+        }
         console.log(`Switching control mode to: ${mode}`);
         
         // Reset controller states when switching
@@ -520,8 +1096,11 @@ class RoasterSimulator {
             console.log('Initialized single PID controller for heater');
         }
         
-        // Update UI to reflect mode change
+        // Update UI to reflect mode change (also when the change came from a script)
+        const controlModeSelect = document.getElementById('control-mode-select');
+        if (controlModeSelect) controlModeSelect.value = mode;
         this.updateControlModeUI();
+        this.events.emit('controllerchange', this.controllerSettings());
     }
     
     /**
@@ -543,6 +1122,7 @@ class RoasterSimulator {
                 heaterKpValue.textContent = value.toFixed(3);
                 if (this.pidController) {
                     this.pidController.setGains(value, null, null);
+                    this.events.emit('controllerchange', this.controllerSettings());
                 }
             });
         }
@@ -553,6 +1133,7 @@ class RoasterSimulator {
                 heaterKiValue.textContent = value.toFixed(4);
                 if (this.pidController) {
                     this.pidController.setGains(null, value, null);
+                    this.events.emit('controllerchange', this.controllerSettings());
                 }
             });
         }
@@ -563,6 +1144,7 @@ class RoasterSimulator {
                 heaterKdValue.textContent = value.toFixed(3);
                 if (this.pidController) {
                     this.pidController.setGains(null, null, value);
+                    this.events.emit('controllerchange', this.controllerSettings());
                 }
             });
         }
@@ -616,38 +1198,12 @@ class RoasterSimulator {
      * @returns {number} - Target temperature in °C
      */
     getSetpointFromProfile(currentTime) {
-        if (!this.backgroundProfile || !this.backgroundProfile.times || this.backgroundProfile.times.length === 0) {
-            // No profile available, return current temperature as fallback
-            return this.denormalizeTemperature(this.currentState[3]);
-        }
-        
-        // Find the closest time point in the profile
-        // Use linear interpolation between points
-        const times = this.backgroundProfile.times;
-        const temps = this.backgroundProfile.temps;
-        
-        // Clamp currentTime to profile bounds
-        if (currentTime <= times[0]) {
-            return temps[0];
-        }
-        if (currentTime >= times[times.length - 1]) {
-            return temps[temps.length - 1];
-        }
-        
-        // Find surrounding points for interpolation
-        let i = 0;
-        while (i < times.length - 1 && times[i + 1] < currentTime) {
-            i++;
-        }
-        
-        // Linear interpolation
-        const t1 = times[i];
-        const t2 = times[i + 1];
-        const T1 = temps[i];
-        const T2 = temps[i + 1];
-        
-        const fraction = (currentTime - t1) / (t2 - t1);
-        return T1 + fraction * (T2 - T1);
+        // No profile available: fall back to the current bean probe temperature
+        return ClosedLoopPolicy.setpointFromProfile(
+            this.backgroundProfile,
+            currentTime,
+            this.denormalizeTemperature(this.currentState[3])
+        );
     }
     
     /**
@@ -671,18 +1227,21 @@ class RoasterSimulator {
             x: [this.backgroundProfile.times],
             y: [this.backgroundProfile.temps]
         }, [10]);  // Update trace at index 10
+        this.updateBackgroundReference();
+        this.updateBackgroundStatus();
+        this.events.emit('profilechange', { profile: this.backgroundProfile });
     }
     
     /**
-     * Set a custom background profile
-     * Used by the profile editor to update the reference profile
+     * Set a custom background profile (command API; the profile editor and
+     * .alog imports use it too)
      * 
      * @param {Object} profile - Profile object with times, temps, metadata
      */
     setBackgroundProfile(profile) {
-        if (!profile || !profile.times || !profile.temps) {
-            console.error('Invalid profile provided');
-            return;
+        if (!profile || !Array.isArray(profile.times) || !Array.isArray(profile.temps)
+            || profile.times.length === 0 || profile.times.length !== profile.temps.length) {
+            throw new Error('Invalid profile: expected times and temps arrays of the same length');
         }
         
         this.backgroundProfile = profile;
@@ -693,36 +1252,508 @@ class RoasterSimulator {
             x: [profile.times],
             y: [profile.temps]
         }, [10]);
+        this.updateBackgroundReference();
+        this.updateBackgroundStatus();
+        this.events.emit('profilechange', { profile: profile });
     }
     
     /**
-     * Initialize Plotly charts
+     * Use a real roast from Artisan as the background profile: its BT curve
+     * (aligned at CHARGE) becomes the target the PID and neural controllers
+     * follow, its ET and events are shown for reference
+     * 
+     * @param {string} text - .alog file contents
+     * @param {string} name - Profile name (default: the roast's title)
+     * @returns {Object} - The background profile
      */
-    initializeCharts() {
-        // Temperature chart with dual y-axis (temperature + rate of rise)
-        const tempLayout = {
-            title: 'Temperature Profile & Rate of Rise',
-            xaxis: { title: 'Time (minutes)' },
-            yaxis: { 
-                title: 'Temperature (°C)',
-                side: 'left'
-            },
-            yaxis2: {
-                title: 'Rate of Rise (°C/min)',
-                side: 'right',
-                overlaying: 'y',
-                showgrid: false,
-                zeroline: true,
-                zerolinecolor: '#666',
-                zerolinewidth: 1,
-                range: [0, null]  // Set minimum to 0, let maximum auto-scale
-            },
-            showlegend: true,
-            margin: { t: 50, r: 80, b: 50, l: 50 }  // Increased right margin for second y-axis
-        };
+    loadAlogBackground(text, name) {
+        const profile = ArtisanAlog.readBackgroundProfile(text, { name: name });
+        this.setBackgroundProfile(profile);
+        this.updateCharts();
+        return profile;
+    }
+    
+    /**
+     * Load a roast uploaded to the dashboard as the background profile
+     * Read from roastDataUrl, a local copy of the roast-data bucket
+     * (see scripts/roast-data-server.js)
+     * 
+     * @param {string} path - Storage path in the roast-data bucket (e.g. 'user_id/timestamp.alog')
+     */
+    async loadRoastDataBackground(path) {
+        const cleanPath = path.trim().replace(/^\/+/, '');
+        if (!cleanPath) return;
         
-        const tempData = [
-            {
+        try {
+            const base = this.roastDataUrl.endsWith('/') ? this.roastDataUrl : this.roastDataUrl + '/';
+            const url = base + cleanPath.split('/').map(encodeURIComponent).join('/');
+            let response;
+            try {
+                response = await fetch(url);
+            } catch (error) {
+                throw new Error(`cannot reach ${base} (is scripts/roast-data-server.js running?)`);
+            }
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText} for ${url}`);
+            }
+            this.loadAlogBackground(await response.text(), cleanPath.split('/').pop());
+        } catch (error) {
+            console.error('Error loading roast from roast-data:', error);
+            this.showError('Failed to load roast: ' + error.message);
+        }
+    }
+    
+    /**
+     * Show which background profile the controllers follow
+     */
+    updateBackgroundStatus() {
+        const status = document.getElementById('background-status');
+        if (!status) return;
+        
+        const profile = this.backgroundProfile;
+        if (!profile) {
+            status.textContent = 'No background profile';
+            return;
+        }
+        const metadata = profile.metadata || {};
+        const duration = profile.times[profile.times.length - 1];
+        const events = profile.reference ? profile.reference.events.map((event) => event.name).join(', ') : '';
+        status.textContent = `${metadata.name || 'Custom profile'} (${this.formatRoastTime(duration)}`
+            + (events ? `, ${events})` : ')');
+    }
+    
+    /**
+     * Drive a real roaster: from now on every step sends the heater and fan
+     * (manual, PID or neural) to it and reads BT/ET back as the probe readings.
+     * The engine keeps stepping as a digital twin, re-anchored to the
+     * measurements, so forecasts start from the real roaster. Runs in real time;
+     * rewinding, fast-forwarding and session logs are off while connected.
+     * 
+     * @param {string} url - WebSocket URL of the roaster (Artisan JSON protocol)
+     * @returns {Promise<boolean>} - True if connected
+     */
+    async connectTelemetry(url) {
+        if (this.telemetry) return true;
+        
+        const adapter = new WebSocketTelemetryAdapter(url.trim() ? { url: url.trim() } : {});
+        this.updateTelemetryDisplay(`Connecting to ${adapter.describe()}...`);
+        try {
+            await adapter.connect();
+            const reading = await adapter.read();
+            
+            // An idle twin starts from the roaster's current condition
+            if (this.currentPhase === this.phases.IDLE) {
+                await this.calibrateFromMeasurement({
+                    beanTemp: reading.bean,
+                    envTemp: reading.airMeasured,
+                    heater: this.controls.heater,
+                    fan: this.controls.fan
+                });
+            }
+        } catch (error) {
+            adapter.close();
+            console.error('Error connecting to the roaster:', error);
+            this.updateTelemetryDisplay();
+            this.showError('Failed to connect to the roaster: ' + error.message);
+            return false;
+        }
+        
+        this.telemetry = adapter;
+        this.savedReanchorInterval = this.engine.reanchorInterval;
+        this.engine.reanchorInterval = this.twinReanchorInterval;
+        this.setSpeed(1);
+        console.log(`Connected to ${adapter.describe()}`);
+        
+        this.updateTelemetryDisplay();
+        this.updateRunControls();
+        this.updateRewindControls();
+        return true;
+    }
+    
+    /**
+     * Stop driving the real roaster: the heater is switched off first (the
+     * roaster would otherwise keep the last output it was sent), then the
+     * simulation carries on from the twin's state
+     * 
+     * @param {string} reason - Shown to the user when the connection was lost
+     */
+    disconnectTelemetry(reason) {
+        if (!this.telemetry) return;
+        
+        const adapter = this.telemetry;
+        this.telemetry = null;
+        this.cutLiveHeater(adapter).finally(() => adapter.close());
+        this.engine.reanchorInterval = this.savedReanchorInterval;
+        if (reason) {
+            console.error(reason);
+            this.showError(reason);
+        }
+        console.log('Disconnected from the roaster');
+        
+        this.updateTelemetryDisplay();
+        this.updateRunControls();
+        this.updateRewindControls();
+    }
+    
+    /**
+     * Switch the real roaster's heater off (the fan keeps running to carry heat away)
+     * A roaster that can no longer be reached is only reported: nothing else can be done from here.
+     * 
+     * @param {TelemetryAdapter} adapter - Connected adapter (default: the live one)
+     * @returns {Promise<void>}
+     */
+    cutLiveHeater(adapter = this.telemetry) {
+        if (!adapter) return Promise.resolve();
+        return adapter.write({ heater: 0, fan: this.controls.fan }).catch((error) => {
+            console.error('Could not switch the roaster heater off:', error);
+            this.showError(`Could not switch the roaster heater off: ${error.message}. Switch it off at the roaster.`);
+        });
+    }
+    
+    /**
+     * Subscribe to simulator events: step, phasechange, charge, drop, forecast,
+     * controllerchange and profilechange (payloads in simulator-events.js)
+     * 
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} - Unsubscribes the listener
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+    
+    /**
+     * Subscribe to the next event of a type only
+     * 
+     * @param {string} type - Event type
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} - Unsubscribes the listener
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+    
+    /**
+     * Unsubscribe a listener passed to on()
+     * 
+     * @param {string} type - Event type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+    
+    /**
+     * Feed the game's scoring (window.gameAPI, when a game page provides one)
+     * through events: the target from each background profile, the bean
+     * probe from each step while the game is roasting
+     */
+    subscribeGameAPI() {
+        this.on('profilechange', (event) => {
+            if (window.gameAPI) window.gameAPI.setTargetProfile(event.profile.temps);
+        });
+        this.on('step', (sample) => {
+            if (window.gameAPI && window.gameAPI.isRoasting()) {
+                window.gameAPI.updateActualProfile(sample.temperatures.bean);
+            }
+        });
+    }
+    
+    /**
+     * The latest step as a step event payload (past the idle record limit,
+     * the latest unrecorded one)
+     * 
+     * @returns {Object} - {time, phase, temperatures, rateOfRise, controls, setpoint, mode}
+     */
+    latestStepSample() {
+        if (this.unrecordedTail) return this.unrecordedTail.sample;
+        const latest = this.timeData.length - 1;
+        const temperatures = {};
+        for (const name of Object.keys(this.temperatureData)) {
+            temperatures[name] = this.temperatureData[name][latest];
+        }
+        const controls = {};
+        for (const name of Object.keys(this.controlData)) {
+            controls[name] = this.controlData[name][latest];
+        }
+        return {
+            time: this.timeData[latest],
+            phase: this.currentPhase,
+            temperatures: temperatures,
+            rateOfRise: this.rateOfRiseData[latest],
+            controls: controls,
+            setpoint: this.setpointData[latest],
+            mode: this.controlMode
+        };
+    }
+    
+    /**
+     * Set the manual controls and the batch size, as the sliders do (command API)
+     * Heater and fan only while in manual mode; the mass only before CHARGE.
+     * 
+     * @param {Object} controls - {heater, fan} (0-1) and/or mass (g); omitted ones are unchanged
+     */
+    setControls(controls) {
+        for (const name of ['heater', 'fan']) {
+            const value = controls[name];
+            if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value <= 1)) {
+                throw new Error(`${name} must be a number from 0 to 1`);
+            }
+        }
+        if (controls.mass !== undefined && !(Number.isFinite(controls.mass) && controls.mass > 0)) {
+            throw new Error(`Invalid mass: ${controls.mass}`);
+        }
+        if ((controls.heater !== undefined || controls.fan !== undefined) && this.controlMode !== 'manual') {
+            throw new Error(`Heater and fan follow the ${this.controlMode} controller; switch to manual first`);
+        }
+        if (controls.mass !== undefined && this.engine.beansPresent()) {
+            throw new Error('The batch size cannot change with beans in the roaster');
+        }
+        
+        for (const name of ['heater', 'fan', 'mass']) {
+            const value = controls[name];
+            if (value === undefined) continue;
+            this.controls[name] = value;
+            const slider = document.getElementById(`${name}-slider`);
+            if (slider) slider.value = value;
+            const label = document.getElementById(`${name}-value`);
+            if (label) label.textContent = name === 'mass' ? value + 'g' : Math.round(value * 100) + '%';
+        }
+    }
+    
+    /**
+     * Run a command by name with the same limits as the buttons and sliders
+     * (used by MQTT; scripts can call it or the methods directly)
+     * 
+     * Commands: setControls {heater, fan, mass}, setMode {mode}, loadProfile {profile},
+     * charge {mass?}, drop, pause, resume
+     * 
+     * @param {string} command - Command name
+     * @param {Object} params - Command parameters
+     */
+    runCommand(command, params = {}) {
+        switch (command) {
+            case 'setControls':
+                this.setControls(params);
+                break;
+            case 'setMode':
+                this.setControlMode(params.mode);
+                break;
+            case 'loadProfile':
+                this.setBackgroundProfile(params.profile);
+                this.updateCharts();
+                break;
+            case 'charge':
+                if (!this.canCharge()) {
+                    throw new Error(`Cannot charge while ${this.currentPhase}`);
+                }
+                if (params.mass !== undefined) this.setControls({ mass: params.mass });
+                this.chargeBeans();
+                break;
+            case 'drop':
+                if (!this.canDrop()) {
+                    throw new Error(`Cannot drop while ${this.currentPhase}`);
+                }
+                this.dropBeans();
+                break;
+            case 'pause':
+                if (!this.isRunning) throw new Error('The simulation is not running');
+                this.pause();
+                break;
+            case 'resume':
+                if (!this.isRunning) throw new Error('The simulation is not running');
+                this.resume();
+                break;
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+        console.log(`Command: ${command}`);
+    }
+    
+    /**
+     * Whether beans can be charged now: into the empty roaster while it
+     * preheats or is preheated, or after a drop while the simulation runs
+     * 
+     * @returns {boolean}
+     */
+    canCharge() {
+        if (this.engine.beansPresent()) return false;
+        if (this.currentPhase === this.phases.DROPPED) return this.isRunning;
+        return this.currentPhase === this.phases.PREHEAT || this.currentPhase === this.phases.IDLE;
+    }
+    
+    /**
+     * Whether the beans can be dropped now: roasting in a running simulation
+     * 
+     * @returns {boolean}
+     */
+    canDrop() {
+        return this.isRunning && this.engine.beansPresent() && this.currentPhase === this.phases.ROASTING;
+    }
+    
+    /**
+     * Disable the drum speed and humidity controls (sliders, the plan's drum
+     * channel) when the roast model does not respond to them
+     * 
+     * @param {Object} capabilities - {drum, humidity} from RoasterEngine.detectCapabilities()
+     */
+    updateCapabilityDisplay(capabilities) {
+        for (const input of ['drum', 'humidity']) {
+            const slider = document.getElementById(`${input}-slider`);
+            const status = document.getElementById(`${input}-status`);
+            if (slider) {
+                slider.disabled = !capabilities[input];
+                slider.title = capabilities[input] ? '' : 'The roast model does not respond to this input';
+            }
+            if (status) status.textContent = capabilities[input] ? '' : '(no effect with this model)';
+        }
+        const planDrumOption = document.querySelector('#plan-channel-select option[value="drum"]');
+        if (planDrumOption) planDrumOption.disabled = !capabilities.drum;
+    }
+    
+    /**
+     * Publish the simulator to an MQTT broker (MQTT over WebSocket) and take
+     * control commands from it (refused while a live roaster is connected,
+     * unless mqttLiveCommands is set)
+     * 
+     * @param {string} url - Broker WebSocket URL (e.g. ws://127.0.0.1:9001)
+     * @param {string} topicPrefix - Prefix of the state, event, status, command and reply topics
+     * @returns {Promise<boolean>} - True if connected
+     */
+    async connectMqtt(url, topicPrefix) {
+        if (this.mqtt) return true;
+        
+        const config = {};
+        if (url.trim()) config.url = url.trim();
+        if (topicPrefix.trim()) config.topicPrefix = topicPrefix.trim();
+        const client = new MqttTelemetry(config);
+        client.onCommand = (command) => this.runMqttCommand(command);
+        this.updateMqttDisplay(`Connecting to ${client.config.url}...`);
+        try {
+            await client.connect();
+        } catch (error) {
+            console.error('Error connecting to the MQTT broker:', error);
+            this.updateMqttDisplay();
+            this.showError('Failed to connect to the MQTT broker: ' + error.message);
+            return false;
+        }
+        
+        this.mqtt = client;
+        this.mqttPublishedEvents.clear();
+        this.mqttUnsubscribe = this.on('step', (sample) => this.publishMqttStep(sample));
+        console.log(`Publishing to ${client.config.url} under ${client.config.topicPrefix}/`);
+        this.updateMqttDisplay();
+        return true;
+    }
+    
+    /**
+     * Run a command from the broker
+     * The broker is typically unauthenticated, so while a live roaster is
+     * connected its commands would reach real hardware: they are refused
+     * unless the user opted in (mqttLiveCommands)
+     * 
+     * @param {Object} command - {command, params} from MqttTelemetry
+     */
+    runMqttCommand(command) {
+        if (this.telemetry && !this.mqttLiveCommands) {
+            throw new Error('Commands are refused while a live roaster is connected');
+        }
+        this.runCommand(command.command, command.params);
+    }
+    
+    /**
+     * Stop publishing (the broker marks the simulator offline)
+     */
+    disconnectMqtt() {
+        if (!this.mqtt) return;
+        this.mqttUnsubscribe();
+        this.mqtt.close();
+        this.mqtt = null;
+        console.log('Disconnected from the MQTT broker');
+        this.updateMqttDisplay();
+    }
+    
+    /**
+     * Publish a step, then the roast events that are new or have moved
+     * (a hand mark overrides a detected event)
+     * 
+     * @param {Object} sample - Step event payload (see latestStepSample())
+     */
+    publishMqttStep(sample) {
+        this.mqtt.publishState(sample);
+        for (const event of this.roastEvents.getEvents()) {
+            if (this.mqttPublishedEvents.get(event.name) === event.time) continue;
+            this.mqttPublishedEvents.set(event.name, event.time);
+            this.mqtt.publishEvent(event);
+        }
+    }
+    
+    /**
+     * Show the MQTT connection
+     * 
+     * @param {string} message - Status override (e.g. while connecting)
+     */
+    updateMqttDisplay(message) {
+        const status = document.getElementById('mqtt-status');
+        if (status) {
+            status.textContent = message || (this.mqtt
+                ? `Publishing to ${this.mqtt.config.url} (${this.mqtt.config.topicPrefix}/)`
+                : 'Not connected');
+        }
+        const connectBtn = document.getElementById('mqtt-connect-btn');
+        if (connectBtn) connectBtn.textContent = this.mqtt ? 'Disconnect' : 'Connect';
+        for (const id of ['mqtt-url-input', 'mqtt-topic-input']) {
+            const input = document.getElementById(id);
+            if (input) input.disabled = this.mqtt !== null;
+        }
+    }
+    
+    /**
+     * Show the live roaster connection
+     * 
+     * @param {string} message - Status override (e.g. while connecting)
+     */
+    updateTelemetryDisplay(message) {
+        const status = document.getElementById('telemetry-status');
+        if (status) {
+            status.textContent = message || (this.telemetry ? `Live: ${this.telemetry.describe()}` : 'Not connected');
+        }
+        const connectBtn = document.getElementById('telemetry-connect-btn');
+        if (connectBtn) {
+            connectBtn.textContent = this.telemetry ? 'Disconnect' : 'Connect';
+        }
+        const urlInput = document.getElementById('telemetry-url-input');
+        if (urlInput) urlInput.disabled = this.telemetry !== null;
+    }
+    
+    /**
+     * Initialize Plotly charts
+     */
+    initializeCharts() {
+        // Temperature chart with dual y-axis (temperature + rate of rise)
+        const tempLayout = {
+            title: 'Temperature Profile & Rate of Rise',
+            xaxis: { title: 'Time (minutes)' },
+            yaxis: { 
+                title: 'Temperature (°C)',
+                side: 'left'
+            },
+            yaxis2: {
+                title: 'Rate of Rise (°C/min)',
+                side: 'right',
+                overlaying: 'y',
+                showgrid: false,
+                zeroline: true,
+                zerolinecolor: '#666',
+                zerolinewidth: 1,
+                range: [0, null]  // Set minimum to 0, let maximum auto-scale
+            },
+            showlegend: true,
+            margin: { t: 50, r: 80, b: 50, l: 50 }  // Increased right margin for second y-axis
+        };
+        
+        const tempData = [
+            {
                 x: [],
                 y: [],
                 name: 'Bean Probe',
@@ -831,16 +1862,80 @@ class RoasterSimulator {
             {
                 x: [],
                 y: [],
-                name: 'Drum (fixed)',
+                name: 'Drum',
                 line: { color: '#888888', width: 2, dash: 'dash' }
+            },
+            {
+                x: [],
+                y: [],
+                name: 'Planned Heat',
+                line: { color: '#FF4444', width: 1.5, dash: 'dash' },
+                opacity: 0.5,
+                showlegend: false  // Hide from legend
+            },
+            {
+                x: [],
+                y: [],
+                name: 'Planned Fan',
+                line: { color: '#4444FF', width: 1.5, dash: 'dash' },
+                opacity: 0.5,
+                showlegend: false  // Hide from legend
+            },
+            {
+                x: [],
+                y: [],
+                customdata: [],
+                name: 'What-if Heat',
+                mode: 'lines+markers',
+                line: { color: '#FF4444', width: 2, dash: 'dot', shape: 'hv' },
+                marker: { size: 9, symbol: 'diamond' },
+                showlegend: false  // Hide from legend
+            },
+            {
+                x: [],
+                y: [],
+                customdata: [],
+                name: 'What-if Fan',
+                mode: 'lines+markers',
+                line: { color: '#4444FF', width: 2, dash: 'dot', shape: 'hv' },
+                marker: { size: 9, symbol: 'diamond' },
+                showlegend: false  // Hide from legend
+            },
+            {
+                x: [],
+                y: [],
+                name: 'Humidity',
+                line: { color: '#17A2B8', width: 1.5, dash: 'dot' }
+            },
+            {
+                x: [],
+                y: [],
+                customdata: [],
+                name: 'What-if Drum',
+                mode: 'lines+markers',
+                line: { color: '#888888', width: 2, dash: 'dot', shape: 'hv' },
+                marker: { size: 9, symbol: 'diamond' },
+                showlegend: false  // Hide from legend
             }
         ];
         
         Plotly.newPlot('control-chart', controlData, controlLayout, {responsive: true});
+        
+        // Clicking the control chart ahead of the current time edits the what-if plan
+        const controlChart = document.getElementById('control-chart');
+        if (controlChart && controlChart.on) {
+            controlChart.on('plotly_click', (data) => {
+                if (this.planEditor) {
+                    const traces = { heater: [0, 3, 5], fan: [1, 4, 6] };
+                    if (this.engine.capabilities.drum) traces.drum = [2, 8];
+                    this.planEditor.handleChartClick(data, traces);
+                }
+            });
+        }
     }
     
     /**
-     * Update the phase display (simplified without preheat)
+     * Update the phase display
      */
     updatePhaseDisplay() {
         const phaseDiv = document.getElementById('roast-phase');
@@ -852,6 +1947,14 @@ class RoasterSimulator {
         dropBtn.disabled = true;
         
         switch (this.currentPhase) {
+            case this.phases.PREHEAT:
+                phaseDiv.textContent = `PREHEAT - Heating to ${this.preheatTemp}°C`;
+                phaseDiv.className = 'roast-phase phase-preheat';
+                // Charging before the target is reached is allowed (an early charge)
+                chargeBtn.disabled = false;
+                this.setMassSliderEnabled(true);
+                break;
+                
             case this.phases.IDLE:
                 phaseDiv.textContent = `IDLE - Roaster Preheated to ${this.preheatTemp}°C`;
                 phaseDiv.className = 'roast-phase phase-charging';
@@ -877,17 +1980,38 @@ class RoasterSimulator {
                 this.setMassSliderEnabled(false);
                 break;
                 
-            case this.phases.DROPPED:
-                phaseDiv.textContent = 'DROPPED - Roast Complete';
+            case this.phases.COOLING:
+                phaseDiv.textContent = 'COOLING - Beans in Cooling Tray';
                 phaseDiv.className = 'roast-phase phase-dropped';
                 chargeBtn.disabled = true;
                 dropBtn.disabled = true;
-                // Keep mass slider disabled after dropping
                 this.setMassSliderEnabled(false);
                 break;
+                
+            case this.phases.DROPPED:
+                phaseDiv.textContent = this.idleRecordFull()
+                    ? 'DROPPED - Roaster Idle (not recorded until the next charge)'
+                    : 'DROPPED - Roast Complete';
+                phaseDiv.className = 'roast-phase phase-dropped';
+                // The next batch can be charged into the roaster as it is now
+                chargeBtn.disabled = !this.isRunning;
+                dropBtn.disabled = true;
+                this.setMassSliderEnabled(this.isRunning);
+                break;
         }
     }
     
+    /**
+     * Announce a phase change to subscribers (once per change); called
+     * wherever the engine's phase can change
+     */
+    emitPhaseChange() {
+        if (this.currentPhase === this.emittedPhase) return;
+        const from = this.emittedPhase;
+        this.emittedPhase = this.currentPhase;
+        this.events.emit('phasechange', { from: from, to: this.currentPhase, time: this.simulationTime / 60 });
+    }
+    
     /**
      * Enable or disable the mass slider
      * @param {boolean} enabled - Whether the mass slider should be enabled
@@ -911,59 +2035,1104 @@ class RoasterSimulator {
         }
     }
     
+    /**
+     * Wall-clock time between loop steps at the current speed
+     * 
+     * @returns {number} - Milliseconds (0 as fast as possible)
+     */
+    stepIntervalMs() {
+        // Base timestep divided by speedup factor
+        return Number.isFinite(this.speedupFactor) ? (this.timestep * 1000) / this.speedupFactor : 0;
+    }
+    
+    /**
+     * Start or restart the simulation loop at the current speedup
+     * 
+     * @returns {number} - Step interval in milliseconds
+     */
+    startSimulationLoop() {
+        this.isRunning = true;
+        this.isPaused = false;
+        this.scheduleNextStep(this.stepIntervalMs());
+        this.updateRunControls();
+        return this.stepIntervalMs();
+    }
+    
+    /**
+     * Cancel the pending loop step (a step already running finishes)
+     */
+    stopSimulationLoop() {
+        if (this.simulationTimer) {
+            clearTimeout(this.simulationTimer);
+            this.simulationTimer = null;
+        }
+    }
+    
+    /**
+     * Schedule the next loop step
+     * Each step schedules the next only after it finishes, so inference that
+     * takes longer than the interval slows the loop down instead of starting
+     * overlapping steps
+     * 
+     * @param {number} delayMs - Delay before the step
+     */
+    scheduleNextStep(delayMs) {
+        this.stopSimulationLoop();
+        this.simulationTimer = setTimeout(async () => {
+            this.simulationTimer = null;
+            if (!this.isRunning || this.isPaused) return;
+            
+            const started = Date.now();
+            await this.simulationStep();
+            
+            // Keep the pace: the step's own duration counts toward the interval
+            if (this.isRunning && !this.isPaused && this.simulationTimer === null) {
+                this.scheduleNextStep(Math.max(0, this.stepIntervalMs() - (Date.now() - started)));
+            }
+        }, delayMs);
+    }
+    
+    /**
+     * Change the simulation speed (takes effect from the next step)
+     * 
+     * @param {number} speedupFactor - Multiple of real time, or Infinity for as fast as possible
+     */
+    setSpeed(speedupFactor) {
+        this.speedupFactor = speedupFactor;
+        console.log(`Simulation speed changed to ${Number.isFinite(speedupFactor) ? speedupFactor + 'x' : 'maximum'}`);
+        
+        const speedupSelect = document.getElementById('speedup-select');
+        if (speedupSelect) {
+            speedupSelect.value = Number.isFinite(speedupFactor) ? String(speedupFactor) : 'max';
+        }
+        
+        // Don't wait out a long interval scheduled at the old speed
+        if (this.simulationTimer) {
+            this.scheduleNextStep(this.stepIntervalMs());
+        }
+    }
+    
+    /**
+     * Pause the simulation (simulation time stands still)
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+        this.stopSimulationLoop();
+        // A paused controller must not leave a live roaster heating
+        this.cutLiveHeater();
+        console.log(`Paused at ${this.formatRoastTime(this.simulationTime / 60)}`);
+        
+        // The last frames may have been skipped at full speed
+        this.updateRunControls();
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Resume a paused simulation
+     */
+    resume() {
+        if (!this.isRunning || !this.isPaused) return;
+        this.isPaused = false;
+        console.log('Resumed');
+        this.scheduleNextStep(0);
+        this.updateRunControls();
+    }
+    
+    /**
+     * Advance one physics step while paused
+     */
+    async stepOnce() {
+        if (!this.isRunning || !this.isPaused || this.telemetry) return;
+        await this.simulationStep();
+    }
+    
+    /**
+     * Run as fast as possible until a roast event is detected, then return
+     * to the previous speed
+     * 
+     * @param {string} eventName - Roast event to stop at (e.g. 'FCs')
+     */
+    fastForwardTo(eventName) {
+        if (!this.isRunning || !this.engine.beansPresent() || this.roastEvents.get(eventName) || this.telemetry) return;
+        
+        const previousSpeed = this.fastForward ? this.fastForward.speedupFactor : this.speedupFactor;
+        this.fastForward = { event: eventName, speedupFactor: previousSpeed };
+        console.log(`Fast-forwarding to ${eventName}...`);
+        this.setSpeed(Infinity);
+        if (this.isPaused) this.resume();
+    }
+    
+    /**
+     * Leave fast-forward and restore the speed it started from
+     */
+    endFastForward() {
+        if (!this.fastForward) return;
+        const previousSpeed = this.fastForward.speedupFactor;
+        this.fastForward = null;
+        this.setSpeed(previousSpeed);
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Enable the run control buttons that apply right now
+     */
+    updateRunControls() {
+        const pauseBtn = document.getElementById('pause-btn');
+        if (pauseBtn) {
+            pauseBtn.disabled = !this.isRunning;
+            pauseBtn.textContent = this.isPaused ? '▶ Resume' : '⏸ Pause';
+        }
+        // A live roaster runs in real time: no single steps, fast-forward or other speeds
+        const live = this.telemetry !== null;
+        const stepBtn = document.getElementById('step-btn');
+        if (stepBtn) stepBtn.disabled = !(this.isRunning && this.isPaused) || live;
+        const fastForwardBtn = document.getElementById('fast-forward-btn');
+        if (fastForwardBtn) fastForwardBtn.disabled = !this.isRunning || live;
+        const speedupSelect = document.getElementById('speedup-select');
+        if (speedupSelect) speedupSelect.disabled = live;
+        this.updateRewindControls();
+        this.updateSessionDisplay();
+    }
+    
+    /**
+     * Sync the rewind slider with the recorded samples
+     */
+    updateRewindControls() {
+        const latest = this.timeData.length - 1;
+        if (this.rewindIndex !== null && this.rewindIndex >= latest) {
+            this.rewindIndex = null;
+        }
+        const index = this.rewindIndex !== null ? this.rewindIndex : latest;
+        
+        const rewindSlider = document.getElementById('rewind-slider');
+        if (rewindSlider) {
+            rewindSlider.max = Math.max(0, latest);
+            rewindSlider.value = Math.max(0, index);
+            rewindSlider.disabled = !this.isRunning || latest < 1 || this.telemetry !== null;
+        }
+        const rewindTime = document.getElementById('rewind-time');
+        if (rewindTime) {
+            rewindTime.textContent = index >= 0 ? this.formatRoastTime(this.timeData[index]) : '--:--';
+        }
+        const rewindBtn = document.getElementById('rewind-btn');
+        if (rewindBtn) rewindBtn.disabled = !this.isRunning || this.rewindIndex === null;
+        const clearBranchesBtn = document.getElementById('clear-branches-btn');
+        if (clearBranchesBtn) clearBranchesBtn.disabled = this.branches.length === 0;
+    }
+    
+    /**
+     * Everything the next step depends on, taken after a step is recorded
+     * 
+     * @returns {Object} - Engine snapshot plus controls, controller internals,
+     *                     roast events, probe and scenario state and batch summaries
+     */
+    captureStepSnapshot() {
+        return {
+            engine: this.engine.getSnapshot(),
+            controls: { ...this.controls },
+            pid: this.pidController ? this.pidController.getState() : null,
+            neural: this.neuralController ? this.neuralController.getState() : null,
+            roastEvents: this.roastEvents.getState(),
+            sensors: {
+                bean: this.sensors.bean.getState(),
+                airMeasured: this.sensors.airMeasured.getState()
+            },
+            scenario: this.scenario ? this.scenario.getState() : null,
+            batchHistory: JSON.parse(JSON.stringify(this.batchHistory))
+        };
+    }
+    
+    /**
+     * Restore a snapshot taken with captureStepSnapshot()
+     * Controllers created or switched since keep their own state
+     * 
+     * @param {Object} snapshot
+     */
+    restoreStepSnapshot(snapshot) {
+        this.engine.restoreSnapshot(snapshot.engine);
+        Object.assign(this.controls, snapshot.controls);
+        if (snapshot.pid && this.pidController) this.pidController.setState(snapshot.pid);
+        if (snapshot.neural && this.neuralController) this.neuralController.setState(snapshot.neural);
+        this.roastEvents.setState(snapshot.roastEvents);
+        this.sensors.bean.setState(snapshot.sensors.bean);
+        this.sensors.airMeasured.setState(snapshot.sensors.airMeasured);
+        if (snapshot.scenario && this.scenario) this.scenario.setState(snapshot.scenario);
+        this.batchHistory = JSON.parse(JSON.stringify(snapshot.batchHistory));
+        
+        // Show the restored controls on the sliders
+        for (const key of ['heater', 'fan', 'drum', 'humidity']) {
+            const slider = document.getElementById(`${key}-slider`);
+            const value = document.getElementById(`${key}-value`);
+            if (slider) slider.value = this.controls[key];
+            if (value) value.textContent = Math.round(this.controls[key] * 100) + '%';
+        }
+    }
+    
+    /**
+     * Go back to an earlier sample and continue from there
+     * The recorded future after that sample is kept as a branch overlay for
+     * comparison; the simulation is left paused so the inputs can be changed
+     * before resuming
+     * 
+     * @param {number} index - Sample index in timeData
+     * @returns {boolean} - Whether the rewind happened (or was queued behind a step in flight)
+     */
+    rewindTo(index) {
+        const latest = this.timeData.length - 1;
+        if (!this.isRunning || !Number.isInteger(index) || index < 0 || index >= latest || !this.stepSnapshots[index]) {
+            return false;
+        }
+        if (this.telemetry) {
+            this.showError('A live roast cannot be rewound');
+            return false;
+        }
+        if (this.fastForward) this.endFastForward();
+        if (!this.isPaused) this.pause();
+        
+        // A step awaiting inference would record after the rewind; finish it first
+        if (this.stepInProgress) {
+            this.pendingRewind = index;
+            return true;
+        }
+        
+        // Keep the abandoned future (from the branch point, so the overlay joins the live curve)
+        const branchTime = this.timeData[index];
+        this.addBranch({
+            label: `Branch ${this.branches.filter((branch) => !branch.reference).length + 1} (from ${this.formatRoastTime(branchTime)})`,
+            time: this.timeData.slice(index),
+            bean: this.temperatureData.bean.slice(index),
+            rateOfRise: this.rateOfRiseData.slice(index),
+            heater: this.controlData.heater.slice(index)
+        });
+        
+        // Truncate the record and restore the state after the branch sample
+        const length = index + 1;
+        this.timeData.length = length;
+        for (const series of Object.values(this.temperatureData)) series.length = length;
+        for (const series of Object.values(this.controlData)) series.length = length;
+        this.setpointData.length = length;
+        this.stepSnapshots.length = length;
+        this.restoreStepSnapshot(this.stepSnapshots[index]);
+        if (this.sessionLog) this.sessionLog.truncate(length, this.currentState);
+        this.replay = null;  // A branch taken from a replay continues live
+        this.rateOfRiseData = this.rateOfRise.series(this.timeData, this.temperatureData.bean);
+        this.rewindIndex = null;
+        this.unrecordedTail = null;
+        console.log(`Rewound to ${this.formatRoastTime(branchTime)}; change the inputs and resume to branch`);
+        
+        this.clearForecast();
+        if (this.engine.beansPresent()) this.requestForecast();
+        this.updatePhaseDisplay();
+        this.emitPhaseChange();
+        this.updateBatchDisplay();
+        this.updateRunControls();
+        this.updateStatusDisplay();
+        this.updateCharts();
+        return true;
+    }
+    
+    /**
+     * Overlay colors for branches (cycled)
+     */
+    static get BRANCH_COLORS() {
+        return ['#17a2b8', '#6c757d', '#28a745', '#fd7e14', '#e83e8c'];
+    }
+    
+    /**
+     * Keep an abandoned future as overlay traces: bean and RoR on the
+     * temperature chart after the background reference (indices 20+, two per branch)
+     * and heater on the control chart after the plan traces (indices 9+)
+     * Reference overlays (roasts reopened from the journal) use the same
+     * traces but stay when the next batch is charged
+     * 
+     * @param {Object} branch - {label, time, bean, rateOfRise, heater, reference?}
+     */
+    addBranch(branch) {
+        const color = RoasterSimulator.BRANCH_COLORS[this.branches.length % RoasterSimulator.BRANCH_COLORS.length];
+        this.branches.push(branch);
+        
+        Plotly.addTraces('temperature-chart', [
+            {
+                x: branch.time,
+                y: branch.bean,
+                name: branch.label,
+                line: { color: color, width: 1.5, dash: 'dash' },
+                yaxis: 'y',
+                mode: 'lines',
+                opacity: 0.7
+            },
+            {
+                x: branch.time,
+                y: branch.rateOfRise,
+                name: branch.label + ' RoR',
+                line: { color: color, width: 1, dash: 'dash' },
+                yaxis: 'y2',
+                mode: 'lines',
+                opacity: 0.5,
+                showlegend: false
+            }
+        ]);
+        Plotly.addTraces('control-chart', {
+            x: branch.time,
+            y: branch.heater,
+            name: branch.label + ' Heat',
+            line: { color: color, width: 1.5, dash: 'dash', shape: 'hv' },
+            mode: 'lines',
+            opacity: 0.6
+        });
+        this.updateRewindControls();
+    }
+    
+    /**
+     * Remove branch overlays
+     * 
+     * @param {Object} options - {keepReferences}: keep the journal reference overlays
+     */
+    clearBranches(options = {}) {
+        const remove = [];
+        this.branches.forEach((branch, i) => {
+            if (!(options.keepReferences && branch.reference)) remove.push(i);
+        });
+        if (remove.length === 0) return;
+        
+        this.branches = this.branches.filter((branch, i) => !remove.includes(i));
+        Plotly.deleteTraces('temperature-chart', remove.flatMap((i) => [20 + 2 * i, 21 + 2 * i]));
+        Plotly.deleteTraces('control-chart', remove.map((i) => 9 + i));
+        this.updateRewindControls();
+    }
+    
+    /**
+     * Preheat the empty roaster from cold
+     * Heater and fan follow the batch protocol when it is enabled, otherwise
+     * the sliders; the engine moves to IDLE at the charge temperature
+     */
+    startPreheat() {
+        console.log(`Preheating from cold to ${this.preheatTemp}°C...`);
+        
+        this.engine.startPreheat();
+        this.clearForecast();
+        this.roastEvents.reset();
+        this.batchHistory = [];
+        this.resetSensors();
+        this.clearRecordedData();
+        this.clearBranches({ keepReferences: true });
+        this.startSessionLog();
+        
+        this.startSimulationLoop();
+        this.updatePhaseDisplay();
+        this.emitPhaseChange();
+        this.updateBatchDisplay();
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Set the charge temperature (end of PREHEAT and the protocol's hold target)
+     * While idle and stopped, the preheated state is recalibrated to match
+     * 
+     * @param {number} temp - Charge temperature in °C
+     */
+    setChargeTemp(temp) {
+        if (!Number.isFinite(temp)) return;
+        if (this.deferDuringStep(() => this.setChargeTemp(temp))) return;
+        this.engine.preheatTemp = temp;
+        this.batchProtocol.config.chargeTemp = temp;
+        this.recordSessionAction('chargeTemp', temp);
+        if (!this.isRunning && this.currentPhase === this.phases.IDLE) {
+            this.calibrateFromMeasurement({ beanTemp: temp, envTemp: temp });
+        }
+        this.updatePhaseDisplay();
+    }
+    
+    /**
+     * Set the disturbance scenario for the next roast
+     * Loading one mid-roast applies it from now on, with its times still
+     * counted from CHARGE
+     * 
+     * @param {DisturbanceScenario|null} scenario - Scenario, or null for none
+     */
+    setScenario(scenario) {
+        this.scenario = scenario;
+        if (scenario) {
+            scenario.reset();
+            console.log(`Scenario loaded: ${scenario.name} (${scenario.events.length} events)`);
+        } else {
+            this.fixedParams.ambient = this.ambientSetting;
+            console.log('Scenario cleared');
+        }
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Restart the probe sensor models (no lag carried over)
+     */
+    resetSensors() {
+        this.sensors.bean.reset();
+        this.sensors.airMeasured.reset();
+    }
+    
+    /**
+     * Whether the scenario applies at the moment (from CHARGE until reset)
+     * 
+     * @returns {boolean}
+     */
+    scenarioActive() {
+        // Scenarios disturb the simulated roaster only, never a live one
+        return this.scenario !== null && this.roastEvents.get('CHARGE') !== null && !this.telemetry;
+    }
+    
+    /**
+     * Clear the recorded time series (charts start empty)
+     */
+    clearRecordedData() {
+        this.timeData = [];
+        this.temperatureData = { bean: [], environment: [], roaster: [], air: [], airMeasured: [], tray: [] };
+        this.controlData = { heater: [], fan: [], drum: [], humidity: [] };
+        this.rateOfRiseData = [];  // Clear rate of rise data
+        this.setpointData = [];
+        this.stepSnapshots = [];
+        this.mqttPublishedEvents.clear();
+        this.rewindIndex = null;
+        this.coolingFinishedTime = null;
+        this.unrecordedTail = null;
+    }
+    
+    /**
+     * Whether the idle roaster after cooling has been recorded for
+     * idleRecordLimit minutes: later steps still run the roaster (the gap
+     * to the next batch counts) but are not recorded, so an idle simulator
+     * does not grow its record without bound
+     * 
+     * @returns {boolean}
+     */
+    idleRecordFull() {
+        if (this.currentPhase !== this.phases.DROPPED || this.coolingFinishedTime === null || this.timeData.length === 0) {
+            return false;
+        }
+        return this.timeData[this.timeData.length - 1] - this.coolingFinishedTime >= this.idleRecordLimit;
+    }
+    
+    /**
+     * Show and publish a step past the idle record limit without recording it
+     * The status display and step subscribers (MQTT, extensions) follow the
+     * roaster from the latest samples, which continue the recorded series
+     * 
+     * @param {Object} record - Engine step record
+     * @param {Object} measured - Probe readings {bean, airMeasured}
+     * @param {Object} controls - Commanded {heater, fan}
+     */
+    followUnrecordedStep(record, measured, controls) {
+        const keep = this.unrecordedTailLength;
+        if (!this.unrecordedTail) {
+            this.unrecordedTail = {
+                time: this.timeData.slice(-keep),
+                bean: this.temperatureData.bean.slice(-keep),
+                rateOfRise: this.rateOfRiseData.slice(-keep),
+                sample: null
+            };
+        }
+        const tail = this.unrecordedTail;
+        tail.time.push(record.time);
+        tail.bean.push(measured.bean);
+        tail.rateOfRise.push(this.rateOfRise.next(tail.time, tail.bean, tail.rateOfRise));
+        if (tail.time.length > keep) {
+            tail.time.shift();
+            tail.bean.shift();
+            tail.rateOfRise.shift();
+        }
+        
+        tail.sample = {
+            time: record.time,
+            phase: this.currentPhase,
+            temperatures: {
+                ...record.temperatures,
+                bean: measured.bean,
+                airMeasured: measured.airMeasured
+            },
+            rateOfRise: tail.rateOfRise[tail.rateOfRise.length - 1],
+            controls: {
+                heater: controls.heater,
+                fan: controls.fan,
+                drum: record.controls.drum,
+                humidity: record.controls.humidity
+            },
+            setpoint: null,
+            mode: this.controlMode
+        };
+        
+        const now = Date.now();
+        if (Number.isFinite(this.speedupFactor) || now - this.lastRedrawTime >= 100) {
+            this.lastRedrawTime = now;
+            this.updateStatusDisplay();
+        }
+        if (this.events.hasListeners('step')) this.events.emit('step', tail.sample);
+    }
+    
+    /**
+     * Controller mode and gains, as stored with session logs and exports
+     * 
+     * @returns {Object} - {mode, closedLoopForecast, pid: {Kp, Ki, Kd} or null, neural: metadata or null}
+     */
+    controllerSettings() {
+        return {
+            mode: this.controlMode,
+            closedLoopForecast: this.closedLoopForecast,
+            pid: this.pidController
+                ? { Kp: this.pidController.Kp, Ki: this.pidController.Ki, Kd: this.pidController.Kd }
+                : null,
+            neural: this.controlMode === 'neural' ? this.neuralControllerConfig : null
+        };
+    }
+    
+    /**
+     * Start a session log for the run starting now (after CHARGE or the start of preheat)
+     * Live runs are not logged: a replay could not reproduce the real roaster
+     */
+    startSessionLog() {
+        if (this.telemetry) {
+            this.sessionLog = null;
+            return;
+        }
+        this.sessionLog = new SessionLog({
+            initial: this.engine.getSnapshot(),
+            beanModel: this.selectedBeanModel,
+            timestep: this.timestep,
+            preheatTemp: this.preheatTemp,
+            trayAirflow: this.engine.coolingModel.airflow,
+            profile: this.backgroundProfile,
+            controller: this.controllerSettings(),
+            scenario: this.scenario ? this.scenario.toJSON() : null,
+            sensors: this.sensorModelEnabled ? { ...this.sensors.bean.config } : null,
+            rateOfRise: { ...this.rateOfRise.config }
+        });
+        this.replay = null;
+    }
+    
+    /**
+     * Record an operator action in the session log (live runs only)
+     * 
+     * @param {string} name - Action name (see SessionLog.ACTIONS)
+     * @param {number} value - Action value, if it has one
+     */
+    recordSessionAction(name, value) {
+        if (this.sessionLog && this.isRunning && !this.replay) {
+            this.sessionLog.recordAction(name, value);
+        }
+    }
+    
+    /**
+     * Hold an operator action that arrives while a step awaits inference
+     * The step in flight already runs with the old settings, so the action
+     * takes effect (and is logged) after it, where a session replay applies it
+     * 
+     * @param {Function} action - Runs the action
+     * @returns {boolean} - True if the action was held for after the step
+     */
+    deferDuringStep(action) {
+        if (!this.stepInProgress || this.applyingReplay) return false;
+        this.pendingActions.push(action);
+        return true;
+    }
+    
+    /**
+     * Apply a replayed step's actions, state and ambient and show its controls
+     * At the end of the log the replay stops, paused, and resuming continues
+     * live from there (recording onto the same log)
+     * 
+     * @param {number} step - Step index in the log
+     * @returns {Object|null} - Step inputs (see SessionLog.stepInputs()), or null at the end
+     */
+    applyReplayStep(step) {
+        if (step >= this.replay.steps) {
+            console.log(`Replay finished at ${this.formatRoastTime(this.simulationTime / 60)}; resume to continue live`);
+            this.replay = null;
+            this.pause();
+            return null;
+        }
+        
+        const inputs = this.replay.stepInputs(step);
+        this.applyingReplay = true;
+        try {
+            for (const action of inputs.actions) {
+                if (action.name === 'drop') {
+                    this.dropBeans();
+                } else if (action.name === 'chargeTemp') {
+                    this.setChargeTemp(action.value);
+                } else if (action.name === 'trayAirflow') {
+                    this.engine.coolingModel.airflow = action.value;
+                }
+            }
+        } finally {
+            this.applyingReplay = false;
+        }
+        this.fixedParams.ambient = inputs.ambient;
+        if (inputs.state) {
+            this.currentState = new Float32Array(inputs.state);
+        }
+        
+        Object.assign(this.controls, {
+            heater: inputs.heater,
+            fan: inputs.fan,
+            drum: inputs.drum,
+            humidity: inputs.humidity
+        });
+        for (const key of ['heater', 'fan', 'drum', 'humidity']) {
+            const value = document.getElementById(`${key}-value`);
+            if (value) value.textContent = Math.round(this.controls[key] * 100) + '%';
+        }
+        return inputs;
+    }
+    
+    /**
+     * Replay a session log at the current speed
+     * Pause, step, fast-forward and rewind work as in a live run
+     * 
+     * @param {SessionLog} log - Log to replay
+     */
+    async replaySession(log) {
+        if (this.telemetry) {
+            this.showError('Disconnect the live roaster before replaying a session');
+            return;
+        }
+        this.reset();
+        if (log.beanModel && log.beanModel !== this.selectedBeanModel) {
+            await this.loadBeanModel(log.beanModel);
+        }
+        
+        // Scenario windows and probe faults are shown; its effect on the roaster is in the log
+        this.setScenario(log.scenario ? new DisturbanceScenario(log.scenario) : null);
+        if (log.profile) this.setBackgroundProfile(log.profile);
+        
+        this.engine.timestep = log.timestep;
+        this.engine.restoreSnapshot(log.initial);
+        if (log.preheatTemp !== null) {
+            this.engine.preheatTemp = log.preheatTemp;
+            this.batchProtocol.config.chargeTemp = log.preheatTemp;
+        }
+        if (log.trayAirflow !== null) this.engine.coolingModel.airflow = log.trayAirflow;
+        this.controls.mass = this.engine.mass;
+        
+        if (this.engine.beansPresent()) {
+            this.roastEvents.record('CHARGE', 0, this.engine.getState().temperatures.bean);
+        }
+        
+        this.sessionLog = log;
+        this.replay = log;
+        this.startTime = Date.now();
+        console.log(`Replaying session from ${log.createdAt} (${log.steps} steps, ${log.beanModel})`);
+        
+        this.startSimulationLoop();
+        this.updatePhaseDisplay();
+        this.emitPhaseChange();
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Download the current session log as JSON
+     */
+    downloadSessionLog() {
+        if (!this.sessionLog) {
+            this.showError('No session to download yet: preheat or charge first');
+            return;
+        }
+        
+        const stamp = this.sessionLog.createdAt.replace(/[:.]/g, '-');
+        this.downloadFile(`roast-session-${stamp}.json`, JSON.stringify(this.sessionLog), 'application/json');
+    }
+    
+    /**
+     * Download roast data as an Artisan .alog profile (see artisan-alog.js)
+     * 
+     * @param {Object} roast - Roast data (default: the current roast)
+     */
+    exportAlog(roast = this.getRoastData()) {
+        if (!roast.events.some((event) => event.name === 'CHARGE') || roast.time.length === 0) {
+            this.showError('Nothing to export yet: charge and roast first');
+            return;
+        }
+        
+        const beanModelSelect = document.getElementById('bean-model-select');
+        const beanOption = beanModelSelect ? Array.from(beanModelSelect.options).find((option) => option.value === roast.beanModel) : null;
+        const beans = beanOption ? beanOption.text : roast.beanModel;
+        const text = ArtisanAlog.write(roast, {
+            title: `Simulated roast: ${beans}`,
+            beans: beans,
+            notes: roast.scenario ? `Disturbance scenario: ${roast.scenario.name}` : ''
+        });
+        
+        const date = roast.chargedAt ? new Date(roast.chargedAt) : new Date();
+        const stamp = RoastJournal.localDate(date.toISOString()) + '_' + date.toTimeString().slice(0, 8).replace(/:/g, '');
+        this.downloadFile(`simulated-roast_${stamp}.alog`, text, 'text/plain');
+    }
+    
+    /**
+     * Download every recorded channel for analysis (see roast-export.js)
+     * 
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportChannels(format) {
+        const roast = this.getRoastData();
+        if (roast.time.length === 0) {
+            this.showError('Nothing to export yet: preheat or charge first');
+            return;
+        }
+        
+        const date = roast.chargedAt ? new Date(roast.chargedAt) : new Date();
+        const stamp = RoastJournal.localDate(date.toISOString()) + '_' + date.toTimeString().slice(0, 8).replace(/:/g, '');
+        if (format === 'csv') {
+            this.downloadFile(`simulation_${stamp}.csv`, RoastExport.toCSV(roast), 'text/csv');
+            return;
+        }
+        
+        const metadata = {
+            beanModel: roast.beanModel,
+            mass: roast.mass,
+            ambient: roast.ambient,
+            timestep: this.timestep,
+            batch: roast.batch,
+            chargedAt: roast.chargedAt,
+            controller: this.controllerSettings(),
+            profile: this.backgroundProfile ? this.backgroundProfile.metadata || null : null,
+            scenario: roast.scenario,
+            rateOfRise: { ...this.rateOfRise.config },
+            sensors: this.sensorModelEnabled ? { ...this.sensors.bean.config } : null
+        };
+        this.downloadFile(`simulation_${stamp}.json`, JSON.stringify(RoastExport.toJSON(roast, metadata), null, 2), 'application/json');
+    }
+    
+    /**
+     * Offer text as a file download
+     * 
+     * @param {string} filename - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, text, type) {
+        const blob = new Blob([text], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Show whether the run is recording or replaying
+     */
+    updateSessionDisplay() {
+        const sessionStatus = document.getElementById('session-status');
+        if (sessionStatus) {
+            if (this.replay) {
+                sessionStatus.textContent = `Replaying: step ${this.timeData.length} of ${this.replay.steps}`;
+            } else if (this.sessionLog) {
+                sessionStatus.textContent = `Recording: ${this.sessionLog.steps} steps`;
+            } else {
+                sessionStatus.textContent = 'No session';
+            }
+        }
+        const downloadSessionBtn = document.getElementById('download-session-btn');
+        if (downloadSessionBtn) downloadSessionBtn.disabled = !this.sessionLog;
+        const exportAlogBtn = document.getElementById('export-alog-btn');
+        if (exportAlogBtn) exportAlogBtn.disabled = !this.roastEvents.get('CHARGE') || this.timeData.length === 0;
+        for (const id of ['export-csv-btn', 'export-json-btn']) {
+            const button = document.getElementById(id);
+            if (button) button.disabled = this.timeData.length === 0;
+        }
+    }
+    
+    /**
+     * Journal entry for the current roast (see roast-journal.js)
+     * 
+     * @returns {Object} - Entry with copies of the recorded data
+     */
+    buildJournalEntry() {
+        const events = this.roastEvents.getEventMap();
+        const metrics = RoastMetrics.compute({
+            time: this.timeData,
+            bean: this.temperatureData.bean,
+            rateOfRise: this.rateOfRiseData
+        }, events);
+        
+        return {
+            savedAt: new Date().toISOString(),
+            beanModel: this.selectedBeanModel,
+            controller: this.controlMode,
+            mass: this.engine.mass,
+            batch: this.engine.batchNumber,
+            summary: {
+                fcs: events.FCs ? events.FCs.time : null,
+                drop: events.DROP ? events.DROP.time : null,
+                dropTemp: events.DROP ? events.DROP.temp : null,
+                dtr: metrics && metrics.development ? metrics.dtr : null
+            },
+            data: JSON.parse(JSON.stringify(this.getRoastData())),
+            session: this.sessionLog ? this.sessionLog.toJSON() : null
+        };
+    }
+    
+    /**
+     * Save the current roast to the journal (completed roasts only; replays
+     * are already journaled)
+     * The entry is taken before anything is awaited, so the caller may clear
+     * the recorded data straight after calling this
+     * 
+     * @returns {Promise<number|null>} - Entry id, or null if nothing was saved
+     */
+    async saveRoastToJournal() {
+        if (!this.roastEvents.get('CHARGE') || !this.roastEvents.get('DROP') || this.replay || !this.journal.isAvailable()) {
+            return null;
+        }
+        
+        const entry = this.buildJournalEntry();
+        if (this.journalEntryId !== null) entry.id = this.journalEntryId;
+        const session = this.sessionLog;
+        try {
+            const id = await this.journal.save(entry);
+            if (this.sessionLog === session) this.journalEntryId = id;  // Still the same roast
+            console.log(`Roast saved to journal (#${id})`);
+            this.updateJournalDisplay();
+            return id;
+        } catch (error) {
+            console.error('Error saving roast to journal:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * List journal roasts matching the filters
+     */
+    async updateJournalDisplay() {
+        const table = document.getElementById('journal-body');
+        const journalStatus = document.getElementById('journal-status');
+        if (!table) return;
+        if (!this.journal.isAvailable()) {
+            if (journalStatus) journalStatus.textContent = 'Journal unavailable (no IndexedDB in this browser)';
+            return;
+        }
+        
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+        let entries;
+        try {
+            entries = await this.journal.list({
+                from: value('journal-from-input'),
+                to: value('journal-to-input'),
+                beanModel: value('journal-bean-select'),
+                controller: value('journal-controller-select')
+            });
+        } catch (error) {
+            console.error('Error reading roast journal:', error);
+            if (journalStatus) journalStatus.textContent = 'Journal unavailable: ' + error.message;
+            return;
+        }
+        
+        const beanNames = {};
+        const beanModelSelect = document.getElementById('bean-model-select');
+        for (const option of beanModelSelect ? beanModelSelect.options : []) beanNames[option.value] = option.text;
+        const time = (minutes) => minutes !== null ? this.formatRoastTime(minutes) : '-';
+        
+        table.innerHTML = '';
+        for (const entry of entries) {
+            const row = document.createElement('tr');
+            const cells = [
+                new Date(entry.savedAt).toLocaleString(),
+                beanNames[entry.beanModel] || entry.beanModel,
+                entry.controller,
+                Math.round(entry.mass) + 'g',
+                time(entry.summary.fcs),
+                time(entry.summary.drop),
+                entry.summary.dtr !== null ? entry.summary.dtr.toFixed(1) + '%' : '-'
+            ];
+            for (const text of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                cell.style.padding = '4px 6px';
+                cell.style.textAlign = 'center';
+                row.appendChild(cell);
+            }
+            
+            const actions = document.createElement('td');
+            actions.style.padding = '4px 6px';
+            actions.style.whiteSpace = 'nowrap';
+            for (const [action, label] of [['overlay', 'Overlay'], ['background', 'Background'], ['replay', 'Replay'], ['alog', '.alog'], ['delete', 'Delete']]) {
+                if (action === 'replay' && !entry.hasSession) continue;
+                const button = document.createElement('button');
+                button.className = 'btn-secondary';
+                button.style.padding = '2px 6px';
+                button.style.fontSize = '11px';
+                button.style.marginRight = '4px';
+                button.textContent = label;
+                button.dataset.action = action;
+                button.dataset.id = entry.id;
+                actions.appendChild(button);
+            }
+            row.appendChild(actions);
+            table.appendChild(row);
+        }
+        if (journalStatus) {
+            journalStatus.textContent = `${entries.length} roast${entries.length === 1 ? '' : 's'}`;
+        }
+    }
+    
+    /**
+     * Reopen a journal roast
+     * 
+     * @param {number} id - Entry id
+     * @param {string} action - 'overlay' (compare on the charts), 'background'
+     *                          (reference profile up to DROP), 'replay', 'alog'
+     *                          (export to Artisan) or 'delete'
+     */
+    async openJournalEntry(id, action) {
+        try {
+            if (action === 'delete') {
+                await this.journal.delete(id);
+                if (this.journalEntryId === id) this.journalEntryId = null;
+                this.updateJournalDisplay();
+                return;
+            }
+            
+            const entry = await this.journal.get(id);
+            if (!entry) {
+                this.showError(`Journal roast #${id} not found`);
+                return;
+            }
+            const data = entry.data;
+            const label = `${RoastJournal.localDate(entry.savedAt)} #${id}`;
+            
+            if (action === 'overlay') {
+                this.addBranch({
+                    label: label,
+                    time: data.time,
+                    bean: data.temperatures.bean,
+                    rateOfRise: data.rateOfRise,
+                    heater: data.controls.heater,
+                    reference: true
+                });
+                this.updateCharts();
+            } else if (action === 'background') {
+                // The bean curve until DROP (afterwards the probe reads the empty drum)
+                const drop = entry.summary.drop;
+                const end = drop !== null ? data.time.findIndex((time) => time > drop) : -1;
+                const length = end >= 0 ? end : data.time.length;
+                this.setBackgroundProfile({
+                    times: data.time.slice(0, length),
+                    temps: data.temperatures.bean.slice(0, length),
+                    metadata: { name: `Journal roast ${label}`, source: 'journal', id: id }
+                });
+            } else if (action === 'replay') {
+                await this.replaySession(new SessionLog(entry.session));
+            } else if (action === 'alog') {
+                // Older entries have no charge time: the save time is close enough
+                this.exportAlog({ ...data, chargedAt: data.chargedAt || entry.savedAt });
+            }
+        } catch (error) {
+            console.error('Error opening journal roast:', error);
+            this.showError('Failed to open journal roast: ' + error.message);
+        }
+    }
+    
     /**
      * Charge beans into the roaster and start simulation
+     * The roaster keeps its current thermal state, so a batch charged after
+     * the previous one starts from wherever the between-batch period left it
      */
     chargeBeans() {
         console.log(`Charging beans (${this.controls.mass}g)...`);
-        this.currentPhase = this.phases.CHARGING;
-        this.updatePhaseDisplay();
         
-        // Initialize simulation data
-        this.timeData = [];
-        this.temperatureData = { bean: [], environment: [], roaster: [], air: [], airMeasured: [] };
-        this.controlData = { heater: [], fan: [], drum: [] };
-        this.rateOfRiseData = [];  // Clear rate of rise data
-        this.startTime = Date.now();
+        // The previous roast's beans are still cooling: journal it before its data is cleared
+        if (this.currentPhase === this.phases.COOLING) this.saveRoastToJournal();
+        this.journalEntryId = null;
         
-        // Reset simulation time tracking
-        this.simulationTime = 0;
-        this.stepCount = 0;
+        // Time since the previous DROP (the between-batch gap), if any
+        const gap = this.engine.dropTime !== null ? (this.simulationTime - this.engine.dropTime) / 60 : null;
         
-        // Reset state to preheat conditions
-        this.currentState = this.initializePreheatState();
+        // Keep the roaster state and restart simulation time
+        this.engine.charge({ mass: this.controls.mass, carryOver: true });
+        this.clearForecast();
         
-        // Start simulation loop with speedup factor
-        this.isRunning = true;
-        // Calculate interval: base timestep divided by speedup factor
-        const intervalMs = (this.timestep * 1000) / this.speedupFactor;
-        this.simulationInterval = setInterval(() => this.simulationStep(), intervalMs);
+        // Charge conditions for batch-to-batch comparison
+        const chargeTemps = this.engine.getState().temperatures;
+        this.batchHistory.push({
+            batch: this.engine.batchNumber,
+            gap: gap,
+            charge: {
+                bean: chargeTemps.bean,
+                airMeasured: chargeTemps.airMeasured,
+                roaster: chargeTemps.roaster
+            },
+            tp: null,
+            fcs: null,
+            drop: null,
+            dtr: null
+        });
         
-        console.log(`Starting simulation at ${this.speedupFactor}x speed (interval: ${intervalMs}ms) with ${this.controls.mass}g of beans`);
+        // New roast: forget previous events and mark the charge at time zero
+        this.roastEvents.reset();
+        this.roastEvents.record('CHARGE', 0, this.engine.getState().temperatures.bean);
+        if (this.scenario) this.scenario.reset();
         
-        // Simulate charging process (brief transition)
-        setTimeout(() => {
-            this.currentPhase = this.phases.ROASTING;
-            this.updatePhaseDisplay();
-        }, 2000);
+        // Initialize simulation data (branches belong to the previous batch)
+        this.clearRecordedData();
+        this.clearBranches({ keepReferences: true });
+        this.startSessionLog();
+        this.startTime = Date.now();
+        
+        // Start simulation loop with speedup factor
+        const intervalMs = this.startSimulationLoop();
+        this.updatePhaseDisplay();
+        this.emitPhaseChange();
+        this.updateBatchDisplay();
+        this.events.emit('charge', {
+            mass: this.engine.mass,
+            batch: this.engine.batchNumber,
+            gap: gap,
+            temperatures: { bean: chargeTemps.bean, airMeasured: chargeTemps.airMeasured, roaster: chargeTemps.roaster }
+        });
+        
+        console.log(`Starting simulation at ${Number.isFinite(this.speedupFactor) ? this.speedupFactor + 'x' : 'maximum'} speed (interval: ${intervalMs}ms) with ${this.controls.mass}g of beans (batch ${this.engine.batchNumber})`);
     }
     
     /**
      * Drop beans from the roaster
      */
     dropBeans() {
+        // Once per roast, even if the drop was asked for again while it was held
+        if (this.deferDuringStep(() => { if (this.engine.beansPresent()) this.dropBeans(); })) return;
         console.log('Dropping beans...');
-        this.currentPhase = this.phases.DROPPED;
+        this.recordSessionAction('drop');
+        this.engine.drop();
+        if (this.fastForward) this.endFastForward();
         this.updatePhaseDisplay();
+        this.emitPhaseChange();
         
-        // Stop simulation after a brief delay
-        setTimeout(() => {
-            this.isRunning = false;
-            if (this.simulationInterval) {
-                clearInterval(this.simulationInterval);
-                this.simulationInterval = null;
-            }
-        }, 1000);
+        // Mark the drop at the last recorded sample
+        if (this.timeData.length > 0) {
+            const latest = this.timeData.length - 1;
+            this.roastEvents.record('DROP', this.timeData[latest], this.temperatureData.bean[latest]);
+        }
+        
+        this.updateBatchSummary();
+        const dropEvent = this.roastEvents.get('DROP');
+        this.events.emit('drop', {
+            time: dropEvent ? dropEvent.time : null,
+            temp: dropEvent ? dropEvent.temp : null,
+            batch: this.engine.batchNumber
+        });
+        
+        // Keep simulating while the beans cool in the tray and the empty
+        // roaster recovers (under the batch protocol when enabled) until the
+        // next charge or a reset
+        console.log('Beans in cooling tray');
     }
     
     /**
@@ -972,75 +3141,125 @@ class RoasterSimulator {
     reset() {
         console.log('Resetting simulation...');
         
+        // The twin restarts from scratch: stop driving a live roaster (heater off)
+        this.disconnectTelemetry();
+        
+        // A dropped roast whose beans are still cooling goes to the journal first
+        if (this.currentPhase === this.phases.COOLING) this.saveRoastToJournal();
+        this.journalEntryId = null;
+        
         // Stop simulation
         this.isRunning = false;
-        if (this.simulationInterval) {
-            clearInterval(this.simulationInterval);
-            this.simulationInterval = null;
-        }
+        this.isPaused = false;
+        this.stopSimulationLoop();
+        if (this.fastForward) this.endFastForward();
+        this.updateRunControls();
         
-        // Reset state
-        this.currentPhase = this.phases.IDLE;
-        this.currentState = this.initializePreheatState();
-        this.previousBeanTemp = this.preheatTemp; // Start from preheat temperature
-        this.previousTime = 0;
+        // Reset state (phase, preheat state and simulation time)
+        this.engine.reset();
+        this.clearForecast();
+        this.roastEvents.reset();
+        if (this.planEditor) this.planEditor.clear();
+        if (this.scenario) this.scenario.reset();
+        this.fixedParams.ambient = this.ambientSetting;
         
         // Clear data
-        this.timeData = [];
-        this.temperatureData = { bean: [], environment: [], roaster: [], air: [], airMeasured: [] };
-        this.controlData = { heater: [], fan: [], drum: [] };
-        this.rateOfRiseData = [];  // Clear rate of rise data
-        
-        // Reset simulation time tracking
-        this.simulationTime = 0;
-        this.stepCount = 0;
+        this.clearRecordedData();
+        this.clearBranches({ keepReferences: true });
+        this.pendingRewind = null;
+        this.pendingActions = [];
+        this.sessionLog = null;
+        this.replay = null;
+        this.batchHistory = [];
+        this.resetSensors();
         
         // Update UI
+        this.updateBatchDisplay();
         this.updatePhaseDisplay();
+        this.emitPhaseChange();
         this.updateStatusDisplay();
         this.updateCharts();
     }
     
     /**
-     * Perform one simulation step (simplified without StateEstimator)
+     * Perform one simulation step
+     * Computes the control action for the active mode, advances the engine
+     * and records the result for plotting
      */
     async simulationStep() {
-        if (!this.isRunning) return;
+        // Never overlap steps (a single step clicked while the loop's step awaits inference)
+        if (!this.isRunning || this.stepInProgress) return;
+        this.stepInProgress = true;
         
         try {
-            // Update simulation time tracking (independent of wall-clock time)
-            // Each step advances simulation time by the physics timestep
-            this.simulationTime += this.timestep; // Add timestep in seconds
-            this.stepCount += 1;
-            const currentTimeMinutes = this.simulationTime / 60; // Convert to minutes for plotting
+            // Time at the end of this step (the engine advances by one timestep)
+            const stepTime = this.simulationTime + this.timestep; // seconds
+            const currentTimeMinutes = stepTime / 60; // Convert to minutes for plotting
             
-            // Determine if beans are present based on phase
-            // Beans should be present during both CHARGING and ROASTING phases
-            const beansPresent = this.currentPhase === this.phases.CHARGING || this.currentPhase === this.phases.ROASTING;
-            const massValue = beansPresent ? this.controls.mass : 0.0;
+            // Replaying a session: operator actions and inputs come from the log
+            const replaying = this.replay !== null;
+            const replayed = replaying ? this.applyReplayStep(this.timeData.length) : null;
+            if (replaying && !replayed) return;  // Replay finished
             
-            // Get bean thermal capacity from bean model if beans are present
-            let beanCapacity = 0.5; // Default thermal capacity (normalized)
-            if (beansPresent && this.sessions.beanModel) {
-                const beanModelResult = await this.sessions.beanModel.run({
-                    bean_temperature: new ort.Tensor('float32', [this.currentState[1]], [1, 1])
-                });
-                beanCapacity = beanModelResult.thermal_capacity.data[0];
-            }
+            const beansPresent = this.engine.beansPresent();
             
             // Determine control actions based on control mode
             let heaterControl = this.controls.heater;
             let fanControl = this.controls.fan;
             
-            if (this.controlMode === 'pid' && beansPresent && this.pidController) {
+            if (replayed) {
+                heaterControl = replayed.heater;
+                fanControl = replayed.fan;
+                
+            } else if (!beansPresent && this.batchProtocolEnabled) {
+                // Empty roaster: preheat, between-batch schedule or hold at the charge temperature
+                const protocol = this.batchProtocol.controls({
+                    phase: this.currentPhase,
+                    time: this.simulationTime / 60,
+                    dropTime: this.engine.dropTime !== null ? this.engine.dropTime / 60 : null,
+                    beanTemp: this.denormalizeTemperature(this.measuredState()[3])
+                });
+                heaterControl = protocol.heater;
+                fanControl = protocol.fan;
+                
+                // Update display values for UI
+                this.controls.heater = heaterControl;
+                this.controls.fan = fanControl;
+                const heaterValue = document.getElementById('heater-value');
+                const fanValue = document.getElementById('fan-value');
+                if (heaterValue) heaterValue.textContent = Math.round(heaterControl * 100) + '%';
+                if (fanValue) fanValue.textContent = Math.round(fanControl * 100) + '%';
+                
+            } else if (this.controlMode === 'manual' && this.planEditor && this.planEditor.applied) {
+                // Follow the applied what-if plan
+                const planned = RoasterEngine.controlsFromPlan(this.planEditor.toPlan(), currentTimeMinutes, this.controls);
+                heaterControl = planned.heater;
+                fanControl = planned.fan;
+                
+                // Update display values for UI
+                this.controls.heater = heaterControl;
+                this.controls.fan = fanControl;
+                this.controls.drum = planned.drum;
+                const heaterValue = document.getElementById('heater-value');
+                const fanValue = document.getElementById('fan-value');
+                const drumValue = document.getElementById('drum-value');
+                if (heaterValue) heaterValue.textContent = Math.round(heaterControl * 100) + '%';
+                if (fanValue) fanValue.textContent = Math.round(fanControl * 100) + '%';
+                if (drumValue) drumValue.textContent = Math.round(planned.drum * 100) + '%';
+                
+            } else if (this.controlMode === 'pid' && beansPresent && this.pidController) {
                 // Get setpoint from background profile
                 const setpoint = this.getSetpointFromProfile(currentTimeMinutes);
                 
-                // Get current measurement (Bean Probe temperature, T_bm at index 3)
-                const measurement = this.denormalizeTemperature(this.currentState[3]);
+                // Get current measurement (Bean Probe temperature, T_bm at index 3),
+                // as recorded so sensor noise and probe faults reach the controller
+                const measurement = this.temperatureData.bean.length > 0
+                    ? this.temperatureData.bean[this.temperatureData.bean.length - 1]
+                    : this.denormalizeTemperature(this.currentState[3]);
                 
-                // Compute PID control action for heater only
-                heaterControl = this.pidController.compute(setpoint, measurement, this.simulationTime);
+                // Compute PID control action for heater only (derivative from the displayed RoR)
+                const rateOfRise = this.rateOfRiseData.length > 0 ? this.rateOfRiseData[this.rateOfRiseData.length - 1] : null;
+                heaterControl = this.pidController.compute(setpoint, measurement, stepTime, rateOfRise);
                 
                 // Fan remains manual control (use slider value)
                 fanControl = this.controls.fan;
@@ -1053,23 +3272,23 @@ class RoasterSimulator {
             } else if (this.controlMode === 'neural' && beansPresent && this.neuralController) {
                 // Neural controller computes both heater and fan
                 const controlActions = await this.neuralController.compute({
-                    currentState: this.currentState,
+                    currentState: this.measuredState(),
                     currentTime: currentTimeMinutes,
                     getSetpoint: (time) => this.getSetpointFromProfile(time),
-                    generateForecast: async (heat, fan) => {
-                        // Generate forecast with specified control inputs
-                        const saved = { heater: this.controls.heater, fan: this.controls.fan };
-                        this.controls.heater = heat;
-                        this.controls.fan = fan;
-                        const forecast = await this.compute60SecondForecast();
-                        this.controls.heater = saved.heater;
-                        this.controls.fan = saved.fan;
-                        return forecast;
-                    }
+                    // Generate forecast with specified control inputs, only as far ahead as the policy samples
+                    generateForecast: (heat, fan) => this.forecastService.compute({
+                        heater: heat,
+                        fan: fan,
+                        horizon: this.neuralController.nSamples * this.neuralController.dstep + this.timestep
+                    })
                 });
                 
                 heaterControl = controlActions.heat;
                 fanControl = controlActions.fan;
+                // Controllers that also actuate the drum return its speed
+                if (controlActions.drum !== undefined) {
+                    this.controls.drum = controlActions.drum;
+                }
                 
                 // Update display values for UI
                 this.controls.heater = heaterControl;
@@ -1080,211 +3299,438 @@ class RoasterSimulator {
                 if (fanValue) fanValue.textContent = Math.round(fanControl * 100) + '%';
             }
             
-            // Prepare controls for roast stepper
-            // Based on DrumRoasterExtended.forward() in models.py: [heater, fan, drum, T_amb, humidity, mass, C_b]
-            const stepperControls = new Float32Array(7);
-            stepperControls[0] = heaterControl;  // Already 0-1
-            stepperControls[1] = fanControl;     // Already 0-1
-            stepperControls[2] = this.fixedParams.drum; // Already 0-1 (0.6)
-            stepperControls[3] = this.fixedParams.ambient / this.scalingFactors.controls.ambient;  // Scale temperature
-            stepperControls[4] = this.fixedParams.humidity / this.scalingFactors.controls.humidity; // Scale humidity
-            stepperControls[5] = massValue / this.scalingFactors.mass;  // Scale mass
-            stepperControls[6] = beanCapacity;  // Bean thermal capacity
+            // Disturbances: what reaches the roaster differs from what was commanded
+            // (a replay's recorded inputs already include them)
+            let applied = { heater: heaterControl, fan: fanControl };
+            if (this.scenarioActive() && !replayed) {
+                applied = this.scenario.applyToControls(currentTimeMinutes, applied);
+                this.fixedParams.ambient = this.ambientSetting + this.scenario.ambientOffset(currentTimeMinutes);
+                this.currentState = this.scenario.applyToState(
+                    currentTimeMinutes, this.timestep / 60, this.currentState, this.scalingFactors.temperatures.bean);
+            }
             
-            // Time step (normalized)
-            const dt = new Float32Array([this.timestep / this.scalingFactors.time]);
+            // Live roaster: send the outputs, read the probes and let the
+            // twin's estimator see the measurement
+            let liveReading = null;
+            const telemetry = this.telemetry;
+            if (telemetry) {
+                try {
+                    // Paused while this step computed its outputs: keep the heater off
+                    await telemetry.write(this.isPaused ? { heater: 0, fan: applied.fan } : applied);
+                    liveReading = await telemetry.read();
+                } catch (error) {
+                    // Disconnected on purpose during the step: nothing to report
+                    if (this.telemetry !== telemetry) return;
+                    this.disconnectTelemetry(`Lost the roaster: ${error.message}`);
+                    this.pause();
+                    return;
+                }
+                this.engine.observe({ beanTemp: liveReading.bean, envTemp: liveReading.airMeasured });
+            }
             
-            // Run roast stepper to get next state (now expects 5-dimensional state)
-            const stepperResult = await this.sessions.roastStepper.run({
-                current_state: new ort.Tensor('float32', this.currentState, [1, 5]),
-                current_controls: new ort.Tensor('float32', stepperControls, [1, 7]),
-                dt: new ort.Tensor('float32', dt, [1, 1])
+            // Advance the physics engine by one timestep
+            const previousPhase = this.currentPhase;
+            const stateBefore = this.currentState;
+            const record = await this.engine.step({
+                heater: applied.heater,
+                fan: applied.fan,
+                drum: this.controls.drum,
+                humidity: this.controls.humidity
             });
+            this.emitPhaseChange();
+            
+            // Idle long enough after cooling: the roaster runs on unrecorded
+            // (a replay stops where its log does)
+            const recording = replayed || !this.idleRecordFull();
+            if (this.sessionLog && !replayed && recording) {
+                this.sessionLog.recordStep({
+                    heater: applied.heater,
+                    fan: applied.fan,
+                    drum: this.controls.drum,
+                    humidity: this.controls.humidity,
+                    ambient: this.fixedParams.ambient
+                }, stateBefore, this.currentState);
+            }
+            
+            // Probe readings as the operator and controllers see them: the
+            // live roaster's, or the sensor model then any probe faults from the scenario
+            let measured = {
+                bean: record.temperatures.bean,
+                airMeasured: record.temperatures.airMeasured
+            };
+            if (liveReading) {
+                measured = liveReading;
+            } else if (this.sensorModelEnabled) {
+                measured = {
+                    bean: this.sensors.bean.read(measured.bean, this.timestep),
+                    airMeasured: this.sensors.airMeasured.read(measured.airMeasured, this.timestep)
+                };
+            }
+            if (this.scenarioActive()) {
+                measured = this.scenario.measure(currentTimeMinutes, measured);
+            }
+            if (record.phase !== previousPhase) {
+                this.updatePhaseDisplay();
+            }
+            if (!recording) {
+                this.followUnrecordedStep(record, measured, { heater: heaterControl, fan: fanControl });
+                return;
+            }
             
-            // Update current state
-            this.currentState = new Float32Array(stepperResult.next_state.data);
+            // Cooling finished: the roaster idles until the next charge
+            if (previousPhase === this.phases.COOLING && record.phase === this.phases.DROPPED) {
+                console.log(`Cooling finished at ${this.formatRoastTime(record.time)} (${record.temperatures.tray.toFixed(1)}°C)`);
+                this.coolingFinishedTime = record.time;
+            }
+            if (previousPhase === this.phases.PREHEAT && record.phase === this.phases.IDLE) {
+                console.log(`Preheat reached ${this.preheatTemp}°C after ${this.formatRoastTime(record.time)}`);
+            }
             
             // Store data for plotting
-            this.timeData.push(currentTimeMinutes);
-            const currentBeanTemp = this.denormalizeTemperature(this.currentState[3]); // T_bm (Bean Temperature Measured)
+            this.timeData.push(record.time);
+            const currentBeanTemp = measured.bean; // T_bm (Bean Temperature Measured)
             this.temperatureData.bean.push(currentBeanTemp);
-            this.temperatureData.environment.push(this.denormalizeTemperature(this.currentState[1])); // T_b (Bean Core Temperature)
-            this.temperatureData.roaster.push(this.denormalizeTemperature(this.currentState[0])); // T_r (Roaster Temperature)
-            this.temperatureData.air.push(this.denormalizeTemperature(this.currentState[2])); // T_air (Air Temperature)
-            this.temperatureData.airMeasured.push(this.denormalizeTemperature(this.currentState[4])); // T_atm (Measured Air Temperature)
+            this.temperatureData.environment.push(record.temperatures.environment); // T_b (Bean Core Temperature)
+            this.temperatureData.roaster.push(record.temperatures.roaster); // T_r (Roaster Temperature)
+            this.temperatureData.air.push(record.temperatures.air); // T_air (Air Temperature)
+            this.temperatureData.airMeasured.push(measured.airMeasured); // T_atm (Measured Air Temperature)
+            this.temperatureData.tray.push(record.temperatures.tray); // Cooling tray (null before DROP)
             
-            // Update game with actual bean temperature for scoring
-            if (window.gameAPI && window.gameAPI.isRoasting()) {
-                window.gameAPI.updateActualProfile(currentBeanTemp);
-            }
+            // Rate of rise (°C/min) of the new sample with the selected method
+            this.rateOfRiseData.push(this.rateOfRise.next(this.timeData, this.temperatureData.bean, this.rateOfRiseData));
             
-            // Calculate rate of rise (°C/min) for plotting
-            // For the first data point, rate of rise is 0
-            if (this.timeData.length === 1) {
-                this.rateOfRiseData.push(0);
-            } else {
-                // Calculate rate of rise based on the last two data points
-                const prevTime = this.timeData[this.timeData.length - 2];
-                const prevBeanTemp = this.temperatureData.bean[this.temperatureData.bean.length - 2];
-                const timeDiff = currentTimeMinutes - prevTime;
-                const tempDiff = currentBeanTemp - prevBeanTemp;
-                const rateOfRise = timeDiff > 0 ? tempDiff / timeDiff : 0;
-                this.rateOfRiseData.push(rateOfRise);
+            // Commanded controls (a scenario may have changed what the roaster got)
+            this.controlData.heater.push(heaterControl);
+            this.controlData.fan.push(fanControl);
+            this.controlData.drum.push(record.controls.drum);
+            this.controlData.humidity.push(record.controls.humidity);
+            this.setpointData.push(beansPresent && this.backgroundProfile ? this.getSetpointFromProfile(record.time) : null);
+            
+            // Detect roast events on the data so far (not while preheating)
+            if (this.roastEvents.get('CHARGE')) {
+                const newEvents = this.roastEvents.update(this.timeData, this.temperatureData.bean, this.rateOfRiseData);
+                for (const name of newEvents) {
+                    const event = this.roastEvents.get(name);
+                    console.log(`Roast event ${name} detected at ${this.formatRoastTime(event.time)} (${event.temp.toFixed(1)}°C)`);
+                }
+                if (this.fastForward && this.roastEvents.get(this.fastForward.event)) {
+                    this.endFastForward();
+                }
             }
             
-            this.controlData.heater.push(this.controls.heater);
-            this.controlData.fan.push(this.controls.fan);
-            this.controlData.drum.push(this.fixedParams.drum);
+            // Subscribers (the game, MQTT, extensions) see the recorded step
+            if (this.events.hasListeners('step')) this.events.emit('step', this.latestStepSample());
+            
+            // Snapshot for rewinding to this sample
+            this.stepSnapshots.push(this.captureStepSnapshot());
             
-            // Compute 120-second forecast from current state
-            // This inner loop predicts the next 120 seconds using current control inputs
-            if (beansPresent) {
-                const forecast = await this.compute60SecondForecast();
-                this.forecastData.time = forecast.time;
-                this.forecastData.bean = forecast.bean;
-                this.forecastData.environment = forecast.environment;
-                this.forecastData.roaster = forecast.roaster;
-                this.forecastData.air = forecast.air;
-                this.forecastData.rateOfRise = forecast.rateOfRise;
+            // Beans have cooled: the roast is complete
+            if (previousPhase === this.phases.COOLING && record.phase === this.phases.DROPPED) {
+                this.saveRoastToJournal();
+            }
+            if (!replayed && this.idleRecordFull()) {
+                console.log(`Idle for ${this.idleRecordLimit} min after cooling: no longer recording until the next charge`);
+                this.updatePhaseDisplay();
+            }
+            
+            // Request a 240-second forecast from current state
+            // Runs off the main thread; the step does not wait for it, and if a
+            // forecast is still in flight this request is coalesced with later ones
+            if (this.engine.beansPresent()) {
+                this.requestForecast();
             } else {
                 // Clear forecast if no beans present
-                this.forecastData.time = [];
-                this.forecastData.bean = [];
-                this.forecastData.environment = [];
-                this.forecastData.roaster = [];
-                this.forecastData.air = [];
-                this.forecastData.rateOfRise = [];
+                this.clearForecast();
             }
             
-            // Update UI
-            this.updateStatusDisplay();
-            this.updateCharts();
+            // Update UI (at full speed, redraw at most every 100 ms so stepping isn't held up by plotting)
+            const now = Date.now();
+            if (Number.isFinite(this.speedupFactor) || now - this.lastRedrawTime >= 100) {
+                this.lastRedrawTime = now;
+                this.updateStatusDisplay();
+                this.updateRewindControls();
+                this.updateSessionDisplay();
+                this.updateCharts();
+            }
             
         } catch (error) {
             console.error('Simulation step error:', error);
             this.showError('Simulation error: ' + error.message);
             this.isRunning = false;
-            if (this.simulationInterval) {
-                clearInterval(this.simulationInterval);
-                this.simulationInterval = null;
-            }
+            this.stopSimulationLoop();
+            this.updateRunControls();
+        } finally {
+            this.stepInProgress = false;
+            
+            // Operator actions taken while this step awaited inference
+            const actions = this.pendingActions;
+            this.pendingActions = [];
+            for (const action of actions) action();
+        }
+        
+        // A rewind requested while this step awaited inference
+        if (this.pendingRewind !== null) {
+            const index = this.pendingRewind;
+            this.pendingRewind = null;
+            this.rewindTo(index);
         }
     }
     
     /**
-     * Compute 120-second forecast from current state using current control inputs
-     * This is an inner loop that predicts future temperatures over the next 120 seconds
-     * using the control inputs fixed at their current values
+     * Compute 240-second forecast from current state using current control inputs
+     * The rollout itself runs in the engine; this keeps the simulator's
+     * historical entry point for callers that hold the current controls constant
+     * or follow a time-varying plan
      * 
+     * @param {Object} plan - Optional control plan {changes: [{time (min), heater?, fan?}]};
+     *                        the current controls apply until the first change
      * @returns {Object} forecast - Object containing time and temperature arrays for all state variables
      */
-    async compute60SecondForecast() {
-        const forecastHorizon = 240; // seconds into the future
-        const forecastSteps = Math.ceil(forecastHorizon / this.timestep); // Number of steps to forecast
-        
-        // Arrays to store forecast trajectory for all state variables
-        const forecastTime = [];           // Time points in minutes (relative to current simulation time)
-        const forecastBeanTemp = [];       // Predicted bean probe temperatures (T_bm) in °C
-        const forecastEnvironmentTemp = []; // Predicted bean surface temperatures (T_b) in °C
-        const forecastRoasterTemp = [];    // Predicted roaster temperatures (T_r) in °C
-        const forecastAirTemp = [];        // Predicted air temperatures (T_air) in °C
-        
-        // Create a copy of current state to use for forecasting
-        // We don't want to modify the actual simulation state
-        let forecastState = new Float32Array(this.currentState);
-        
-        // Determine if beans are present (same logic as main simulation)
-        const beansPresent = this.currentPhase === this.phases.CHARGING || this.currentPhase === this.phases.ROASTING;
-        const massValue = beansPresent ? this.controls.mass : 0.0;
-        
-        // Get current bean thermal capacity (will be updated in the loop)
-        let beanCapacity = 0.5; // Default
-        if (beansPresent && this.sessions.beanModel) {
-            const beanModelResult = await this.sessions.beanModel.run({
-                bean_temperature: new ort.Tensor('float32', [forecastState[1]], [1, 1])
-            });
-            beanCapacity = beanModelResult.thermal_capacity.data[0];
-        }
-        
-        // Prepare control inputs (fixed at current values for the entire forecast)
-        // Shape: [heater, fan, drum, T_amb, humidity, mass, C_b]
-        const forecastControls = new Float32Array(7);
-        forecastControls[0] = this.controls.heater;  // Current heater setting
-        forecastControls[1] = this.controls.fan;     // Current fan setting
-        forecastControls[2] = this.fixedParams.drum; // Fixed drum speed
-        forecastControls[3] = this.fixedParams.ambient / this.scalingFactors.controls.ambient;
-        forecastControls[4] = this.fixedParams.humidity / this.scalingFactors.controls.humidity;
-        forecastControls[5] = massValue / this.scalingFactors.mass;
-        
-        // Normalized timestep for model
-        const dt = new Float32Array([this.timestep / this.scalingFactors.time]);
-        
-        // Run forecast loop: iterate forward in time using the roast stepper
-        for (let step = 0; step < forecastSteps; step++) {
-            // Update bean capacity based on current forecast state
-            if (beansPresent && this.sessions.beanModel) {
-                const beanModelResult = await this.sessions.beanModel.run({
-                    bean_temperature: new ort.Tensor('float32', [forecastState[1]], [1, 1])
-                });
-                beanCapacity = beanModelResult.thermal_capacity.data[0];
-                forecastControls[6] = beanCapacity;  // Update bean thermal capacity
-            } else {
-                forecastControls[6] = beanCapacity;
-            }
-            
-            // Predict next state using roast stepper
-            const stepperResult = await this.sessions.roastStepper.run({
-                current_state: new ort.Tensor('float32', forecastState, [1, 5]),
-                current_controls: new ort.Tensor('float32', forecastControls, [1, 7]),
-                dt: new ort.Tensor('float32', dt, [1, 1])
-            });
-            
-            // Update forecast state for next iteration
-            forecastState = new Float32Array(stepperResult.next_state.data);
-            
-            // Store forecast data point
-            // Time is relative to current simulation time (in minutes)
-            const forecastTimePoint = this.simulationTime / 60 + (step + 1) * this.timestep / 60;
-            forecastTime.push(forecastTimePoint);
-            
-            // Extract and denormalize all state variables
-            // State vector: [T_r, T_b, T_air, T_bm, T_atm]
-            forecastRoasterTemp.push(this.denormalizeTemperature(forecastState[0]));      // T_r (roaster)
-            forecastEnvironmentTemp.push(this.denormalizeTemperature(forecastState[1]));  // T_b (bean surface)
-            forecastAirTemp.push(this.denormalizeTemperature(forecastState[2]));          // T_air (air)
-            forecastBeanTemp.push(this.denormalizeTemperature(forecastState[3]));         // T_bm (bean probe)
-        }
-        
-        // Calculate rate of rise for the forecast
-        // Rate of rise (°C/min) is the change in temperature divided by the change in time
-        const forecastRateOfRise = [];
-        for (let i = 0; i < forecastBeanTemp.length; i++) {
-            if (i === 0) {
-                // For the first forecast point, calculate RoR from current actual temperature to first forecast
-                const currentBeanTemp = this.denormalizeTemperature(this.currentState[3]);
-                const timeDiff = forecastTime[0] - (this.simulationTime / 60);
-                const tempDiff = forecastBeanTemp[0] - currentBeanTemp;
-                const rateOfRise = timeDiff > 0 ? tempDiff / timeDiff : 0;
-                forecastRateOfRise.push(rateOfRise);
-            } else {
-                // For subsequent points, calculate RoR between consecutive forecast points
-                const timeDiff = forecastTime[i] - forecastTime[i - 1];
-                const tempDiff = forecastBeanTemp[i] - forecastBeanTemp[i - 1];
-                const rateOfRise = timeDiff > 0 ? tempDiff / timeDiff : 0;
-                forecastRateOfRise.push(rateOfRise);
+    async compute60SecondForecast(plan = null) {
+        return this.forecastService.compute({
+            heater: this.controls.heater,
+            fan: this.controls.fan,
+            drum: this.controls.drum,
+            humidity: this.controls.humidity,
+            plan: plan,
+            ...this.getForecastRateOfRiseOptions()
+        });
+    }
+    
+    /**
+     * RoR options for forecasts: the display's RoR method and the recent
+     * bean probe record, so the forecast RoR continues the recorded curve
+     * 
+     * @returns {Object} - {rateOfRise, history}
+     */
+    getForecastRateOfRiseOptions() {
+        const recent = 2.0;  // Minutes of history (covers the RoR windows)
+        const n = this.timeData.length;
+        let start = n;
+        while (start > 0 && this.timeData[n - 1] - this.timeData[start - 1] <= recent) start--;
+        return {
+            rateOfRise: { ...this.rateOfRise.config },
+            history: {
+                time: this.timeData.slice(start),
+                bean: this.temperatureData.bean.slice(start)
             }
+        };
+    }
+    
+    /**
+     * Change the RoR method (recomputes the recorded RoR curve)
+     * 
+     * @param {Object} config - RateOfRise settings to change (method, span, smoothing, order)
+     */
+    setRateOfRiseConfig(config) {
+        this.rateOfRise = new RateOfRise({ ...this.rateOfRise.config, ...config });
+        this.rateOfRiseData = this.rateOfRise.series(this.timeData, this.temperatureData.bean);
+        if (this.roastEvents.get('CHARGE')) {
+            this.roastEvents.update(this.timeData, this.temperatureData.bean, this.rateOfRiseData);
+        }
+        if (this.engine.beansPresent()) {
+            this.requestForecast();
+        }
+        this.updateStatusDisplay();
+        this.updateCharts();
+    }
+    
+    /**
+     * Describe the active controller for a closed-loop forecast
+     * The spec is plain data so it can be sent to the forecast worker, where
+     * ClosedLoopPolicy.fromSpec() rebuilds a copy of the controller
+     * 
+     * @returns {Object|null} - ClosedLoopPolicy spec, or null for an open-loop forecast
+     */
+    getForecastPolicySpec() {
+        if (!this.closedLoopForecast) {
+            return null;
+        }
+        
+        const profile = this.backgroundProfile
+            ? { times: this.backgroundProfile.times, temps: this.backgroundProfile.temps }
+            : null;
+        
+        if (this.controlMode === 'pid' && this.pidController) {
+            return {
+                type: 'pid',
+                state: this.pidController.getState(),
+                fan: this.controls.fan,
+                profile: profile
+            };
+        }
+        if (this.controlMode === 'neural' && this.neuralController && this.forecastService.policyDeps.neuralSession) {
+            return {
+                type: 'neural',
+                state: this.neuralController.getState(),
+                profile: profile
+            };
+        }
+        
+        // Manual control: the operator's inputs are held constant
+        return null;
+    }
+    
+    /**
+     * Request a display forecast with the current control inputs
+     * (or the active controller in the loop when closed-loop forecasts are on)
+     * The result is applied (and the charts redrawn) whenever it arrives
+     */
+    requestForecast() {
+        this.forecastService.request({
+            heater: this.controls.heater,
+            fan: this.controls.fan,
+            drum: this.controls.drum,
+            humidity: this.controls.humidity,
+            policy: this.getForecastPolicySpec(),
+            ensemble: this.ensembleForecast ? this.ensembleSettings : null,
+            ...this.getForecastRateOfRiseOptions()
+        }, (forecast) => {
+            this.forecastData.time = forecast.time;
+            this.forecastData.bean = forecast.bean;
+            this.forecastData.environment = forecast.environment;
+            this.forecastData.roaster = forecast.roaster;
+            this.forecastData.air = forecast.air;
+            this.forecastData.rateOfRise = forecast.rateOfRise;
+            this.forecastData.heater = forecast.heater;
+            this.forecastData.fan = forecast.fan;
+            this.forecastData.bands = forecast.ensemble ? this.bandsFromEnsemble(forecast.ensemble) : null;
+            this.updateCharts();
+            this.updateMetricsDisplay();
+            this.events.emit('forecast', forecast);
+        });
+        
+        // What-if forecast for the control plan, coalesced separately from the live forecast
+        if (this.planEditor && !this.planEditor.isEmpty()) {
+            this.forecastService.request({
+                heater: this.controls.heater,
+                fan: this.controls.fan,
+                drum: this.controls.drum,
+                humidity: this.controls.humidity,
+                plan: this.planEditor.toPlan(),
+                ...this.getForecastRateOfRiseOptions()
+            }, (forecast) => {
+                this.whatIfData.time = forecast.time;
+                this.whatIfData.bean = forecast.bean;
+                this.whatIfData.rateOfRise = forecast.rateOfRise;
+                this.updateCharts();
+            }, 'whatif');
+        } else {
+            this.clearWhatIf();
+        }
+    }
+    
+    /**
+     * Re-forecast after the what-if plan is edited
+     */
+    onControlPlanChanged() {
+        if (this.engine.beansPresent()) {
+            this.requestForecast();
+        } else {
+            this.clearWhatIf();
+        }
+        this.updateCharts();
+    }
+    
+    /**
+     * Clear the displayed what-if forecast
+     */
+    clearWhatIf() {
+        this.whatIfData.time = [];
+        this.whatIfData.bean = [];
+        this.whatIfData.rateOfRise = [];
+    }
+    
+    /**
+     * Clear the displayed forecast and discard any forecast still in flight
+     */
+    clearForecast() {
+        this.forecastService.invalidate();
+        this.forecastData.time = [];
+        this.forecastData.bean = [];
+        this.forecastData.environment = [];
+        this.forecastData.roaster = [];
+        this.forecastData.air = [];
+        this.forecastData.rateOfRise = [];
+        this.forecastData.heater = [];
+        this.forecastData.fan = [];
+        this.forecastData.bands = null;
+        this.clearWhatIf();
+    }
+    
+    /**
+     * Pick the outer percentiles of an ensemble forecast as display bands
+     * 
+     * @param {Object} ensemble - Ensemble summary from RoasterEngine.computeEnsembleForecastFrom()
+     * @returns {Object} - {bean: {lower, upper}, rateOfRise: {lower, upper}}
+     */
+    bandsFromEnsemble(ensemble) {
+        const low = Math.min(...ensemble.percentiles);
+        const high = Math.max(...ensemble.percentiles);
+        return {
+            bean: { lower: ensemble.bean[low], upper: ensemble.bean[high] },
+            rateOfRise: { lower: ensemble.rateOfRise[low], upper: ensemble.rateOfRise[high] }
+        };
+    }
+    
+    /**
+     * Mark a roast event by hand at the latest sample
+     * Overrides the detected (or recorded) value for that event
+     * 
+     * @param {string} name - Event name (CHARGE, DRY, FCs, FCe, SCs, DROP, ...)
+     */
+    markEvent(name) {
+        if (this.timeData.length === 0) {
+            console.warn(`Cannot mark ${name} before the roast has started`);
+            return;
         }
         
+        const latest = this.timeData.length - 1;
+        this.roastEvents.mark(name, this.timeData[latest], this.temperatureData.bean[latest]);
+        console.log(`Roast event ${name} marked at ${this.formatRoastTime(this.timeData[latest])}`);
+        this.updateCharts();
+    }
+    
+    /**
+     * Roast data recorded so far, including events
+     * temperatures.tray holds the cooling tray after DROP (null before)
+     * 
+     * ambient is the ambient temperature setting (°C, before scenario offsets)
+     * and chargedAt the wall-clock time of CHARGE (ISO, null before the first);
+     * setpoint is the background profile at each step (null without beans)
+     * 
+     * @returns {Object} - {time, temperatures, rateOfRise, controls, setpoint, events, mass, ambient,
+     *                     beanModel, chargedAt, thermalDose, batch, scenario}
+     */
+    getRoastData() {
         return {
-            time: forecastTime,
-            bean: forecastBeanTemp,
-            environment: forecastEnvironmentTemp,
-            roaster: forecastRoasterTemp,
-            air: forecastAirTemp,
-            rateOfRise: forecastRateOfRise
+            time: this.timeData,
+            temperatures: this.temperatureData,
+            rateOfRise: this.rateOfRiseData,
+            controls: this.controlData,
+            setpoint: this.setpointData,
+            events: this.roastEvents.getEvents(),
+            mass: this.engine.mass,
+            ambient: this.ambientSetting,
+            beanModel: this.selectedBeanModel,
+            chargedAt: this.startTime !== null ? new Date(this.startTime).toISOString() : null,
+            thermalDose: this.getThermalDose(),
+            batch: this.engine.batchNumber,
+            scenario: this.scenario ? this.scenario.toJSON() : null
         };
     }
     
+    /**
+     * Format a roast time in minutes as mm:ss
+     * 
+     * @param {number} minutes - Time in minutes
+     * @returns {string}
+     */
+    formatRoastTime(minutes) {
+        const totalSeconds = Math.max(0, Math.round(minutes * 60));
+        return String(Math.floor(totalSeconds / 60)).padStart(2, '0') + ':' + String(totalSeconds % 60).padStart(2, '0');
+    }
+    
     /**
      * Convert normalized temperature back to Celsius
      */
@@ -1292,32 +3738,57 @@ class RoasterSimulator {
         return normalizedTemp * this.scalingFactors.temperatures.bean;
     }
     
+    /**
+     * Current state with the probe temperatures as last recorded
+     * Controllers read this so the sensor model and a scenario's probe faults
+     * reach them; the latent temperatures are passed through unchanged
+     * 
+     * @returns {Float32Array} - Normalized state [T_r, T_b, T_air, T_bm, T_atm]
+     */
+    measuredState() {
+        const state = new Float32Array(this.currentState);
+        const n = this.timeData.length;
+        if (n > 0) {
+            const scale = this.scalingFactors.temperatures.bean;
+            state[3] = this.temperatureData.bean[n - 1] / scale;
+            state[4] = this.temperatureData.airMeasured[n - 1] / scale;
+        }
+        return state;
+    }
+    
     /**
      * Update status display
      */
     updateStatusDisplay() {
+        this.updateScenarioDisplay();
+        
         if (this.timeData.length === 0) {
-            // Display initial preheat values
-            document.getElementById('bean-temp').textContent = this.preheatTemp + '°C';
-            document.getElementById('env-temp').textContent = (this.preheatTemp + 30) + '°C';
-            document.getElementById('roaster-temp').textContent = (this.preheatTemp + 50) + '°C';
-            document.getElementById('air-temp').textContent = (this.preheatTemp) + '°C';
-            document.getElementById('air-temp-measured').textContent = (this.preheatTemp) + '°C';
+            // Display initial preheat values from the (possibly measured) preheat state;
+            // the environment reads 30°C above the ET probe, as before any calibration
+            // (the model's environment state is the bean core, at room temperature until CHARGE)
+            const preheat = this.engine.getState().temperatures;
+            document.getElementById('bean-temp').textContent = Math.round(preheat.bean) + '°C';
+            document.getElementById('env-temp').textContent = (Math.round(preheat.airMeasured) + 30) + '°C';
+            document.getElementById('roaster-temp').textContent = Math.round(preheat.roaster) + '°C';
+            document.getElementById('air-temp').textContent = Math.round(preheat.air) + '°C';
+            document.getElementById('air-temp-measured').textContent = Math.round(preheat.airMeasured) + '°C';
             document.getElementById('roast-time').textContent = '00:00';
             document.getElementById('rate-of-rise').textContent = '0°C/min';
+            this.updateMetricsDisplay();
             return;
         }
         
-        const latest = this.timeData.length - 1;
-        const currentTime = this.timeData[latest];
-        const currentBeanTemp = this.temperatureData.bean[latest];
+        // The latest step (recorded, or past the idle record limit the live one)
+        const latest = this.latestStepSample();
+        const currentTime = latest.time;
+        const temperatures = latest.temperatures;
         
         // Update temperature displays
-        document.getElementById('bean-temp').textContent = Math.round(currentBeanTemp) + '°C';
-        document.getElementById('env-temp').textContent = Math.round(this.temperatureData.environment[latest]) + '°C';
-        document.getElementById('roaster-temp').textContent = Math.round(this.temperatureData.roaster[latest]) + '°C';
-        document.getElementById('air-temp').textContent = Math.round(this.temperatureData.air[latest]) + '°C';
-        document.getElementById('air-temp-measured').textContent = Math.round(this.temperatureData.airMeasured[latest]) + '°C';
+        document.getElementById('bean-temp').textContent = Math.round(temperatures.bean) + '°C';
+        document.getElementById('env-temp').textContent = Math.round(temperatures.environment) + '°C';
+        document.getElementById('roaster-temp').textContent = Math.round(temperatures.roaster) + '°C';
+        document.getElementById('air-temp').textContent = Math.round(temperatures.air) + '°C';
+        document.getElementById('air-temp-measured').textContent = Math.round(temperatures.airMeasured) + '°C';
         
         // Update time display
         const minutes = Math.floor(currentTime);
@@ -1325,16 +3796,163 @@ class RoasterSimulator {
         document.getElementById('roast-time').textContent = 
             String(minutes).padStart(2, '0') + ':' + String(seconds).padStart(2, '0');
         
-        // Calculate and display rate of rise (°C/min)
-        if (this.timeData.length > 1) {
-            const timeDiff = currentTime - this.previousTime;
-            const tempDiff = currentBeanTemp - this.previousBeanTemp;
-            const rateOfRise = timeDiff > 0 ? tempDiff / timeDiff : 0;
-            document.getElementById('rate-of-rise').textContent = rateOfRise.toFixed(1) + '°C/min';
-            
-            this.previousTime = currentTime;
-            this.previousBeanTemp = currentBeanTemp;
+        // Display rate of rise (°C/min)
+        document.getElementById('rate-of-rise').textContent = latest.rateOfRise.toFixed(1) + '°C/min';
+        
+        // Show the tray temperature while the beans cool
+        if (this.currentPhase === this.phases.COOLING) {
+            const phaseDiv = document.getElementById('roast-phase');
+            const trayTemp = temperatures.tray;
+            if (phaseDiv && trayTemp !== null) {
+                phaseDiv.textContent = `COOLING - Beans ${Math.round(trayTemp)}°C in Cooling Tray`;
+            }
         }
+        
+        this.updateMetricsDisplay();
+    }
+    
+    /**
+     * Show the loaded scenario and the disturbances active right now
+     */
+    updateScenarioDisplay() {
+        const statusDiv = document.getElementById('scenario-status');
+        if (!statusDiv) return;
+        
+        if (!this.scenario) {
+            statusDiv.textContent = 'No scenario loaded';
+            statusDiv.style.color = '#666';
+            return;
+        }
+        
+        const time = this.timeData.length > 0 ? this.timeData[this.timeData.length - 1] : 0;
+        const active = this.scenarioActive() ? this.scenario.describeActive(time) : [];
+        statusDiv.textContent = active.length > 0
+            ? `${this.scenario.name}: ${active.join(', ')}`
+            : `${this.scenario.name}: no disturbance active`;
+        statusDiv.style.color = active.length > 0 ? '#dc3545' : '#666';
+    }
+    
+    /**
+     * Update the development metrics panel
+     * Phase boundaries come from the roast events (detected or marked by hand);
+     * the projected DTR uses the displayed forecast
+     */
+    updateMetricsDisplay() {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        const formatPhase = (phase) => phase
+            ? `${this.formatRoastTime(phase.time)} (${phase.percent.toFixed(0)}%)`
+            : '--:--';
+        const formatRoR = (phase) => (phase && phase.meanRoR !== null) ? phase.meanRoR.toFixed(1) : '-';
+        
+        // No roast metrics while preheating (nothing has been charged)
+        const events = this.roastEvents.getEventMap();
+        const metrics = events.CHARGE ? RoastMetrics.compute({
+            time: this.timeData,
+            bean: this.temperatureData.bean,
+            rateOfRise: this.rateOfRiseData
+        }, events) : null;
+        
+        if (!metrics) {
+            ['metric-drying', 'metric-maillard', 'metric-development'].forEach((id) => setText(id, '--:--'));
+            ['metric-dtr', 'metric-dev-delta', 'metric-ror', 'metric-projected-dtr', 'metric-thermal-dose'].forEach((id) => setText(id, '-'));
+            return;
+        }
+        
+        setText('metric-drying', formatPhase(metrics.drying));
+        setText('metric-maillard', formatPhase(metrics.maillard));
+        setText('metric-development', formatPhase(metrics.development));
+        setText('metric-dtr', metrics.development ? metrics.dtr.toFixed(1) + '%' : '-');
+        setText('metric-dev-delta', metrics.developmentDeltaT !== null ? '+' + metrics.developmentDeltaT.toFixed(1) + '°C' : '-');
+        setText('metric-ror', `${formatRoR(metrics.drying)} / ${formatRoR(metrics.maillard)} / ${formatRoR(metrics.development)}`);
+        
+        // Projection for dropping at the target temperature (hidden in blind mode, like the forecast)
+        const gameMode = window.gameAPI ? window.gameAPI.getGameMode() : 'lookahead';
+        const targetInput = document.getElementById('drop-target-input');
+        const dropTemp = targetInput ? parseFloat(targetInput.value) : NaN;
+        let projected = '-';
+        if (metrics.phase !== 'finished' && gameMode === 'lookahead' && Number.isFinite(dropTemp) && this.forecastData.time.length > 0) {
+            const projection = RoastMetrics.projectDrop(
+                this.forecastData, dropTemp, events, this.roastEvents.config.firstCrackTemp
+            );
+            projected = projection
+                ? `${projection.dtr.toFixed(1)}% @ ${this.formatRoastTime(projection.dropTime)}`
+                : 'beyond forecast';
+        }
+        setText('metric-projected-dtr', projected);
+        setText('metric-thermal-dose', Math.round(this.getThermalDose()) + ' °C·min');
+    }
+    
+    /**
+     * Fill in the current batch's summary from its events and metrics
+     */
+    updateBatchSummary() {
+        const current = this.batchHistory[this.batchHistory.length - 1];
+        if (!current) return;
+        
+        const events = this.roastEvents.getEventMap();
+        const metrics = RoastMetrics.compute({
+            time: this.timeData,
+            bean: this.temperatureData.bean,
+            rateOfRise: this.rateOfRiseData
+        }, events);
+        current.tp = events.TP ? events.TP.time : null;
+        current.fcs = events.FCs ? events.FCs.time : null;
+        current.drop = events.DROP ? events.DROP.time : null;
+        current.dtr = metrics && metrics.development ? metrics.dtr : null;
+        this.updateBatchDisplay();
+    }
+    
+    /**
+     * Render the batch-to-batch table (charge conditions and key times per batch)
+     */
+    updateBatchDisplay() {
+        const table = document.getElementById('batch-history-body');
+        if (!table) return;
+        
+        const time = (minutes) => minutes !== null ? this.formatRoastTime(minutes) : '-';
+        table.innerHTML = '';
+        for (const batch of this.batchHistory) {
+            const row = document.createElement('tr');
+            const cells = [
+                batch.batch,
+                time(batch.gap),
+                Math.round(batch.charge.bean) + '°C',
+                Math.round(batch.charge.airMeasured) + '°C',
+                Math.round(batch.charge.roaster) + '°C',
+                time(batch.tp),
+                time(batch.fcs),
+                time(batch.drop),
+                batch.dtr !== null ? batch.dtr.toFixed(1) + '%' : '-'
+            ];
+            for (const value of cells) {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                cell.style.padding = '4px 6px';
+                cell.style.textAlign = 'center';
+                row.appendChild(cell);
+            }
+            table.appendChild(row);
+        }
+    }
+    
+    /**
+     * Thermal dose of the batch so far (see RoastMetrics.thermalDose)
+     * Uses the bean probe until DROP and the cooling tray afterwards, up to the
+     * end of cooling (the tray beans sit near ambient while the roaster idles)
+     *
+     * @returns {number} - Dose above ambient in °C·min
+     */
+    getThermalDose() {
+        const drop = this.roastEvents.get('DROP');
+        const cooled = this.coolingFinishedTime;
+        const temps = this.timeData.map((time, i) => {
+            if (cooled !== null && time > cooled) return null;
+            return (drop && time > drop.time) ? this.temperatureData.tray[i] : this.temperatureData.bean[i];
+        });
+        return RoastMetrics.thermalDose(this.timeData, temps, this.fixedParams.ambient);
     }
     
     /**
@@ -1399,7 +4017,32 @@ class RoasterSimulator {
                 this.backgroundProfile ? this.backgroundProfile.temps : []  // Background profile (11th trace, index 10)
             ]
         };
-        Plotly.restyle('temperature-chart', tempUpdate);
+        Plotly.restyle('temperature-chart', tempUpdate, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        
+        // Forecast overlays: ensemble percentile bands (indices 11-14) and what-if plan (indices 15-16)
+        if (this.forecastOverlaysOnChart) {
+            const bands = showForecast ? this.forecastData.bands : null;
+            const bandTime = bands ? this.forecastData.time : [];
+            const whatIfTime = showForecast ? this.whatIfData.time : [];
+            Plotly.restyle('temperature-chart', {
+                x: [bandTime, bandTime, bandTime, bandTime, whatIfTime, whatIfTime],
+                y: [
+                    ...(bands
+                        ? [bands.bean.lower, bands.bean.upper, bands.rateOfRise.lower, bands.rateOfRise.upper]
+                        : [[], [], [], []]),
+                    showForecast ? this.whatIfData.bean : [],
+                    showForecast ? this.whatIfData.rateOfRise : []
+                ]
+            }, [11, 12, 13, 14, 15, 16]);
+        }
+        
+        // Cooling tray (index 17)
+        if (this.coolingTraceOnChart) {
+            Plotly.restyle('temperature-chart', {
+                x: [this.timeData],
+                y: [this.temperatureData.tray]
+            }, [17]);
+        }
         
         // Calculate y2limit for rate of rise: maximum of 10°C/min and (max rate of rise + 2°C/min)
         let y2limit = 10; // Default minimum of 10°C/min
@@ -1424,25 +4067,100 @@ class RoasterSimulator {
             }
         }] : [];
         
+        // Roast events: a faint vertical line on both charts and a label on the bean curve
+        const events = this.roastEvents.getEvents();
+        const eventShapes = events.map((event) => ({
+            type: 'line',
+            x0: event.time,
+            x1: event.time,
+            y0: 0,
+            y1: 1,
+            yref: 'paper',
+            line: {
+                color: event.source === 'manual' ? 'rgba(111, 66, 193, 0.4)' : 'rgba(139, 69, 19, 0.25)',
+                width: 1
+            }
+        }));
+        const eventAnnotations = events.map((event) => ({
+            x: event.time,
+            y: event.temp,
+            xref: 'x',
+            yref: 'y',
+            text: `${event.name}<br>${this.formatRoastTime(event.time)}`,
+            showarrow: true,
+            arrowhead: 0,
+            ax: 0,
+            ay: -35,
+            font: { size: 10, color: event.source === 'manual' ? '#6f42c1' : '#8B4513' },
+            bgcolor: 'rgba(255, 255, 255, 0.8)'
+        }));
+        
+        // Sample picked on the rewind slider
+        const rewindShapes = this.rewindIndex !== null && this.rewindIndex < this.timeData.length ? [{
+            type: 'line',
+            x0: this.timeData[this.rewindIndex],
+            x1: this.timeData[this.rewindIndex],
+            y0: 0,
+            y1: 1,
+            yref: 'paper',
+            line: { color: 'rgba(23, 162, 184, 0.8)', width: 2, dash: 'dash' }
+        }] : [];
+        
+        // Disturbance scenario windows: faint red bands (open-ended ones run to the edge)
+        const scenarioShapes = this.scenario && this.roastEvents.get('CHARGE')
+            ? this.scenario.events.map((event) => ({
+                type: 'rect',
+                x0: event.start,
+                x1: event.end !== undefined ? event.end : xlimit,
+                y0: 0,
+                y1: 1,
+                yref: 'paper',
+                fillcolor: 'rgba(220, 53, 69, 0.08)',
+                line: { width: 0 },
+                layer: 'below'
+            }))
+            : [];
+        
         // Update temperature chart axis ranges and add vertical line
         const tempLayoutUpdate = {
             'xaxis.range': [0, xlimit],
             'yaxis.range': [0, ylimit],
             'yaxis2.range': [0, y2limit],  // Ensure second y-axis starts at 0
-            shapes: shapes  // Add vertical line marking current time
+            shapes: [...scenarioShapes, ...shapes, ...rewindShapes, ...eventShapes],  // Scenario windows, vertical line marking current time, rewind point, plus events
+            annotations: eventAnnotations
         };
         Plotly.relayout('temperature-chart', tempLayoutUpdate);
         
+        // What-if plan steps run to the end of the visible range
+        const plan = this.planEditor
+            ? this.planEditor.getChartTraces(this.controls, xlimit)
+            : { heater: { x: [], y: [], customdata: [] }, fan: { x: [], y: [], customdata: [] }, drum: { x: [], y: [], customdata: [] } };
+        
         // Update control chart
         const controlUpdate = {
-            x: [this.timeData, this.timeData, this.timeData],
+            x: [
+                this.timeData, this.timeData, this.timeData,
+                showForecast ? this.forecastData.time : [], // Planned heat (4th trace)
+                showForecast ? this.forecastData.time : [], // Planned fan (5th trace)
+                plan.heater.x,                              // What-if heat plan (6th trace)
+                plan.fan.x,                                 // What-if fan plan (7th trace)
+                this.timeData,                              // Humidity (8th trace)
+                plan.drum.x                                 // What-if drum plan (9th trace)
+            ],
             y: [
                 this.controlData.heater,
                 this.controlData.fan,
-                this.controlData.drum
-            ]
+                this.controlData.drum,
+                showForecast ? this.forecastData.heater : [],
+                showForecast ? this.forecastData.fan : [],
+                plan.heater.y,
+                plan.fan.y,
+                this.controlData.humidity,
+                plan.drum.y
+            ],
+            customdata: [[], [], [], [], [], plan.heater.customdata, plan.fan.customdata, [], plan.drum.customdata]
         };
-        Plotly.restyle('control-chart', controlUpdate);
+        Plotly.restyle('control-chart', controlUpdate, [0, 1, 2, 3, 4, 5, 6, 7, 8]);
         
         // Add vertical line at current time to control chart as well
         const controlShapes = this.timeData.length > 0 ? [{
@@ -1462,7 +4180,7 @@ class RoasterSimulator {
         // Update control chart x-axis range and add vertical line
         const controlLayoutUpdate = {
             'xaxis.range': [0, xlimit],
-            shapes: controlShapes  // Add vertical line marking current time
+            shapes: [...controlShapes, ...rewindShapes, ...eventShapes]  // Vertical line marking current time, rewind point, plus events
         };
         Plotly.relayout('control-chart', controlLayoutUpdate);
     }
@@ -1593,6 +4311,10 @@ document.addEventListener('DOMContentLoaded', function() {
 window.addEventListener('load', async () => {
     console.log('Page loaded, initializing simulator');
     window.simulator = new RoasterSimulator();
+    
+    // Leaving the page while driving a live roaster: switch its heater off on the way out
+    window.addEventListener('pagehide', () => window.simulator.disconnectTelemetry());
+    
     await window.simulator.loadModels();
     
     // Show the info overlay when the page loads
@@ -41,44 +41,35 @@ const gameState = {
     // Simulation state
     isRoasting: false,
     
-    // ONNX Runtime sessions (model instances)
-    sessions: {
-        stateEstimator: null,
-        roastStepper: null,
-        beanModel: null
-    },
+    // Headless roaster engine (shared with the simulator page)
+    // Owns the ONNX sessions and the state vector [T_r, T_b, T_air, T_bm, T_atm] (normalized)
+    engine: null,
     
-    // Current system state vector: [T_r, T_b, T_air, T_bm, T_atm] (normalized)
-    // T_r: Roaster/drum temperature
-    // T_b: Bean core temperature
-    // T_air: Air temperature
-    // T_bm: Bean measurement temperature (probe)
-    // T_atm: Measured air temperature
-    currentState: null,
-    
-    // Scaling factors for normalization (from roaster-simulator.js)
-    scalingFactors: {
-        temperatures: { bean: 100.0 },
-        controls: { ambient: 100.0, humidity: 100.0 },
-        mass: 100.0,
-        time: 60.0
-    },
+    // Off-main-thread forecast client (see forecast-service.js)
+    forecastService: null,
+    
+    // Probe sensor models (see sensor-model.js), created per roast; probes read
+    // the model output exactly when off. Scoring uses the bean surface either way
+    realisticProbes: false,
+    sensors: null,
     
     // Fixed simulation parameters
     timestep: 1.5, // Physics timestep in seconds
     speedupFactor: 8, // Run simulation at 8x real-time
     preheatTemp: 180.0, // Preheat temperature in °C
     fixedParams: {
-        drum: 0.6,      // Fixed drum speed (60%)
+        drum: 0.6,      // Initial drum speed (60%)
         ambient: 24.0,  // Ambient temperature (°C)
-        humidity: 0.5,  // Fixed humidity
+        humidity: 0.5,  // Initial relative humidity (50%)
         mass: 150.0     // Bean mass in grams
     },
     
-    // User control inputs
+    // User control inputs (drum speed and humidity start at fixedParams)
     controls: {
         heater: 0.5,
-        fan: 0.5
+        fan: 0.5,
+        drum: 0.6,
+        humidity: 0.5
     },
     
     // Data arrays for plotting (all temperatures in °C)
@@ -91,11 +82,15 @@ const gameState = {
         airMeasured: []         // T_atm - Measured air temperature
     },
     rateOfRiseData: [],         // Rate of rise (°C/min) for bean probe
+    unclampedRateOfRise: [],    // The same before clamping (what RateOfRise.next() continues from)
+    rateOfRise: new RateOfRise(), // RoR method (see rate-of-rise.js)
     
     // Control data arrays (for plotting control inputs over time)
     controlData: {
         heater: [],             // Heater power (0-1)
-        fan: []                 // Fan speed (0-1)
+        fan: [],                // Fan speed (0-1)
+        drum: [],               // Drum speed (0-1)
+        humidity: []            // Relative humidity (0-1)
     },
     
     // Forecast data (for lookahead mode) - all temperatures in °C
@@ -248,15 +243,45 @@ async function initializeSimulator() {
     try {
         console.log('Loading ONNX models...');
         
-        // Load ONNX models
-        gameState.sessions.stateEstimator = await ort.InferenceSession.create('onnx_models/state_estimator.onnx');
-        gameState.sessions.roastStepper = await ort.InferenceSession.create('onnx_models/roast_stepper.onnx');
-        gameState.sessions.beanModel = await ort.InferenceSession.create('onnx_models/bean_guji.onnx');
+        // Load ONNX models into a headless engine
+        const sessions = await RoasterEngine.loadSessions(ort, {
+            basePath: 'onnx_models',
+            beanModel: 'bean_guji.onnx'
+        });
+        gameState.engine = new RoasterEngine({
+            ort: ort,
+            sessions: sessions,
+            timestep: gameState.timestep,
+            preheatTemp: gameState.preheatTemp,
+            fixedParams: {
+                drum: gameState.fixedParams.drum,
+                ambient: gameState.fixedParams.ambient,
+                humidity: gameState.fixedParams.humidity
+            }
+        });
         
-        console.log('ONNX models loaded successfully');
+        // Drum speed and humidity sliders only where the roast model responds to them
+        const capabilities = await gameState.engine.detectCapabilities();
+        for (const input of ['drum', 'humidity']) {
+            document.getElementById(`${input}-slider`).disabled = !capabilities[input];
+            document.getElementById(`${input}-status`).textContent = capabilities[input] ? '' : '(no effect with this model)';
+        }
         
-        // Initialize state to preheat conditions
-        initializePreheatState();
+        // Start from the state estimator's view of the preheated roaster
+        gameState.engine.setEstimator(new StateEstimator(sessions.stateEstimator, { ort: ort }));
+        await gameState.engine.initializeFromMeasurement({
+            beanTemp: gameState.preheatTemp,
+            envTemp: gameState.preheatTemp
+        });
+        
+        // Forecasts run in a Web Worker with its own sessions
+        gameState.forecastService = new ForecastService(gameState.engine);
+        await gameState.forecastService.init({
+            basePath: 'onnx_models',
+            beanModel: 'bean_guji.onnx'
+        });
+        
+        console.log('ONNX models loaded successfully');
         
         // Generate target profile
         generateTargetProfile();
@@ -280,30 +305,6 @@ async function initializeSimulator() {
     }
 }
 
-/**
- * Initialize state with preheat conditions
- * Roaster is preheated to 180°C before beans are added
- */
-function initializePreheatState() {
-    const roomTemp = 25.0; // °C
-    const preheatTemp = gameState.preheatTemp; // 180°C
-    const roasterTemp = preheatTemp + 50.0; // 230°C
-    const airTemp = preheatTemp - 40.0; // 140°C
-    const measuredAirTemp = preheatTemp; // 180°C
-    
-    // Normalize temperatures using scaling factor
-    const tempScale = gameState.scalingFactors.temperatures.bean;
-    
-    // State vector: [T_r, T_b, T_air, T_bm, T_atm]
-    gameState.currentState = new Float32Array([
-        roasterTemp / tempScale,        // T_r (roaster temperature)
-        roomTemp / tempScale,           // T_b (bean core - starts at room temp)
-        airTemp / tempScale,            // T_air (air temperature)
-        preheatTemp / tempScale,        // T_bm (bean measurement temp)
-        measuredAirTemp / tempScale     // T_atm (measured air temp)
-    ]);
-}
-
 /**
  * Generate target temperature profile using ProfileGenerator
  */
@@ -341,6 +342,30 @@ function setupGameControls() {
         fanValue.textContent = Math.round(gameState.controls.fan * 100) + '%';
     });
     
+    // Drum speed slider
+    const drumSlider = document.getElementById('drum-slider');
+    const drumValue = document.getElementById('drum-value');
+    drumSlider.addEventListener('input', (e) => {
+        gameState.controls.drum = parseFloat(e.target.value);
+        drumValue.textContent = Math.round(gameState.controls.drum * 100) + '%';
+    });
+    
+    // Humidity slider
+    const humiditySlider = document.getElementById('humidity-slider');
+    const humidityValue = document.getElementById('humidity-value');
+    humiditySlider.addEventListener('input', (e) => {
+        gameState.controls.humidity = parseFloat(e.target.value);
+        humidityValue.textContent = Math.round(gameState.controls.humidity * 100) + '%';
+    });
+    
+    // Realistic probes (noise, lag, quantization, spikes, dropouts)
+    const probeCheckbox = document.getElementById('realistic-probes-checkbox');
+    if (probeCheckbox) {
+        probeCheckbox.addEventListener('change', (e) => {
+            gameState.realisticProbes = e.target.checked;
+        });
+    }
+    
     // Charge button - starts the roast
     document.getElementById('charge-btn').addEventListener('click', () => {
         startRoast();
@@ -384,10 +409,13 @@ function startRoast() {
         airMeasured: []
     };
     gameState.rateOfRiseData = [];
+    gameState.unclampedRateOfRise = [];
     gameState.simulationTime = 0;
     
-    // Reset state to preheat conditions
-    initializePreheatState();
+    // Charge the engine (resets state to preheat conditions)
+    gameState.engine.charge({ mass: gameState.fixedParams.mass });
+    gameState.forecastService.invalidate();
+    gameState.sensors = SensorModel.createProbes();
     
     // Update UI
     document.getElementById('charge-btn').disabled = true;
@@ -405,50 +433,33 @@ function startRoast() {
  */
 async function simulationStep() {
     try {
-        // Get bean thermal capacity from bean model
-        const beanModelResult = await gameState.sessions.beanModel.run({
-            bean_temperature: new ort.Tensor('float32', [gameState.currentState[1]], [1, 1])
+        // Advance the engine by one physics step
+        const record = await gameState.engine.step({
+            heater: gameState.controls.heater,
+            fan: gameState.controls.fan,
+            drum: gameState.controls.drum,
+            humidity: gameState.controls.humidity
         });
-        const beanCapacity = beanModelResult.thermal_capacity.data[0];
-        
-        // Prepare controls: [heater, fan, drum, ambient, humidity, mass, beanCapacity]
-        const controls = new Float32Array(7);
-        controls[0] = gameState.controls.heater;
-        controls[1] = gameState.controls.fan;
-        controls[2] = gameState.fixedParams.drum;
-        controls[3] = gameState.fixedParams.ambient / gameState.scalingFactors.controls.ambient;
-        controls[4] = gameState.fixedParams.humidity / gameState.scalingFactors.controls.humidity;
-        controls[5] = gameState.fixedParams.mass / gameState.scalingFactors.mass;
-        controls[6] = beanCapacity;
-        
-        // Time step (normalized)
-        const dt = new Float32Array([gameState.timestep / gameState.scalingFactors.time]);
-        
-        // Run stepper to get next state
-        const stepperResult = await gameState.sessions.roastStepper.run({
-            current_state: new ort.Tensor('float32', gameState.currentState, [1, 5]),
-            current_controls: new ort.Tensor('float32', controls, [1, 7]),
-            dt: new ort.Tensor('float32', dt, [1, 1])
-        });
-        
-        // Update state
-        gameState.currentState = new Float32Array(stepperResult.next_state.data);
         
         // Advance simulation time
-        gameState.simulationTime += gameState.timestep;
-        const currentTimeMin = gameState.simulationTime / 60;
+        gameState.simulationTime = record.simulationTime;
+        const currentTimeMin = record.time;
         
-        // Extract all temperatures from state vector and denormalize
-        // State vector: [T_r, T_b, T_air, T_bm, T_atm]
-        const tempScale = gameState.scalingFactors.temperatures.bean;
+        // Map engine temperatures (°C) onto the game's naming
         const temps = {
-            drum: gameState.currentState[0] * tempScale,           // T_r - Roaster/drum temperature
-            beanSurface: gameState.currentState[1] * tempScale,    // T_b - Bean surface/core temperature
-            air: gameState.currentState[2] * tempScale,            // T_air - Air temperature
-            beanProbe: gameState.currentState[3] * tempScale,      // T_bm - Bean probe measurement (primary)
-            airMeasured: gameState.currentState[4] * tempScale     // T_atm - Measured air temperature
+            drum: record.temperatures.roaster,           // T_r - Roaster/drum temperature
+            beanSurface: record.temperatures.environment, // T_b - Bean surface/core temperature
+            air: record.temperatures.air,                // T_air - Air temperature
+            beanProbe: record.temperatures.bean,         // T_bm - Bean probe measurement (primary)
+            airMeasured: record.temperatures.airMeasured  // T_atm - Measured air temperature
         };
         
+        // Probes report through the sensor model when enabled
+        if (gameState.realisticProbes) {
+            temps.beanProbe = gameState.sensors.bean.read(temps.beanProbe, gameState.timestep);
+            temps.airMeasured = gameState.sensors.airMeasured.read(temps.airMeasured, gameState.timestep);
+        }
+        
         // Store data - time and all temperatures
         gameState.timeData.push(currentTimeMin);
         gameState.tempData.beanProbe.push(temps.beanProbe);
@@ -460,27 +471,22 @@ async function simulationStep() {
         // Store control inputs for plotting
         gameState.controlData.heater.push(gameState.controls.heater);
         gameState.controlData.fan.push(gameState.controls.fan);
+        gameState.controlData.drum.push(record.controls.drum);
+        gameState.controlData.humidity.push(record.controls.humidity);
         
         // Store bean surface (core) temperature for scoring (this is what we compare to target)
         gameState.actualProfile.push(temps.beanSurface);
         
-        // Calculate rate of rise (°C/min) for bean probe temperature
+        // Calculate rate of rise (°C/min) for bean probe temperature (same method as the simulator)
         // Clamp to zero minimum (never show negative RoR)
-        if (gameState.tempData.beanProbe.length > 1) {
-            const prevTemp = gameState.tempData.beanProbe[gameState.tempData.beanProbe.length - 2];
-            const prevTime = gameState.timeData[gameState.timeData.length - 2];
-            const timeDiff = currentTimeMin - prevTime;
-            const tempDiff = temps.beanProbe - prevTemp;
-            const ror = timeDiff > 0 ? tempDiff / timeDiff : 0;
-            // Clamp to minimum of 0 (don't show negative RoR values)
-            gameState.rateOfRiseData.push(Math.max(0, ror));
-        } else {
-            gameState.rateOfRiseData.push(0);
-        }
+        const ror = gameState.rateOfRise.next(
+            gameState.timeData, gameState.tempData.beanProbe, gameState.unclampedRateOfRise);
+        gameState.unclampedRateOfRise.push(ror);
+        gameState.rateOfRiseData.push(Math.max(0, ror));
         
         // Compute forecast if in lookahead mode
         if (gameState.gameMode === 'lookahead') {
-            await computeForecast();
+            computeForecast();
         }
         
         // Update UI
@@ -503,84 +509,28 @@ async function simulationStep() {
 }
 
 /**
- * Compute 240-second (4-minute) forecast from current state
- * Uses current control settings to predict future temperatures
+ * Request a 240-second (4-minute) forecast from current state
+ * Uses current control settings to predict future temperatures.
+ * Runs in the forecast worker; requests made while one is in flight are
+ * coalesced, and the chart is redrawn when the result arrives.
  */
-async function computeForecast() {
-    const forecastHorizon = 240; // 4 minutes = 240 seconds
-    const forecastSteps = Math.ceil(forecastHorizon / gameState.timestep);
-    
-    // Arrays to store all forecast temperatures
-    const forecastTime = [];
-    const forecastBeanProbe = [];
-    const forecastBeanSurface = [];
-    const forecastDrum = [];
-    const forecastAir = [];
-    const forecastAirMeasured = [];
-    
-    // Create a copy of current state for forecasting
-    let forecastState = new Float32Array(gameState.currentState);
-    
-    // Get bean capacity
-    let beanCapacity = 0.5;
-    if (gameState.sessions.beanModel) {
-        const beanModelResult = await gameState.sessions.beanModel.run({
-            bean_temperature: new ort.Tensor('float32', [forecastState[1]], [1, 1])
-        });
-        beanCapacity = beanModelResult.thermal_capacity.data[0];
-    }
-    
-    // Prepare controls (fixed at current values)
-    const forecastControls = new Float32Array(7);
-    forecastControls[0] = gameState.controls.heater;
-    forecastControls[1] = gameState.controls.fan;
-    forecastControls[2] = gameState.fixedParams.drum;
-    forecastControls[3] = gameState.fixedParams.ambient / gameState.scalingFactors.controls.ambient;
-    forecastControls[4] = gameState.fixedParams.humidity / gameState.scalingFactors.controls.humidity;
-    forecastControls[5] = gameState.fixedParams.mass / gameState.scalingFactors.mass;
-    
-    const dt = new Float32Array([gameState.timestep / gameState.scalingFactors.time]);
-    const tempScale = gameState.scalingFactors.temperatures.bean;
-    
-    // Run forecast loop
-    for (let step = 0; step < forecastSteps; step++) {
-        // Update bean capacity
-        if (gameState.sessions.beanModel) {
-            const beanModelResult = await gameState.sessions.beanModel.run({
-                bean_temperature: new ort.Tensor('float32', [forecastState[1]], [1, 1])
-            });
-            beanCapacity = beanModelResult.thermal_capacity.data[0];
-            forecastControls[6] = beanCapacity;
-        }
-        
-        // Predict next state
-        const stepperResult = await gameState.sessions.roastStepper.run({
-            current_state: new ort.Tensor('float32', forecastState, [1, 5]),
-            current_controls: new ort.Tensor('float32', forecastControls, [1, 7]),
-            dt: new ort.Tensor('float32', dt, [1, 1])
-        });
-        
-        // Update forecast state
-        forecastState = new Float32Array(stepperResult.next_state.data);
-        
-        // Store all forecast temperatures (denormalized)
-        // State vector: [T_r, T_b, T_air, T_bm, T_atm]
-        const forecastTimePoint = gameState.simulationTime / 60 + (step + 1) * gameState.timestep / 60;
-        forecastTime.push(forecastTimePoint);
-        forecastDrum.push(forecastState[0] * tempScale);         // T_r - Drum
-        forecastBeanSurface.push(forecastState[1] * tempScale);  // T_b - Bean surface
-        forecastAir.push(forecastState[2] * tempScale);          // T_air - Air
-        forecastBeanProbe.push(forecastState[3] * tempScale);    // T_bm - Bean probe
-        forecastAirMeasured.push(forecastState[4] * tempScale);  // T_atm - Air measured
-    }
-    
-    // Store all forecast data
-    gameState.forecastData.time = forecastTime;
-    gameState.forecastData.beanProbe = forecastBeanProbe;
-    gameState.forecastData.beanSurface = forecastBeanSurface;
-    gameState.forecastData.drum = forecastDrum;
-    gameState.forecastData.air = forecastAir;
-    gameState.forecastData.airMeasured = forecastAirMeasured;
+function computeForecast() {
+    gameState.forecastService.request({
+        heater: gameState.controls.heater,
+        fan: gameState.controls.fan,
+        drum: gameState.controls.drum,
+        humidity: gameState.controls.humidity,
+        horizon: 240
+    }, (forecast) => {
+        // Store all forecast data (engine naming -> game naming)
+        gameState.forecastData.time = forecast.time;
+        gameState.forecastData.beanProbe = forecast.bean;
+        gameState.forecastData.beanSurface = forecast.environment;
+        gameState.forecastData.drum = forecast.roaster;
+        gameState.forecastData.air = forecast.air;
+        gameState.forecastData.airMeasured = forecast.airMeasured;
+        updateChart();
+    });
 }
 
 /**
@@ -920,9 +870,12 @@ function resetGame() {
         airMeasured: []
     };
     gameState.rateOfRiseData = [];
+    gameState.unclampedRateOfRise = [];
     gameState.controlData = {
         heater: [],
-        fan: []
+        fan: [],
+        drum: [],
+        humidity: []
     };
     gameState.forecastData = {
         time: [],
@@ -935,7 +888,10 @@ function resetGame() {
     gameState.simulationTime = 0;
     
     // Reset to preheat state
-    initializePreheatState();
+    if (gameState.engine) {
+        gameState.engine.reset();
+        gameState.forecastService.invalidate();
+    }
     
     // Update UI
     document.getElementById('charge-btn').disabled = false;
@@ -945,6 +901,12 @@ function resetGame() {
     document.getElementById('heater-value').textContent = '50%';
     document.getElementById('fan-slider').value = 0.5;
     document.getElementById('fan-value').textContent = '50%';
+    gameState.controls.drum = gameState.fixedParams.drum;
+    gameState.controls.humidity = gameState.fixedParams.humidity;
+    document.getElementById('drum-slider').value = gameState.controls.drum;
+    document.getElementById('drum-value').textContent = Math.round(gameState.controls.drum * 100) + '%';
+    document.getElementById('humidity-slider').value = gameState.controls.humidity;
+    document.getElementById('humidity-value').textContent = Math.round(gameState.controls.humidity * 100) + '%';
     
     // Reset status displays
     document.getElementById('bean-temp').textContent = '180°C';
@@ -1110,6 +1072,20 @@ function initializeChart() {
             name: 'Fan Speed',
             line: { color: '#4444FF', width: 2 },
             mode: 'lines'
+        },
+        {
+            x: [],
+            y: [],
+            name: 'Drum Speed',
+            line: { color: '#888888', width: 2, dash: 'dash' },
+            mode: 'lines'
+        },
+        {
+            x: [],
+            y: [],
+            name: 'Humidity',
+            line: { color: '#17A2B8', width: 1.5, dash: 'dot' },
+            mode: 'lines'
         }
     ];
     
@@ -1178,7 +1154,7 @@ function updateChart() {
     
     // Update control chart
     Plotly.restyle('control-chart', {
-        x: [gameState.timeData, gameState.timeData],
-        y: [gameState.controlData.heater, gameState.controlData.fan]
-    }, [0, 1]);
+        x: [gameState.timeData, gameState.timeData, gameState.timeData, gameState.timeData],
+        y: [gameState.controlData.heater, gameState.controlData.fan, gameState.controlData.drum, gameState.controlData.humidity]
+    }, [0, 1, 2, 3]);
 }
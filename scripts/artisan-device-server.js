@@ -0,0 +1,295 @@
+/**
+ * Artisan WebSocket Device Server
+ *
+ * Runs the simulator's RoasterEngine in real time and serves it over Artisan's
+ * WebSocket device protocol, so Artisan (or any WebSocket client) can connect
+ * to the digital twin as if it were a real roaster: read BT/ET, send heater
+ * and fan commands, CHARGE and DROP. Useful for testing Artisan alarms, PID
+ * settings and recipes without roasting coffee.
+ *
+ * The server only listens on 127.0.0.1 and refuses browser pages from other
+ * origins.
+ *
+ * Requires onnxruntime-node and ws:
+ *   npm install onnxruntime-node ws
+ *   node scripts/artisan-device-server.js [--port 8080] [--path /WebSocket] [--bean bean_guji.onnx]
+ *                                         [--mass 150] [--heater 0.5] [--fan 0.3] [--speed 1] [--cold 1]
+ *
+ * Artisan setup (Config > Device: Meter "WebSocket"; Config > Port > WebSocket):
+ *   host 127.0.0.1, port 8080, path WebSocket; ID node "id", command node "command",
+ *   data node "data"; input 1 request "getData" with nodes "ET" and "BT"
+ *   (extra inputs can read "burner", "fan" and "drum", in %)
+ *
+ * Messages are JSON; a reply echoes the request's "id" (and "roasterID"):
+ *   {"command": "getData", "id": 1}
+ *     -> {"id": 1, "data": {"BT": 182.4, "ET": 215.1, "burner": 70, "fan": 30, "drum": 60,
+ *                           "phase": "roasting", "time": 312.0}}
+ *   {"command": "setControlParams", "params": {"burner": 70, "fan": 30, "drum": 60}}
+ *     (percent; "heater" and "airflow" are accepted as aliases; in Artisan, a
+ *      slider or button action like send({"command": "setControlParams", "params": {"burner": {}}}))
+ *   {"command": "startRoasting"} or {"command": "charge"}   beans in (mass from --mass or "params": {"mass": g})
+ *   {"command": "endRoasting"} or {"command": "drop"}       beans out into the cooling tray
+ *   {"command": "reset"}                                  empty roaster at the charge temperature
+ * Commands reply {"id", "data"} with the new readings, or {"id", "error"}.
+ *
+ * Time is the roaster's: --speed 1 (default) steps in real time, as Artisan expects.
+ */
+
+const path = require('path');
+const ort = require('onnxruntime-node');
+const { WebSocketServer } = require('ws');
+const { RoasterEngine } = require('../roaster-engine.js');
+const { StateEstimator } = require('../state-estimator.js');
+
+const HOST = '127.0.0.1';
+
+/**
+ * Parse --key value pairs from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options with numeric values
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8080, path: '/WebSocket', bean: 'bean_guji.onnx',
+        mass: 150, heater: 0.5, fan: 0.3, speed: 1, cold: 0
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        options[key] = key === 'bean' || key === 'path' ? value : parseFloat(value);
+    }
+    if (!options.path.startsWith('/')) options.path = '/' + options.path;
+    return options;
+}
+
+/**
+ * The engine as a roaster on the other end of a WebSocket: steps in (scaled)
+ * real time and answers Artisan requests
+ */
+class SimulatedRoasterDevice {
+    /**
+     * @param {RoasterEngine} engine - Engine with its sessions loaded
+     * @param {Object} options - {mass (g), heater, fan (0-1), speed (real-time factor)}
+     */
+    constructor(engine, options) {
+        this.engine = engine;
+        this.options = options;
+        this.controls = { heater: options.heater, fan: options.fan };
+        this.readings = this.readingsFromState(engine.getState());
+        this.timer = null;
+        this.queue = Promise.resolve();  // Steps and commands take turns on the engine
+    }
+
+    /**
+     * Run a task on the engine after the step or command in flight
+     * (a CHARGE arriving mid-step would otherwise be overwritten by the step)
+     *
+     * @param {Function} task - () => result or Promise
+     * @returns {Promise<*>} - The task's result
+     */
+    run(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Probe readings from an engine state or step record
+     */
+    readingsFromState(state) {
+        return {
+            BT: state.temperatures.bean,
+            ET: state.temperatures.airMeasured,
+            phase: state.phase,
+            time: state.time * 60
+        };
+    }
+
+    /**
+     * Step the engine every timestep (divided by the speed); steps never overlap
+     */
+    start() {
+        const interval = this.engine.timestep * 1000 / this.options.speed;
+        let next = Date.now();
+        const tick = async () => {
+            try {
+                const record = await this.run(() => this.engine.step({ ...this.controls }));
+                this.readings = this.readingsFromState(record);
+            } catch (error) {
+                console.error('Step failed:', error);
+            }
+            next += interval;
+            this.timer = setTimeout(tick, Math.max(0, next - Date.now()));
+        };
+        this.timer = setTimeout(tick, interval);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Current readings as Artisan reads them (temperatures in °C, controls in %)
+     *
+     * @returns {Object}
+     */
+    data() {
+        const round = (value) => Math.round(value * 10) / 10;
+        return {
+            BT: round(this.readings.BT),
+            ET: round(this.readings.ET),
+            burner: Math.round(this.controls.heater * 100),
+            fan: Math.round(this.controls.fan * 100),
+            drum: Math.round((this.controls.drum ?? this.engine.fixedParams.drum) * 100),
+            phase: this.readings.phase,
+            time: round(this.readings.time)
+        };
+    }
+
+    /**
+     * Handle one request
+     *
+     * @param {Object} request - Parsed message ({command, id?, roasterID?, params?})
+     * @returns {Object} - Reply ({id, data} or {id, error})
+     */
+    handle(request) {
+        const reply = { id: request.id ?? null };
+        if (request.roasterID !== undefined) reply.roasterID = request.roasterID;
+
+        const params = request.params || {};
+        const percent = (value) => Math.max(0, Math.min(100, Number(value))) / 100;
+        switch (request.command) {
+            case 'getData':
+                break;
+            case 'setControlParams': {
+                const heater = params.burner ?? params.heater;
+                const fan = params.fan ?? params.airflow;
+                for (const value of [heater, fan, params.drum]) {
+                    if (value !== undefined && !Number.isFinite(Number(value))) {
+                        return { ...reply, error: `Not a number: ${value}` };
+                    }
+                }
+                if (heater !== undefined) this.controls.heater = percent(heater);
+                if (fan !== undefined) this.controls.fan = percent(fan);
+                if (params.drum !== undefined) this.controls.drum = percent(params.drum);
+                break;
+            }
+            case 'startRoasting':
+            case 'charge':
+                if (this.engine.beansPresent()) {
+                    return { ...reply, error: 'Beans are already in the roaster' };
+                }
+                if (params.mass !== undefined && !(Number(params.mass) > 0)) {
+                    return { ...reply, error: `Invalid mass: ${params.mass}` };
+                }
+                // The roaster keeps its thermal state, as a real one would
+                this.engine.charge({ mass: Number(params.mass ?? this.options.mass), carryOver: true });
+                console.error(`CHARGE (${this.engine.mass}g, batch ${this.engine.batchNumber})`);
+                break;
+            case 'endRoasting':
+            case 'drop':
+                if (!this.engine.beansPresent()) {
+                    return { ...reply, error: 'No beans to drop' };
+                }
+                this.engine.drop();
+                console.error(`DROP at ${this.data().time}s`);
+                break;
+            case 'reset':
+                this.engine.reset();
+                console.error('Reset to an empty roaster at the charge temperature');
+                break;
+            default:
+                return { ...reply, error: `Unknown command: ${request.command}` };
+        }
+
+        if (request.command !== 'getData') {
+            this.readings = this.readingsFromState(this.engine.getState());
+        }
+        return { ...reply, data: this.data() };
+    }
+}
+
+/**
+ * Whether a connection may talk to the roaster: clients without an Origin
+ * (Artisan, scripts) and pages served from this machine
+ *
+ * @param {Object} info - ws verifyClient info ({origin, req})
+ * @returns {boolean}
+ */
+function isLocalClient(info) {
+    if (!info.origin) return true;
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(info.origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const sessions = await RoasterEngine.loadSessions(ort, {
+        basePath: path.join(__dirname, '..', 'onnx_models'),
+        beanModel: options.bean
+    });
+    const engine = new RoasterEngine({
+        ort,
+        sessions,
+        estimator: new StateEstimator(sessions.stateEstimator, { ort })
+    });
+
+    // Later resets start from the estimator's view of a roaster at the charge temperature
+    await engine.initializeFromMeasurement({ beanTemp: engine.preheatTemp, envTemp: engine.preheatTemp });
+
+    // Empty roaster: at the charge temperature, or cold with --cold 1
+    if (options.cold) {
+        engine.startPreheat();
+    } else {
+        engine.reset();
+    }
+
+    const device = new SimulatedRoasterDevice(engine, options);
+    device.start();
+
+    const server = new WebSocketServer({ host: HOST, port: options.port, path: options.path, verifyClient: isLocalClient });
+    server.on('connection', (socket, request) => {
+        console.error(`Client connected from ${request.socket.remoteAddress}`);
+        socket.on('message', async (message) => {
+            let request;
+            try {
+                request = JSON.parse(message.toString());
+            } catch (error) {
+                request = null;
+            }
+            if (!request || typeof request !== 'object' || Array.isArray(request)) {
+                socket.send(JSON.stringify({ id: null, error: 'Expected a JSON object' }));
+                return;
+            }
+            socket.send(JSON.stringify(await device.run(() => device.handle(request))));
+        });
+        socket.on('close', () => console.error('Client disconnected'));
+    });
+    server.on('listening', () => {
+        console.error(`Simulated roaster (${options.bean}) on ws://${HOST}:${options.port}${options.path}`
+            + (options.speed !== 1 ? ` at ${options.speed}x` : ''));
+    });
+    server.on('error', (error) => {
+        console.error('Server error:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => {
+        device.stop();
+        server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+    console.error('Device server failed:', error);
+    process.exit(1);
+});
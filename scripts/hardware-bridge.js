@@ -0,0 +1,176 @@
+/**
+ * Hardware-in-the-Loop Bridge
+ *
+ * Closes the PID loop around a real roaster from Node: every timestep it reads
+ * BT/ET through a telemetry adapter (telemetry-adapter.js), computes the heater
+ * with PIDController toward a background profile, sends heater and fan back,
+ * and steps the RoasterEngine alongside as a digital twin (re-anchored to the
+ * measurements by the state estimator) to forecast where the roast is going.
+ * Prints one CSV row per step. Start it at CHARGE: profile time 0 is the start.
+ *
+ * The neural controller runs in the browser simulator's live mode (Live
+ * Roaster in the sidebar), which connects over WebSocket.
+ *
+ * Requires onnxruntime-node and ws:
+ *   npm install onnxruntime-node ws
+ *   node scripts/hardware-bridge.js --adapter websocket --url ws://127.0.0.1:8081/WebSocket --profile best.alog
+ *   node scripts/hardware-bridge.js --adapter serial-tcp --host 192.168.1.50 --port 2000 --setpoint 205
+ *   Other options: [--fan 0.3] [--kp 0.01] [--ki 0.001] [--kd 0.005] [--minutes 12] [--bean bean_guji.onnx]
+ *                  [--mass 150] [--forecast 60] [--reanchor 15]
+ *
+ * Try it against scripts/mock-roaster-server.js (WebSocket on port 8081, TCP on 2001).
+ * However the bridge stops (Ctrl-C, SIGTERM, --minutes, a lost or failing
+ * roaster), it switches the heater off on the way out and says so; if the
+ * roaster cannot be reached for that, it tells you to switch it off there.
+ * A killed process (SIGKILL, power loss) cannot, so the roaster's own
+ * safety limits must not depend on this script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ort = require('onnxruntime-node');
+const WebSocket = require('ws');
+const { RoasterEngine } = require('../roaster-engine.js');
+const { StateEstimator } = require('../state-estimator.js');
+const { PIDController, ClosedLoopPolicy } = require('../controllers.js');
+const { RateOfRise } = require('../rate-of-rise.js');
+const { ArtisanAlog } = require('../artisan-alog.js');
+const { TelemetryAdapter } = require('../telemetry-adapter.js');
+
+/**
+ * Parse --key value pairs from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options with numeric values
+ */
+function parseArgs(argv) {
+    const text = ['adapter', 'url', 'host', 'profile', 'bean'];
+    const options = {
+        adapter: 'websocket', fan: 0.3, kp: 0.01, ki: 0.001, kd: 0.005, minutes: 12,
+        bean: 'bean_guji.onnx', mass: 150, forecast: 60, reanchor: 15, setpoint: 200
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        options[key] = text.includes(key) ? value : parseFloat(value);
+    }
+    return options;
+}
+
+/**
+ * Adapter spec from the command line options
+ */
+function adapterSpec(options) {
+    if (options.adapter === 'serial-tcp') {
+        return { type: 'serial-tcp', host: options.host || '127.0.0.1', port: options.port || 2000 };
+    }
+    return { type: 'websocket', url: options.url || 'ws://127.0.0.1:8080/WebSocket' };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Target: a real roast from Artisan, or a constant setpoint
+    const profile = options.profile
+        ? ArtisanAlog.readBackgroundProfile(fs.readFileSync(options.profile, 'utf8'))
+        : null;
+    const setpointAt = (time) => ClosedLoopPolicy.setpointFromProfile(profile, time, options.setpoint);
+
+    const adapter = TelemetryAdapter.create(adapterSpec(options), { WebSocket: WebSocket });
+    await adapter.connect();
+    console.error(`Connected to ${adapter.describe()}`);
+
+    // Stop at the next step on Ctrl-C or SIGTERM; the heater goes off in finally
+    let stopped = false;
+    const stop = () => {
+        if (stopped) process.exit(1);  // Second signal: give up waiting
+        stopped = true;
+        console.error('Stopping...');
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    try {
+        await runLoop(adapter, options, setpointAt, () => stopped);
+    } finally {
+        try {
+            await adapter.write({ heater: 0, fan: options.fan });
+            console.error('Heater off');
+        } catch (error) {
+            console.error(`Could not switch the heater off (${error.message}): switch it off at the roaster`);
+        }
+        adapter.close();
+    }
+}
+
+/**
+ * Closed loop around the roaster until --minutes or a stop
+ *
+ * @param {TelemetryAdapter} adapter - Connected adapter
+ * @param {Object} options - Command line options
+ * @param {Function} setpointAt - (minutes) => target bean temperature
+ * @param {Function} isStopped - () => true once a stop was requested
+ */
+async function runLoop(adapter, options, setpointAt, isStopped) {
+    // Digital twin: starts from the estimator's view of the measured roaster and
+    // is re-anchored to its estimate from the measurements every --reanchor seconds
+    const sessions = await RoasterEngine.loadSessions(ort, {
+        basePath: path.join(__dirname, '..', 'onnx_models'),
+        beanModel: options.bean
+    });
+    const engine = new RoasterEngine({
+        ort,
+        sessions,
+        estimator: new StateEstimator(sessions.stateEstimator, { ort }),
+        reanchorInterval: options.reanchor
+    });
+    const first = await adapter.read();
+    const preheat = await engine.initializeFromMeasurement({
+        beanTemp: first.bean,
+        envTemp: first.airMeasured,
+        fan: options.fan
+    });
+    console.error(`Twin starts from the ${preheat.estimated ? 'state estimator' : 'probe heuristic'}`);
+    engine.charge({ mass: options.mass, carryOver: true });
+
+    const pid = new PIDController(options.kp, options.ki, options.kd);
+    const rateOfRise = new RateOfRise();
+    const times = [];
+    const beans = [];
+    const rors = [];
+    const started = Date.now();
+
+    console.log('time_min,bt,et,ror,setpoint,heater,fan,twin_bt,forecast_bt');
+    while (!isStopped() && engine.simulationTime < options.minutes * 60) {
+        const stepStarted = Date.now();
+        const reading = await adapter.read();
+        const seconds = (Date.now() - started) / 1000;
+        times.push(seconds / 60);
+        beans.push(reading.bean);
+
+        const ror = rateOfRise.next(times, beans, rors);
+        rors.push(ror);
+        const setpoint = setpointAt(seconds / 60);
+        const heater = pid.compute(setpoint, reading.bean, seconds, ror);
+        await adapter.write({ heater: heater, fan: options.fan });
+
+        engine.observe({ beanTemp: reading.bean, envTemp: reading.airMeasured });
+        const record = await engine.step({ heater: heater, fan: options.fan });
+        const forecast = await engine.computeForecast({ heater: heater, fan: options.fan, horizon: options.forecast });
+
+        console.log([
+            (seconds / 60).toFixed(3), reading.bean.toFixed(1), reading.airMeasured.toFixed(1),
+            ror !== null ? ror.toFixed(1) : '', setpoint.toFixed(1), heater.toFixed(3), options.fan,
+            record.temperatures.bean.toFixed(1), forecast.bean[forecast.bean.length - 1].toFixed(1)
+        ].join(','));
+
+        // One step per timestep of wall-clock time
+        const wait = engine.timestep * 1000 - (Date.now() - stepStarted);
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+}
+
+main().catch((error) => {
+    console.error('Hardware bridge failed:', error);
+    process.exit(1);
+});
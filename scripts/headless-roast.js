@@ -0,0 +1,139 @@
+/**
+ * Headless Roast Script
+ *
+ * Runs a complete simulated roast in Node using the same RoasterEngine as the
+ * browser simulator and prints the trajectory as CSV.
+ *
+ * Requires onnxruntime-node:
+ *   npm install onnxruntime-node
+ *   node scripts/headless-roast.js [--mass 150] [--heater 0.7] [--fan 0.4] [--minutes 10]
+ *
+ * With --mqtt, each step and the CHARGE/DROP events are also published to an
+ * MQTT broker (see mqtt-telemetry.js for topics and messages), and setControls
+ * and drop commands are taken from it. --speed paces the roast (1 = real time;
+ * default as fast as possible), so there is time to send commands. Requires mqtt:
+ *   npm install mqtt
+ *   node scripts/headless-roast.js --mqtt mqtt://127.0.0.1:1883 [--topic roaster/simulator] [--speed 1]
+ */
+
+const path = require('path');
+const ort = require('onnxruntime-node');
+const { RoasterEngine } = require('../roaster-engine.js');
+const { StateEstimator } = require('../state-estimator.js');
+const { RateOfRise } = require('../rate-of-rise.js');
+const { MqttTelemetry } = require('../mqtt-telemetry.js');
+
+/**
+ * Parse --key value pairs from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options with numeric values
+ */
+function parseArgs(argv) {
+    const text = ['bean', 'mqtt', 'topic'];
+    const options = { mass: 150, heater: 0.7, fan: 0.4, minutes: 10, bean: 'bean_guji.onnx', speed: Infinity };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        options[key] = text.includes(key) ? value : parseFloat(value);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const sessions = await RoasterEngine.loadSessions(ort, {
+        basePath: path.join(__dirname, '..', 'onnx_models'),
+        beanModel: options.bean
+    });
+    const engine = new RoasterEngine({
+        ort,
+        sessions,
+        estimator: new StateEstimator(sessions.stateEstimator, { ort })
+    });
+
+    // Start from the estimator's view of a roaster preheated to the default temperature
+    const preheat = await engine.initializeFromMeasurement({
+        beanTemp: engine.preheatTemp,
+        envTemp: engine.preheatTemp
+    });
+    console.error(`Preheat state from ${preheat.estimated ? 'state estimator' : 'probe heuristic'}`);
+
+    // Heater and fan can be changed over MQTT while the roast runs
+    const controls = { heater: options.heater, fan: options.fan };
+    let dropRequested = false;
+    let telemetry = null;
+    if (options.mqtt) {
+        const config = { url: options.mqtt };
+        if (options.topic) config.topicPrefix = options.topic;
+        telemetry = new MqttTelemetry(config, require('mqtt'));
+        telemetry.onCommand = (command) => {
+            switch (command.command) {
+                case 'setControls':
+                    if (command.params.heater !== undefined) controls.heater = command.params.heater;
+                    if (command.params.fan !== undefined) controls.fan = command.params.fan;
+                    break;
+                case 'drop':
+                    dropRequested = true;
+                    break;
+                default:
+                    throw new Error(`${command.command} is not supported by the headless roast`);
+            }
+        };
+        await telemetry.connect();
+        console.error(`Publishing to ${options.mqtt} under ${telemetry.config.topicPrefix}/`);
+    }
+
+    engine.charge({ mass: options.mass });
+    if (telemetry) telemetry.publishEvent({ name: 'CHARGE', time: 0, temp: engine.getState().temperatures.bean });
+
+    const rateOfRise = new RateOfRise();
+    const times = [];
+    const beans = [];
+    const rors = [];
+
+    console.log('time_min,phase,bean,environment,roaster,air,air_measured,heater,fan');
+    while (engine.simulationTime < options.minutes * 60 && !dropRequested) {
+        const stepStarted = Date.now();
+        const record = await engine.step({ ...controls });
+        const t = record.temperatures;
+        console.log([
+            record.time.toFixed(3), record.phase,
+            t.bean.toFixed(2), t.environment.toFixed(2), t.roaster.toFixed(2),
+            t.air.toFixed(2), t.airMeasured.toFixed(2),
+            record.controls.heater, record.controls.fan
+        ].join(','));
+
+        if (telemetry) {
+            times.push(record.time);
+            beans.push(t.bean);
+            rors.push(rateOfRise.next(times, beans, rors));
+            telemetry.publishState({
+                time: record.time,
+                phase: record.phase,
+                temperatures: t,
+                rateOfRise: rors[rors.length - 1],
+                controls: record.controls,
+                setpoint: null,
+                mode: 'manual'
+            });
+        }
+
+        // Pace the roast at --speed times real time
+        const wait = engine.timestep * 1000 / options.speed - (Date.now() - stepStarted);
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    const drop = engine.getState();
+    engine.drop();
+    if (telemetry) {
+        telemetry.publishEvent({ name: 'DROP', time: drop.time, temp: drop.temperatures.bean });
+        telemetry.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('Headless roast failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,204 @@
+/**
+ * Mock Roaster Server
+ *
+ * A stand-in roaster for testing telemetry adapters and the hardware-in-the-loop
+ * bridge without hardware or ONNX models. A simple first-order plant (the
+ * environment heats toward a level set by heater and fan, the bean probe follows
+ * the environment) is served on localhost over both adapter protocols:
+ * - WebSocket, Artisan JSON (same messages as artisan-device-server.js):
+ *   getData, setControlParams, startRoasting/charge, endRoasting/drop
+ * - TCP, TC4-style serial lines: READ -> "ambient,ET,BT,heater,fan",
+ *   OT1;<heater %>, OT2;<fan %>, CHARGE, DROP (other commands are acknowledged with '#')
+ *
+ * Requires ws:
+ *   npm install ws
+ *   node scripts/mock-roaster-server.js [--ws-port 8081] [--tcp-port 2001] [--speed 1] [--noise 0.2]
+ */
+
+const net = require('net');
+const { WebSocketServer } = require('ws');
+
+const HOST = '127.0.0.1';
+
+/**
+ * Parse --key value pairs from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options with numeric values
+ */
+function parseArgs(argv) {
+    const options = { 'ws-port': 8081, 'tcp-port': 2001, speed: 1, noise: 0.2 };
+    for (let i = 0; i < argv.length; i += 2) {
+        options[argv[i].replace(/^--/, '')] = parseFloat(argv[i + 1]);
+    }
+    return options;
+}
+
+/**
+ * First-order roaster: good enough to close a control loop around
+ */
+class MockRoaster {
+    constructor(options) {
+        this.options = options;
+        this.ambient = 24;
+        this.et = 180;
+        this.bt = 180;
+        this.heater = 0.5;
+        this.fan = 0.3;
+        this.beans = false;
+    }
+
+    /**
+     * Advance the plant
+     *
+     * @param {number} seconds - Plant time
+     */
+    step(seconds) {
+        const etTarget = this.ambient + 320 * this.heater - 80 * this.fan;
+        this.et += (etTarget - this.et) * (1 - Math.exp(-seconds / 45));
+        const btTimeConstant = this.beans ? 90 : 20;  // A bean mass lags the environment more than the bare probe
+        this.bt += (this.et - this.bt) * (1 - Math.exp(-seconds / btTimeConstant));
+    }
+
+    charge() {
+        this.beans = true;
+        this.bt = 60;  // The probe dips into room-temperature beans
+        this.et -= 15;
+    }
+
+    drop() {
+        this.beans = false;
+    }
+
+    /**
+     * Probe readings with a little noise
+     */
+    readings() {
+        const noise = () => (Math.random() - 0.5) * 2 * this.options.noise;
+        const round = (value) => Math.round(value * 10) / 10;
+        return {
+            BT: round(this.bt + noise()),
+            ET: round(this.et + noise()),
+            burner: Math.round(this.heater * 100),
+            fan: Math.round(this.fan * 100)
+        };
+    }
+}
+
+/**
+ * Handle one Artisan JSON request
+ *
+ * @param {MockRoaster} roaster
+ * @param {Object} request - {command, id, params}
+ * @returns {Object} - Reply
+ */
+function handleJson(roaster, request) {
+    const reply = { id: request.id ?? null };
+    const params = request.params || {};
+    const percent = (value) => Math.max(0, Math.min(100, Number(value))) / 100;
+    switch (request.command) {
+        case 'getData':
+            break;
+        case 'setControlParams':
+            if (params.burner !== undefined) roaster.heater = percent(params.burner);
+            if (params.fan !== undefined) roaster.fan = percent(params.fan);
+            break;
+        case 'startRoasting':
+        case 'charge':
+            roaster.charge();
+            break;
+        case 'endRoasting':
+        case 'drop':
+            roaster.drop();
+            break;
+        default:
+            return { ...reply, error: `Unknown command: ${request.command}` };
+    }
+    return { ...reply, data: roaster.readings() };
+}
+
+/**
+ * Handle one TC4-style serial line
+ *
+ * @param {MockRoaster} roaster
+ * @param {string} line - Command without the newline
+ * @returns {string|null} - Reply line, if the command has one
+ */
+function handleLine(roaster, line) {
+    const [command, value] = line.trim().split(';');
+    switch (command.toUpperCase()) {
+        case 'READ': {
+            const readings = roaster.readings();
+            return [roaster.ambient.toFixed(1), readings.ET, readings.BT, readings.burner, readings.fan].join(',');
+        }
+        case 'OT1':
+            roaster.heater = Math.max(0, Math.min(100, Number(value) || 0)) / 100;
+            return null;
+        case 'OT2':
+            roaster.fan = Math.max(0, Math.min(100, Number(value) || 0)) / 100;
+            return null;
+        case 'CHARGE':
+            roaster.charge();
+            return null;
+        case 'DROP':
+            roaster.drop();
+            return null;
+        default:
+            return `# ${line.trim()}`;
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const roaster = new MockRoaster(options);
+
+    // Plant time runs at --speed times real time
+    const tick = 0.5;
+    const timer = setInterval(() => roaster.step(tick * options.speed), tick * 1000);
+
+    const wsServer = new WebSocketServer({ host: HOST, port: options['ws-port'], path: '/WebSocket' });
+    wsServer.on('connection', (socket) => {
+        socket.on('message', (message) => {
+            let request = null;
+            try {
+                request = JSON.parse(message.toString());
+            } catch (error) {
+                // Answered below
+            }
+            if (!request || typeof request !== 'object' || Array.isArray(request)) {
+                socket.send(JSON.stringify({ id: null, error: 'Expected a JSON object' }));
+                return;
+            }
+            socket.send(JSON.stringify(handleJson(roaster, request)));
+        });
+    });
+    wsServer.on('listening', () => console.error(`Mock roaster WebSocket on ws://${HOST}:${options['ws-port']}/WebSocket`));
+
+    const tcpServer = net.createServer((socket) => {
+        socket.setEncoding('utf8');
+        let buffer = '';
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                const reply = handleLine(roaster, line);
+                if (reply !== null) socket.write(reply + '\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    tcpServer.listen(options['tcp-port'], HOST, () => console.error(`Mock roaster serial-over-TCP on tcp://${HOST}:${options['tcp-port']}`));
+
+    const shutdown = () => {
+        clearInterval(timer);
+        wsServer.close();
+        tcpServer.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -0,0 +1,180 @@
+/**
+ * Roast Data Server
+ *
+ * Local stand-in for the dashboard's roast-data storage bucket, so the
+ * simulator's Background Roast "Load" can read a roast by its storage path
+ * (user_id/timestamp.alog, as the dashboard stores uploads). Serves the .alog
+ * files of a directory laid out like the bucket:
+ *
+ *   roast-data/
+ *     <user_id>/<timestamp>.alog
+ *
+ * Fill it with roasts downloaded from the dashboard, saved under their
+ * storage path. GET / lists the paths served. Only .alog files below the
+ * directory are served, and only to pages from this machine (any port, or
+ * file://, whose Origin is 'null'); requests naming another Host are refused,
+ * so a remote page cannot reach the server by rebinding its DNS name to
+ * 127.0.0.1. No dependencies:
+ *   node scripts/roast-data-server.js [--dir roast-data] [--port 8090]
+ *
+ * The simulator reads from http://127.0.0.1:8090/ by default (the URL field
+ * above the path in Background Roast).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const HOST = '127.0.0.1';
+
+/**
+ * Parse --key value pairs from the command line
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Parsed options (port is numeric)
+ */
+function parseArgs(argv) {
+    const options = { dir: 'roast-data', port: 8090 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        options[key] = key === 'dir' ? value : parseFloat(value);
+    }
+    return options;
+}
+
+/**
+ * Storage paths of every .alog below the directory
+ *
+ * @param {string} root - Served directory
+ * @param {string} prefix - Path below root being listed ('' for root)
+ * @returns {Array<string>} - Paths like 'user_id/timestamp.alog'
+ */
+function listRoasts(root, prefix = '') {
+    const paths = [];
+    for (const entry of fs.readdirSync(path.join(root, prefix), { withFileTypes: true })) {
+        const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            paths.push(...listRoasts(root, entryPath));
+        } else if (entry.name.endsWith('.alog')) {
+            paths.push(entryPath);
+        }
+    }
+    return paths;
+}
+
+/**
+ * File for a request path, or null if it is not a served roast
+ *
+ * @param {string} root - Served directory (absolute)
+ * @param {string} urlPath - Request path (URL-encoded)
+ * @returns {string|null} - Absolute file path
+ */
+function resolveRoast(root, urlPath) {
+    let relative;
+    try {
+        relative = decodeURIComponent(urlPath).replace(/^\/+/, '');
+    } catch (error) {
+        return null;
+    }
+    const file = path.resolve(root, relative);
+    if (!file.startsWith(root + path.sep) || !file.endsWith('.alog')) return null;
+    return file;
+}
+
+/**
+ * Whether a page may read the roasts: requests without an Origin (curl,
+ * scripts), file:// pages and pages served from this machine
+ *
+ * @param {string|undefined} origin - Origin request header
+ * @returns {boolean}
+ */
+function isLocalOrigin(origin) {
+    if (!origin || origin === 'null') return true;
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether the request was addressed to this machine by name (Host header)
+ *
+ * @param {string|undefined} host - Host request header
+ * @returns {boolean}
+ */
+function isLocalHost(host) {
+    if (!host) return false;
+    try {
+        return ['localhost', '127.0.0.1'].includes(new URL(`http://${host}`).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Answer one request
+ *
+ * @param {string} root - Served directory (absolute)
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+function handleRequest(root, request, response) {
+    const origin = request.headers.origin;
+    const send = (status, type, body) => {
+        const headers = { 'Content-Type': type, 'Vary': 'Origin' };
+        if (origin && isLocalOrigin(origin)) headers['Access-Control-Allow-Origin'] = origin;
+        response.writeHead(status, headers);
+        response.end(body);
+    };
+    if (!isLocalHost(request.headers.host) || !isLocalOrigin(origin)) {
+        send(403, 'text/plain', 'Only pages on this machine may read the roasts\n');
+        return;
+    }
+    if (request.method !== 'GET') {
+        send(405, 'text/plain', 'Only GET is supported\n');
+        return;
+    }
+
+    const urlPath = new URL(request.url, `http://${HOST}`).pathname;
+    if (urlPath === '/') {
+        send(200, 'application/json', JSON.stringify(listRoasts(root), null, 2) + '\n');
+        return;
+    }
+    const file = resolveRoast(root, urlPath);
+    if (!file) {
+        send(404, 'text/plain', 'Not a roast-data path\n');
+        return;
+    }
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            send(404, 'text/plain', `No roast at ${urlPath}\n`);
+        } else {
+            send(200, 'text/plain; charset=utf-8', data);
+        }
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const root = path.resolve(options.dir);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        console.error(`No directory ${root}: create it and put the roasts in as <user_id>/<timestamp>.alog`);
+        process.exit(1);
+    }
+
+    const server = http.createServer((request, response) => handleRequest(root, request, response));
+    server.listen(options.port, HOST, () => {
+        console.error(`Serving ${listRoasts(root).length} roasts from ${root} on http://${HOST}:${options.port}/`);
+    });
+
+    const shutdown = () => {
+        server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main();
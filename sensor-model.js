@@ -0,0 +1,130 @@
+/**
+ * Sensor Model Module
+ *
+ * Turns a latent probe temperature from the roaster model into what a real
+ * thermocouple reports, so the display, roast events and controllers work
+ * from realistic readings:
+ * - first-order lag (the probe's thermal time constant)
+ * - white noise
+ * - spike outliers (occasional single-sample glitches)
+ * - quantization to the meter's resolution (0.1 °C on most roasters)
+ * - sample dropouts (a missed sample repeats the previous reading)
+ *
+ * One SensorModel per probe. Randomness comes from an injectable uniform
+ * generator (default Math.random), as for ensemble forecasts.
+ */
+
+// The browser has RandomSampling as a global from random-sampling.js
+const SensorRandomSampling = (typeof module !== 'undefined' && module.exports)
+    ? require('./random-sampling.js').RandomSampling
+    : RandomSampling;
+
+class SensorModel {
+    /**
+     * Default probe settings (a typical bean probe)
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            noise: 0.15,                // White noise standard deviation (°C)
+            lagTime: 4.0,               // First-order time constant (seconds), 0 for none
+            resolution: 0.1,            // Reported step (°C), 0 for none
+            spikeProbability: 0.002,    // Chance per sample of a spike outlier
+            spikeMagnitude: 15.0,       // Spike size (°C, either sign)
+            dropoutProbability: 0.005   // Chance per sample that the reading is missed
+        };
+    }
+
+    /**
+     * Create a sensor model
+     *
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {Function} random - Uniform random generator in [0, 1)
+     */
+    constructor(config = {}, random = Math.random) {
+        this.config = { ...SensorModel.DEFAULT_CONFIG, ...config };
+        this.random = random;
+        this.reset();
+    }
+
+    /**
+     * Forget the probe's history (the next reading starts without lag)
+     */
+    reset() {
+        this.lagged = null;         // Lagged probe temperature (°C)
+        this.lastReading = null;    // Last reported value (°C)
+    }
+
+    /**
+     * Report the probe reading for one sample
+     *
+     * @param {number} trueTemp - Latent probe temperature (°C)
+     * @param {number} dt - Time since the previous sample (seconds)
+     * @returns {number} - Reading (°C)
+     */
+    read(trueTemp, dt) {
+        const config = this.config;
+
+        // The probe body follows the latent temperature with a lag
+        if (this.lagged === null || config.lagTime <= 0) {
+            this.lagged = trueTemp;
+        } else {
+            this.lagged += (trueTemp - this.lagged) * (1 - Math.exp(-dt / config.lagTime));
+        }
+
+        // A missed sample repeats the previous reading
+        if (this.lastReading !== null && this.random() < config.dropoutProbability) {
+            return this.lastReading;
+        }
+
+        let reading = this.lagged + config.noise * SensorRandomSampling.gaussian(this.random);
+        if (this.random() < config.spikeProbability) {
+            reading += (this.random() < 0.5 ? -1 : 1) * config.spikeMagnitude;
+        }
+        if (config.resolution > 0) {
+            reading = Math.round(reading / config.resolution) * config.resolution;
+            reading = parseFloat(reading.toFixed(6));  // Drop floating point residue (e.g. 180.10000000000002)
+        }
+
+        this.lastReading = reading;
+        return reading;
+    }
+
+    /**
+     * Probe history as plain data (for rewinding a run)
+     *
+     * @returns {Object} - {lagged, lastReading}
+     */
+    getState() {
+        return { lagged: this.lagged, lastReading: this.lastReading };
+    }
+
+    /**
+     * Restore probe history from getState()
+     *
+     * @param {Object} state
+     */
+    setState(state) {
+        this.lagged = state.lagged;
+        this.lastReading = state.lastReading;
+    }
+
+    /**
+     * Sensor models for the two roaster probes
+     * The environment probe sits in the air stream and responds faster
+     *
+     * @param {Object} config - Overrides applied to both probes
+     * @param {Function} random - Uniform random generator in [0, 1)
+     * @returns {Object} - {bean, airMeasured}
+     */
+    static createProbes(config = {}, random = Math.random) {
+        return {
+            bean: new SensorModel(config, random),
+            airMeasured: new SensorModel({ lagTime: 1.5, ...config }, random)
+        };
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SensorModel };
+}
@@ -0,0 +1,255 @@
+/**
+ * Session Log Module
+ *
+ * Compact record of one simulator run (from CHARGE or the start of preheat),
+ * enough to replay it through the roast stepper and get the same trajectory.
+ * A log is plain JSON:
+ * - header: the initial engine snapshot (state, phase, mass, ambient and the
+ *   other fixed parameters), bean model, timestep, charge temperature and tray
+ *   airflow; plus the background profile and the controller, scenario, probe
+ *   and RoR configuration the run used
+ * - controls: the inputs each step handed to the roast stepper, stored only
+ *   when they change, as [step, heater, fan, drum, humidity, ambient]
+ * - states: [step, state] where the state entering a step was changed outside
+ *   the stepper (e.g. a scenario's door-open shock)
+ * - actions: [step, name, value?] operator actions between steps ('drop',
+ *   'chargeTemp', 'trayAirflow'), applied before that step
+ * - finalState: the state after the last step, to check a replay against
+ *
+ * Controls are recorded as they reached the roaster, so a replay needs no
+ * controller or scenario. Probe noise from the sensor model is not recorded:
+ * a replay reproduces the latent trajectory and shows the model's probes.
+ */
+
+class SessionLog {
+    /**
+     * Format tag and version written to every log
+     */
+    static get FORMAT() {
+        return 'roaster-session';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Operator actions that can appear in a log
+     */
+    static get ACTIONS() {
+        return ['drop', 'chargeTemp', 'trayAirflow'];
+    }
+
+    /**
+     * Parse a log from JSON text
+     *
+     * @param {string} text - Session log JSON
+     * @returns {SessionLog}
+     */
+    static fromJSON(text) {
+        const data = JSON.parse(text);
+        if (data.format !== SessionLog.FORMAT) {
+            throw new Error('Not a roaster session log');
+        }
+        if (!(data.version <= SessionLog.VERSION)) {
+            throw new Error(`Unsupported session log version: ${data.version}`);
+        }
+        return new SessionLog(data);
+    }
+
+    /**
+     * Create a log
+     *
+     * @param {Object} data - Header ({initial, beanModel, timestep, preheatTemp, trayAirflow,
+     *                        profile, controller, scenario, sensors, rateOfRise}) and, for a
+     *                        saved log, its steps, controls, states, actions and finalState
+     */
+    constructor(data) {
+        if (!data || !data.initial || !Array.isArray(data.initial.state)) {
+            throw new Error('Session log needs an initial engine snapshot');
+        }
+        for (const [, name] of data.actions || []) {
+            if (!SessionLog.ACTIONS.includes(name)) {
+                throw new Error(`Unknown session action: ${name}`);
+            }
+        }
+
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.initial = JSON.parse(JSON.stringify(data.initial));
+        this.beanModel = data.beanModel || null;
+        this.timestep = data.timestep ?? 1.5;
+        this.preheatTemp = data.preheatTemp ?? null;
+        this.trayAirflow = data.trayAirflow ?? null;
+        this.profile = data.profile || null;
+        this.controller = data.controller || null;
+        this.scenario = data.scenario || null;
+        this.sensors = data.sensors || null;
+        this.rateOfRise = data.rateOfRise || null;
+
+        this.steps = data.steps ?? 0;
+        this.controls = (data.controls || []).map((entry) => [...entry]);
+        this.states = (data.states || []).map(([step, state]) => [step, [...state]]);
+        this.actions = (data.actions || []).map((entry) => [...entry]);
+        this.finalState = [...(data.finalState || this.initial.state)];
+        this.expectedState = [...this.finalState];  // State the next step should start from
+    }
+
+    /**
+     * Record one step
+     *
+     * @param {Object} inputs - {heater, fan, drum, humidity, ambient} as handed to the roast stepper
+     * @param {ArrayLike<number>} stateBefore - Normalized state entering the step
+     * @param {ArrayLike<number>} stateAfter - Normalized state after the step
+     */
+    recordStep(inputs, stateBefore, stateAfter) {
+        const step = this.steps;
+        const entry = [step, inputs.heater, inputs.fan, inputs.drum, inputs.humidity, inputs.ambient];
+        const last = this.controls[this.controls.length - 1];
+        if (!last || entry.some((value, i) => i > 0 && value !== last[i])) {
+            this.controls.push(entry);
+        }
+
+        const before = Array.from(stateBefore);
+        if (!SessionLog.sameState(before, this.expectedState)) {
+            this.states.push([step, before]);
+        }
+
+        this.finalState = Array.from(stateAfter);
+        this.expectedState = [...this.finalState];
+        this.steps += 1;
+    }
+
+    /**
+     * Record an operator action (applies before the next step)
+     * Record it between steps: an action taken while a step is in flight
+     * belongs after that step, which ran with the old settings
+     *
+     * @param {string} name - One of ACTIONS
+     * @param {number} value - Action value, if it has one
+     */
+    recordAction(name, value) {
+        if (!SessionLog.ACTIONS.includes(name)) {
+            throw new Error(`Unknown session action: ${name}`);
+        }
+        this.actions.push(value === undefined ? [this.steps, name] : [this.steps, name, value]);
+    }
+
+    /**
+     * Drop everything from a step on (after rewinding)
+     *
+     * @param {number} steps - Steps to keep
+     * @param {ArrayLike<number>} state - Normalized state after the last kept step
+     */
+    truncate(steps, state) {
+        this.steps = steps;
+        this.controls = this.controls.filter(([step]) => step < steps);
+        this.states = this.states.filter(([step]) => step < steps);
+        this.actions = this.actions.filter(([step]) => step < steps);
+        this.finalState = Array.from(state);
+        this.expectedState = [...this.finalState];
+    }
+
+    /**
+     * Everything needed to take one recorded step
+     *
+     * @param {number} step - Step index
+     * @returns {Object} - {heater, fan, drum, humidity, ambient, state (null unless overridden),
+     *                     actions: [{name, value}]}
+     */
+    stepInputs(step) {
+        let entry = this.controls[0];
+        for (const candidate of this.controls) {
+            if (candidate[0] > step) break;
+            entry = candidate;
+        }
+        const override = this.states.find(([index]) => index === step);
+        const [, heater, fan, drum, humidity, ambient] = entry;
+        return {
+            heater, fan, drum, humidity, ambient,
+            state: override ? override[1] : null,
+            actions: this.actions
+                .filter(([index]) => index === step)
+                .map(([, name, value]) => ({ name, value }))
+        };
+    }
+
+    /**
+     * Replay the log on an engine (no UI, as fast as inference allows)
+     *
+     * @param {RoasterEngine} engine - Engine with the log's bean model loaded
+     * @param {Function} onStep - Optional callback (record, step) after each step
+     * @returns {Promise<Object>} - {records, exact}: step records and whether the
+     *                              final state matches the recorded one bit for bit
+     */
+    async replay(engine, onStep = null) {
+        engine.restoreSnapshot(this.initial);
+        engine.timestep = this.timestep;
+        if (this.preheatTemp !== null) engine.preheatTemp = this.preheatTemp;
+        if (this.trayAirflow !== null) engine.coolingModel.airflow = this.trayAirflow;
+
+        const records = [];
+        for (let step = 0; step < this.steps; step++) {
+            const inputs = this.stepInputs(step);
+            for (const action of inputs.actions) {
+                if (action.name === 'drop') engine.drop();
+                else if (action.name === 'chargeTemp') engine.preheatTemp = action.value;
+                else if (action.name === 'trayAirflow') engine.coolingModel.airflow = action.value;
+            }
+            engine.fixedParams.ambient = inputs.ambient;
+            if (inputs.state) {
+                engine.currentState = new Float32Array(inputs.state);
+            }
+
+            const record = await engine.step({
+                heater: inputs.heater,
+                fan: inputs.fan,
+                drum: inputs.drum,
+                humidity: inputs.humidity
+            });
+            records.push(record);
+            if (onStep) onStep(record, step);
+        }
+
+        return { records, exact: SessionLog.sameState(engine.currentState, this.finalState) };
+    }
+
+    /**
+     * Whether two normalized states are identical
+     */
+    static sameState(a, b) {
+        return a.length === b.length && Array.from(a).every((value, i) => value === b[i]);
+    }
+
+    /**
+     * Log as plain data (for download)
+     *
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            format: SessionLog.FORMAT,
+            version: SessionLog.VERSION,
+            createdAt: this.createdAt,
+            beanModel: this.beanModel,
+            timestep: this.timestep,
+            preheatTemp: this.preheatTemp,
+            trayAirflow: this.trayAirflow,
+            initial: this.initial,
+            profile: this.profile,
+            controller: this.controller,
+            scenario: this.scenario,
+            sensors: this.sensors,
+            rateOfRise: this.rateOfRise,
+            steps: this.steps,
+            controls: this.controls,
+            states: this.states,
+            actions: this.actions,
+            finalState: this.finalState
+        };
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionLog };
+}
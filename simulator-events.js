@@ -0,0 +1,184 @@
+/**
+ * Simulator Events Module
+ *
+ * Event emitter behind RoasterSimulator's programmatic API. Scripts, the game,
+ * the editors and browser extensions subscribe to the simulator instead of
+ * reading its internals, and drive it through its command methods
+ * (setControls, setControlMode, setBackgroundProfile, chargeBeans, dropBeans,
+ * pause, resume, or runCommand for all of them by name):
+ *
+ *   const off = window.simulator.on('step', (sample) => console.log(sample.temperatures.bean));
+ *   window.simulator.runCommand('setControls', { heater: 0.8 });
+ *   off();  // Unsubscribe
+ *
+ * Temperatures are °C, times are minutes (since CHARGE, or since the start of
+ * preheat) and controls are 0-1, as everywhere in the simulator. Payloads
+ * are shared between listeners and must not be modified. A listener that
+ * throws is logged and skipped; the simulation and the other listeners carry on.
+ */
+
+/**
+ * @typedef {Object} StepEvent - One recorded simulation step
+ * @property {number} time - Step time (min)
+ * @property {string} phase - Roaster phase (RoasterEngine.PHASES)
+ * @property {Object} temperatures - {bean, environment, roaster, air, airMeasured, tray} as displayed (tray null before DROP)
+ * @property {number|null} rateOfRise - Bean rate of rise (°C/min)
+ * @property {Object} controls - Commanded {heater, fan, drum, humidity}
+ * @property {number|null} setpoint - Background profile at this time (null without beans)
+ * @property {string} mode - Control mode: 'manual', 'pid' or 'neural'
+ */
+
+/**
+ * @typedef {Object} PhaseChangeEvent
+ * @property {string} from - Previous phase
+ * @property {string} to - New phase
+ * @property {number} time - Simulation time (min) after the change
+ */
+
+/**
+ * @typedef {Object} ChargeEvent
+ * @property {number} mass - Batch size (g)
+ * @property {number} batch - Batch number of the session
+ * @property {number|null} gap - Minutes since the previous DROP (null for the first batch)
+ * @property {Object} temperatures - Probe and roaster temperatures at CHARGE {bean, airMeasured, roaster}
+ */
+
+/**
+ * @typedef {Object} DropEvent
+ * @property {number|null} time - Roast time of the drop (min; null before any sample)
+ * @property {number|null} temp - Bean probe at the drop
+ * @property {number} batch - Batch number of the session
+ */
+
+/**
+ * @typedef {Object} ForecastEvent - A new forecast from the current state
+ * @property {Array<number>} time - Forecast times (min)
+ * @property {Array<number>} bean - Also environment, roaster, air: forecast temperatures
+ * @property {Array<number>} rateOfRise - Forecast bean rate of rise (°C/min)
+ * @property {Array<number>} heater - Also fan: controls assumed by the forecast
+ * @property {Object|null} ensemble - Ensemble members and percentiles, when enabled
+ */
+
+/**
+ * @typedef {Object} ControllerChangeEvent - The controller now in use (see RoasterSimulator.controllerSettings)
+ * @property {string} mode - 'manual', 'pid' or 'neural'
+ * @property {boolean} closedLoopForecast - Whether forecasts run with the controller in the loop
+ * @property {Object|null} pid - PID gains {Kp, Ki, Kd}
+ * @property {Object|null} neural - Neural controller metadata (neural mode)
+ */
+
+/**
+ * @typedef {Object} ProfileChangeEvent
+ * @property {Object} profile - The new background profile {times, temps, metadata, reference?}
+ */
+
+class SimulatorEvents {
+    /**
+     * Event types and their payloads (see the typedefs above)
+     */
+    static get TYPES() {
+        return {
+            step: 'StepEvent',
+            phasechange: 'PhaseChangeEvent',
+            charge: 'ChargeEvent',
+            drop: 'DropEvent',
+            forecast: 'ForecastEvent',
+            controllerchange: 'ControllerChangeEvent',
+            profilechange: 'ProfileChangeEvent'
+        };
+    }
+
+    constructor() {
+        this.listeners = new Map();  // type -> Array of listeners
+    }
+
+    /**
+     * Subscribe to an event type
+     *
+     * @param {string} type - One of TYPES
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} - Unsubscribes the listener
+     */
+    on(type, listener) {
+        SimulatorEvents.checkType(type);
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for ${type} must be a function`);
+        }
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe to the next event of a type only
+     *
+     * @param {string} type - One of TYPES
+     * @param {Function} listener - Called with the event's payload
+     * @returns {Function} - Unsubscribes the listener (if it has not fired yet)
+     */
+    once(type, listener) {
+        const off = this.on(type, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Unsubscribe a listener
+     *
+     * @param {string} type - One of TYPES
+     * @param {Function} listener - The listener passed to on()
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+    }
+
+    /**
+     * Whether anything listens to a type (lets the simulator skip building payloads)
+     *
+     * @param {string} type - One of TYPES
+     * @returns {boolean}
+     */
+    hasListeners(type) {
+        const listeners = this.listeners.get(type);
+        return listeners !== undefined && listeners.length > 0;
+    }
+
+    /**
+     * Call every listener of a type
+     *
+     * @param {string} type - One of TYPES
+     * @param {Object} payload - Event payload
+     */
+    emit(type, payload) {
+        SimulatorEvents.checkType(type);
+        // Copy: listeners may unsubscribe while being called
+        for (const listener of [...(this.listeners.get(type) || [])]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Reject unknown event types (a typo would otherwise never fire)
+     *
+     * @param {string} type
+     */
+    static checkType(type) {
+        if (!Object.prototype.hasOwnProperty.call(SimulatorEvents.TYPES, type)) {
+            throw new Error(`Unknown simulator event: ${type} (expected one of ${Object.keys(SimulatorEvents.TYPES).join(', ')})`);
+        }
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulatorEvents };
+}
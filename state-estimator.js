@@ -0,0 +1,216 @@
+/**
+ * State Estimator Module
+ *
+ * Runs state_estimator.onnx to recover the latent roaster state
+ * [T_r, T_b, T_air, T_bm, T_atm] from recent measurements, so a simulation
+ * can start from (and be re-anchored to) a measured roaster condition instead
+ * of the fixed preheat guess.
+ *
+ * Estimator input, in the order of the state_keys indices in
+ * model_metadata.yaml:
+ * - obs_history (12): the observables bean_temp, environment_temp and
+ *   temp_difference (BT - ET) at t, t-1dt, t-2dt and t-3dt (newest first)
+ * - mass (1): charged mass, the mass indicator (0 when the drum is empty)
+ * input_specifications lists the estimator as observables + inputs + mass
+ * indicator (9 features), but the exported graph takes the 13 above: its
+ * first layer weighs the four temp_difference lags most, and only this layout
+ * reproduces the probe states of roast_stepper.onnx trajectories (within a few
+ * °C). Pass features ['observables', 'inputs', 'mass'] for an estimator
+ * exported with the 9-feature input.
+ *
+ * The graph outputs 6 latents; the first 5 are the stepper state and the
+ * last has no stepper counterpart. The bean core (T_b) is only meaningful
+ * with beans in the drum.
+ */
+
+class StateEstimator {
+    /**
+     * Feature groups of the exported estimator, in input order
+     */
+    static get DEFAULT_FEATURES() {
+        return ['obs_history', 'mass'];
+    }
+
+    /**
+     * Create a state estimator
+     *
+     * @param {Object} onnxSession - ONNX Runtime inference session for state_estimator.onnx
+     * @param {Object} options - Estimator options
+     * @param {Object} options.ort - ONNX Runtime module (defaults to the global `ort` in the browser)
+     * @param {Array<string>} options.features - Feature groups in input order (default DEFAULT_FEATURES):
+     *                                           'obs_history', 'observables', 'inputs', 'mass'
+     * @param {Array<number>} options.outputIndices - Latent indices mapped to [T_r, T_b, T_air, T_bm, T_atm]
+     * @param {number} options.historyLength - Number of samples in obs_history (default 4, t..t-3dt)
+     * @param {number} options.tolerance - Max allowed mismatch (°C) between estimated and measured probes (default 15)
+     */
+    constructor(onnxSession, options = {}) {
+        this.session = onnxSession;
+        this.ort = options.ort || (typeof ort !== 'undefined' ? ort : null);
+
+        this.features = options.features || StateEstimator.DEFAULT_FEATURES;
+        this.outputIndices = options.outputIndices || [0, 1, 2, 3, 4];
+        this.historyLength = options.historyLength ?? 4;
+        this.tolerance = options.tolerance ?? 15.0;
+
+        // Scaling factors (match RoasterEngine / dataset.py)
+        this.tempScale = 100.0;
+        this.controlScale = 100.0;
+        this.massScale = 100.0;
+
+        // Rolling measurement history, oldest first
+        this.history = [];
+
+        // Diagnostics from the last estimate (for debugging)
+        this.lastInput = null;
+        this.lastOutput = null;
+        this.lastAccepted = false;
+    }
+
+    /**
+     * Record one measurement sample (one per timestep)
+     *
+     * @param {Object} sample - Measurement sample
+     * @param {number} sample.beanTemp - Bean probe temperature BT (°C)
+     * @param {number} sample.envTemp - Environment/air probe temperature ET (°C)
+     * @param {number} sample.heater - Heater power (0-1)
+     * @param {number} sample.fan - Fan speed (0-1)
+     * @param {number} sample.drum - Drum speed (0-1)
+     * @param {number} sample.ambient - Ambient temperature (°C)
+     * @param {number} sample.humidity - Humidity (same units as RoasterEngine.fixedParams.humidity)
+     * @param {number} sample.mass - Charged mass in grams (0 when empty)
+     */
+    observe(sample) {
+        this.history.push({ ...sample });
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Fill the history with a single steady-state sample
+     * Used to estimate from one measured condition (e.g. a preheated roaster)
+     *
+     * @param {Object} sample - Measurement sample (see observe())
+     */
+    seedSteadyState(sample) {
+        this.history = [];
+        for (let i = 0; i < this.historyLength; i++) {
+            this.observe(sample);
+        }
+    }
+
+    /**
+     * Clear the measurement history
+     */
+    reset() {
+        this.history = [];
+        this.lastInput = null;
+        this.lastOutput = null;
+        this.lastAccepted = false;
+    }
+
+    /**
+     * Observables for a sample: [BT, ET, BT - ET] (normalized)
+     */
+    observablesOf(sample) {
+        const bt = sample.beanTemp / this.tempScale;
+        const et = sample.envTemp / this.tempScale;
+        return [bt, et, bt - et];
+    }
+
+    /**
+     * Build the estimator input vector from the measurement history
+     * Until the history is full, the oldest sample stands in for the missing
+     * lags (a steady roaster).
+     *
+     * @returns {Float32Array} - Estimator input
+     */
+    buildInput() {
+        if (this.history.length === 0) {
+            throw new Error('State estimator has no measurements');
+        }
+
+        const latest = this.history[this.history.length - 1];
+        const input = [];
+
+        for (const feature of this.features) {
+            switch (feature) {
+                case 'observables':
+                    input.push(...this.observablesOf(latest));
+                    break;
+
+                case 'obs_history':
+                    for (let lag = 0; lag < this.historyLength; lag++) {
+                        const index = Math.max(this.history.length - 1 - lag, 0);
+                        input.push(...this.observablesOf(this.history[index]));
+                    }
+                    break;
+
+                case 'inputs':
+                    input.push(
+                        latest.heater,
+                        latest.fan,
+                        latest.drum,
+                        latest.ambient / this.controlScale,
+                        latest.humidity / this.controlScale
+                    );
+                    break;
+
+                case 'mass':
+                    input.push(latest.mass / this.massScale);
+                    break;
+
+                default:
+                    throw new Error(`Unknown estimator feature: ${feature}`);
+            }
+        }
+
+        return new Float32Array(input);
+    }
+
+    /**
+     * Estimate the latent state from the measurement history
+     *
+     * The estimate is only accepted if it is finite, physically plausible and
+     * reproduces the measured probes (T_bm ≈ BT, T_atm ≈ ET) within tolerance.
+     * Accepted estimates have their observable components pinned to the
+     * measurements.
+     *
+     * @returns {Promise<Float32Array|null>} - Normalized [T_r, T_b, T_air, T_bm, T_atm], or null if rejected
+     */
+    async estimate() {
+        const input = this.buildInput();
+        const outputs = await this.session.run({
+            estimator_input: new this.ort.Tensor('float32', input, [1, input.length])
+        });
+        const latents = outputs.latent_states.data;
+        const state = new Float32Array(this.outputIndices.map((i) => latents[i]));
+
+        this.lastInput = input;
+        this.lastOutput = new Float32Array(latents);
+        this.lastAccepted = false;
+
+        const latest = this.history[this.history.length - 1];
+        const tempsC = Array.from(state, (v) => v * this.tempScale);
+
+        const plausible = tempsC.every((t) => Number.isFinite(t) && t > -20 && t < 500);
+        const matchesProbes = Math.abs(tempsC[3] - latest.beanTemp) <= this.tolerance &&
+                              Math.abs(tempsC[4] - latest.envTemp) <= this.tolerance;
+
+        if (!plausible || !matchesProbes) {
+            return null;
+        }
+
+        // Observables are measured directly; keep them exact
+        state[3] = latest.beanTemp / this.tempScale;
+        state[4] = latest.envTemp / this.tempScale;
+
+        this.lastAccepted = true;
+        return state;
+    }
+}
+
+// Export for Node (the browser picks up the global class)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateEstimator };
+}
@@ -0,0 +1,400 @@
+/**
+ * Telemetry Adapter Module
+ *
+ * Connects the controllers to a real roaster (hardware in the loop): an
+ * adapter reads the probes and sends heater and fan commands back. Every
+ * adapter has the same interface:
+ *
+ *   await adapter.connect();
+ *   const reading = await adapter.read();          // {bean, airMeasured} in °C
+ *   await adapter.write({ heater: 0.7, fan: 0.3 }); // 0-1
+ *   adapter.close();
+ *
+ * Implementations:
+ * - WebSocketTelemetryAdapter: Artisan's WebSocket JSON protocol
+ *   ({"command": "getData", "id"} -> {"id", "data": {"BT", "ET"}} and
+ *   setControlParams), as served by scripts/artisan-device-server.js and
+ *   scripts/mock-roaster-server.js; works in the browser and in Node (pass
+ *   the ws package's WebSocket)
+ * - SerialTcpTelemetryAdapter: TC4-style serial commands over TCP (a
+ *   serial-to-network bridge such as ser2net or an ESP32 firmware):
+ *   "READ" -> "ambient,ch1,ch2,...", "OT1;70" heater, "OT2;30" fan; Node only
+ *   (browsers cannot open TCP sockets)
+ */
+
+class TelemetryAdapter {
+    /**
+     * Create an adapter from a plain spec
+     *
+     * @param {Object} spec - {type: 'websocket' | 'serial-tcp', ...config}
+     * @param {Object} deps - Optional {WebSocket, connectSocket} implementations
+     * @returns {TelemetryAdapter}
+     */
+    static create(spec, deps = {}) {
+        const { type, ...config } = spec;
+        if (type === 'websocket') {
+            return new WebSocketTelemetryAdapter(config, deps.WebSocket);
+        }
+        if (type === 'serial-tcp') {
+            return new SerialTcpTelemetryAdapter(config, deps.connectSocket);
+        }
+        throw new Error(`Unknown telemetry adapter: ${type}`);
+    }
+
+    constructor(config = {}) {
+        this.config = config;
+        this.connected = false;
+    }
+
+    /**
+     * Open the connection to the roaster
+     *
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    /**
+     * Read the probes
+     *
+     * @returns {Promise<Object>} - {bean (BT), airMeasured (ET)} in °C
+     */
+    async read() {
+        throw new Error(`${this.constructor.name} does not implement read()`);
+    }
+
+    /**
+     * Send heater and fan commands
+     *
+     * @param {Object} controls - {heater, fan} (0-1; either may be omitted)
+     * @returns {Promise<void>}
+     */
+    async write(controls) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        this.connected = false;
+    }
+
+    /**
+     * Short description for status displays
+     *
+     * @returns {string}
+     */
+    describe() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Check a probe value from the roaster
+     *
+     * @param {*} value - Reported value
+     * @param {string} name - Probe name for the error
+     * @returns {number}
+     */
+    static temperature(value, name) {
+        const temp = Number(value);
+        if (value === null || value === undefined || value === '' || !Number.isFinite(temp) || temp === -1) {
+            throw new Error(`No ${name} reading from the roaster`);
+        }
+        return temp;
+    }
+}
+
+/**
+ * Artisan WebSocket protocol: one JSON request per message, matched to its
+ * reply by "id"
+ */
+class WebSocketTelemetryAdapter extends TelemetryAdapter {
+    /**
+     * Default settings (match scripts/artisan-device-server.js)
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            url: 'ws://127.0.0.1:8080/WebSocket',
+            timeout: 2000,                      // Milliseconds to wait for a reply
+            readCommand: 'getData',
+            writeCommand: 'setControlParams',
+            nodes: { bean: 'BT', airMeasured: 'ET' },    // Reply data fields
+            params: { heater: 'burner', fan: 'fan' }     // Command params (percent)
+        };
+    }
+
+    /**
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {Function} WebSocketImpl - WebSocket class (default: the browser's)
+     */
+    constructor(config = {}, WebSocketImpl = (typeof WebSocket !== 'undefined' ? WebSocket : null)) {
+        super({ ...WebSocketTelemetryAdapter.DEFAULT_CONFIG, ...config });
+        this.WebSocketImpl = WebSocketImpl;
+        this.socket = null;
+        this.nextId = 0;
+        this.pending = new Map();  // id -> {resolve, reject, timer}
+    }
+
+    connect() {
+        if (!this.WebSocketImpl) {
+            return Promise.reject(new Error('WebSocket is not available'));
+        }
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocketImpl(this.config.url);
+            this.socket = socket;
+            socket.onopen = () => {
+                this.connected = true;
+                resolve();
+            };
+            socket.onerror = () => {
+                if (!this.connected) reject(new Error(`Cannot connect to ${this.config.url}`));
+            };
+            socket.onclose = () => {
+                this.connected = false;
+                this.rejectPending(new Error('Connection to the roaster closed'));
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    /**
+     * Send a command and wait for its reply
+     *
+     * @param {string} command - Command name
+     * @param {Object} params - Optional command parameters
+     * @returns {Promise<Object>} - The reply's data
+     */
+    request(command, params = null) {
+        if (!this.connected) {
+            return Promise.reject(new Error('Not connected to the roaster'));
+        }
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`No reply to ${command} within ${this.config.timeout} ms`));
+            }, this.config.timeout);
+            this.pending.set(id, { resolve, reject, timer });
+            this.socket.send(JSON.stringify(params ? { command, id, params } : { command, id }));
+        });
+    }
+
+    /**
+     * Match a reply to its request (messages without a known id are ignored)
+     *
+     * @param {string} text - Message text
+     */
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(String(text));
+        } catch (error) {
+            return;
+        }
+        const entry = message && this.pending.get(message.id);
+        if (!entry) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(entry.timer);
+        if (message.error) {
+            entry.reject(new Error(message.error));
+        } else {
+            entry.resolve(message.data || {});
+        }
+    }
+
+    rejectPending(error) {
+        for (const entry of this.pending.values()) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    async read() {
+        const data = await this.request(this.config.readCommand);
+        return {
+            bean: TelemetryAdapter.temperature(data[this.config.nodes.bean], 'BT'),
+            airMeasured: TelemetryAdapter.temperature(data[this.config.nodes.airMeasured], 'ET')
+        };
+    }
+
+    async write(controls) {
+        const params = {};
+        if (controls.heater !== undefined) params[this.config.params.heater] = Math.round(controls.heater * 1000) / 10;
+        if (controls.fan !== undefined) params[this.config.params.fan] = Math.round(controls.fan * 1000) / 10;
+        await this.request(this.config.writeCommand, params);
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.rejectPending(new Error('Connection to the roaster closed'));
+        super.close();
+    }
+
+    describe() {
+        return this.config.url;
+    }
+}
+
+/**
+ * TC4-style serial protocol over TCP: newline-terminated text commands,
+ * one reply line per READ (lines starting with '#' are acknowledgements)
+ */
+class SerialTcpTelemetryAdapter extends TelemetryAdapter {
+    /**
+     * Default settings (TC4 / aArtisanQ_PID firmware)
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            host: '127.0.0.1',
+            port: 2000,
+            timeout: 2000,                          // Milliseconds to wait for a READ reply
+            setup: ['CHAN;1200', 'UNITS;C'],        // Sent after connecting: ET on channel 1, BT on 2, Celsius
+            readCommand: 'READ',
+            fields: { bean: 2, airMeasured: 1 },    // Fields of the READ reply (0 is ambient)
+            heaterCommand: 'OT1',
+            fanCommand: 'OT2'
+        };
+    }
+
+    /**
+     * @param {Object} config - Overrides for DEFAULT_CONFIG
+     * @param {Function} connectSocket - ({host, port}) => net.Socket-like stream (default: Node's net)
+     */
+    constructor(config = {}, connectSocket = SerialTcpTelemetryAdapter.nodeConnect()) {
+        super({ ...SerialTcpTelemetryAdapter.DEFAULT_CONFIG, ...config });
+        this.connectSocket = connectSocket;
+        this.socket = null;
+        this.buffer = '';
+        this.waiting = null;               // {resolve, reject, timer} of the READ in flight
+        this.queue = Promise.resolve();    // One READ at a time
+    }
+
+    /**
+     * Node's TCP client, or null in the browser
+     */
+    static nodeConnect() {
+        if (typeof module === 'undefined' || typeof require !== 'function') return null;
+        return (options) => require('net').createConnection(options);
+    }
+
+    connect() {
+        if (!this.connectSocket) {
+            return Promise.reject(new Error('Serial over TCP needs Node (browsers cannot open TCP sockets)'));
+        }
+        return new Promise((resolve, reject) => {
+            const socket = this.connectSocket({ host: this.config.host, port: this.config.port });
+            this.socket = socket;
+            socket.setEncoding('utf8');
+            socket.on('connect', () => {
+                this.connected = true;
+                for (const line of this.config.setup) this.send(line);
+                resolve();
+            });
+            socket.on('error', (error) => {
+                if (!this.connected) reject(new Error(`Cannot connect to ${this.describe()}: ${error.message}`));
+            });
+            socket.on('close', () => {
+                this.connected = false;
+                this.failWaiting(new Error('Connection to the roaster closed'));
+            });
+            socket.on('data', (chunk) => this.handleData(chunk));
+        });
+    }
+
+    send(line) {
+        this.socket.write(line + '\n');
+    }
+
+    /**
+     * Split incoming text into lines and hand READ replies to the waiting read
+     *
+     * @param {string} chunk
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+        let newline;
+        while ((newline = this.buffer.search(/\r?\n/)) >= 0) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1).replace(/^\n/, '');
+            if (!line || line.startsWith('#') || !this.waiting) continue;
+
+            const waiting = this.waiting;
+            this.waiting = null;
+            clearTimeout(waiting.timer);
+            waiting.resolve(line);
+        }
+    }
+
+    failWaiting(error) {
+        if (!this.waiting) return;
+        clearTimeout(this.waiting.timer);
+        this.waiting.reject(error);
+        this.waiting = null;
+    }
+
+    /**
+     * Send READ and wait for the reply line
+     *
+     * @returns {Promise<string>}
+     */
+    readLine() {
+        if (!this.connected) {
+            return Promise.reject(new Error('Not connected to the roaster'));
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                reject(new Error(`No reply to ${this.config.readCommand} within ${this.config.timeout} ms`));
+            }, this.config.timeout);
+            this.waiting = { resolve, reject, timer };
+            this.send(this.config.readCommand);
+        });
+    }
+
+    read() {
+        const result = this.queue.then(async () => {
+            const fields = (await this.readLine()).split(',');
+            return {
+                bean: TelemetryAdapter.temperature(fields[this.config.fields.bean], 'BT'),
+                airMeasured: TelemetryAdapter.temperature(fields[this.config.fields.airMeasured], 'ET')
+            };
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async write(controls) {
+        if (!this.connected) {
+            throw new Error('Not connected to the roaster');
+        }
+        if (controls.heater !== undefined) this.send(`${this.config.heaterCommand};${Math.round(controls.heater * 100)}`);
+        if (controls.fan !== undefined) this.send(`${this.config.fanCommand};${Math.round(controls.fan * 100)}`);
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.end();
+            this.socket = null;
+        }
+        this.failWaiting(new Error('Connection to the roaster closed'));
+        super.close();
+    }
+
+    describe() {
+        return `tcp://${this.config.host}:${this.config.port}`;
+    }
+}
+
+// Export for Node (the browser picks up the global classes)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TelemetryAdapter, WebSocketTelemetryAdapter, SerialTcpTelemetryAdapter };
+}